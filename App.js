@@ -1,6 +1,7 @@
-import React, { useState, useEffect } from 'react';
-import { StyleSheet, View, ActivityIndicator } from 'react-native';
+import React, { useState, useEffect, useRef } from 'react';
+import { StyleSheet, View, ActivityIndicator, Linking } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import {
   WelcomeScreen,
   SignUpScreen,
@@ -15,15 +16,31 @@ import {
   CreatedGroupDetailScreen,
   ManageMembersScreen,
   ExerciseDetailScreen,
+  SharedReflectionsScreen,
   JoinedGroupDetailScreen,
   JoinedExerciseDetailScreen,
   ReportIssueScreen,
   ReportIssueSuccessModal,
   NotificationSettingsScreen,
+  PracticeCalendarScreen,
+  NotesSearchScreen,
 } from './src/screens';
-import { authService, userService, notificationService } from './src/services';
+import {
+  authService,
+  userService,
+  notificationService,
+  progressSyncService,
+  notesSearchService,
+} from './src/services';
 import { clearSession } from './src/services/supabase';
 import { COLORS } from './src/constants';
+import { inviteLinks } from './src/utils';
+
+// Invite opened before the user could join (signed out or still onboarding)
+const PENDING_INVITE_KEY = 'pendingInviteCode';
+
+// Screens where an invite has to wait until the user is signed in with a profile
+const ONBOARDING_SCREENS = ['Welcome', 'SignUp', 'SignIn', 'NameInput'];
 
 /**
  * Main App Component
@@ -34,12 +51,23 @@ export default function App() {
   const [loading, setLoading] = useState(true);
   const [user, setUser] = useState(null);
   const [routeParams, setRouteParams] = useState({});
+  const pendingInviteRef = useRef(null);
+  const currentScreenRef = useRef(currentScreen);
+  currentScreenRef.current = currentScreen;
+
+  useEffect(() => {
+    // Invite links: ethicsapp://join/<group code>
+    const subscription = Linking.addEventListener('url', ({ url }) => handleInviteUrl(url));
+    return () => subscription.remove();
+  }, []);
 
   useEffect(() => {
     console.log('🚀 [App] Component mounted, initializing auth check');
     // Initialize notification service early
     notificationService.initialize();
-    checkAuthStatus();
+    // Replay progress recorded offline whenever connectivity returns
+    progressSyncService.start();
+    loadPendingInvite().then(checkAuthStatus);
 
     // Listen to auth state changes
     console.log('👂 [App] Setting up auth state change listener');
@@ -71,6 +99,10 @@ export default function App() {
             await checkUserProfile(session.user.id);
           } else {
             console.log('👤 [App] No user session, showing welcome screen');
+            // Sessions can also end without authService.signOut (cleared or deleted accounts)
+            if (event === 'SIGNED_OUT') {
+              await Promise.all([progressSyncService.clearLocalData(), notesSearchService.clearCache()]);
+            }
             setUser(null);
             setCurrentScreen('Welcome');
           }
@@ -92,9 +124,59 @@ export default function App() {
     return () => {
       console.log('🧹 [App] Cleaning up auth listener');
       authListener?.subscription?.unsubscribe();
+      progressSyncService.stop();
     };
   }, []);
 
+  /**
+   * Pick up an invite from the link that opened the app, or one saved before
+   * the user finished signing up
+   */
+  const loadPendingInvite = async () => {
+    try {
+      const initialUrl = await Linking.getInitialURL();
+      const code = inviteLinks.parseInviteUrl(initialUrl)
+        || await AsyncStorage.getItem(PENDING_INVITE_KEY);
+      if (code) {
+        pendingInviteRef.current = code;
+        await AsyncStorage.setItem(PENDING_INVITE_KEY, code);
+      }
+    } catch (error) {
+      console.error('Load pending invite error:', error.message);
+    }
+  };
+
+  const handleInviteUrl = async (url) => {
+    const code = inviteLinks.parseInviteUrl(url);
+    if (!code) return;
+
+    console.log('🔗 [App] Invite link opened for group code', code);
+    pendingInviteRef.current = code;
+    await AsyncStorage.setItem(PENDING_INVITE_KEY, code).catch(() => {});
+
+    // Signed in with a profile: join now. Otherwise the invite waits for onboarding.
+    if (!ONBOARDING_SCREENS.includes(currentScreenRef.current)) {
+      openScreen('Dashboard');
+    }
+  };
+
+  /**
+   * Show a screen, sending the user to join a pending invite's group first
+   * once they reach the group choice or the dashboard
+   */
+  const openScreen = (screen, params = {}) => {
+    const inviteCode = pendingInviteRef.current;
+    if (inviteCode && (screen === 'GroupChoice' || screen === 'Dashboard')) {
+      pendingInviteRef.current = null;
+      AsyncStorage.removeItem(PENDING_INVITE_KEY).catch(() => {});
+      setCurrentScreen('JoinGroup');
+      setRouteParams({ inviteCode, fromDashboard: screen === 'Dashboard' });
+      return;
+    }
+    setCurrentScreen(screen);
+    setRouteParams(params);
+  };
+
   const checkAuthStatus = async () => {
     const timestamp = new Date().toISOString();
     console.log('🔍 [App] checkAuthStatus called at', timestamp);
@@ -189,8 +271,8 @@ export default function App() {
         // This handles both new signups and any errors
         setCurrentScreen('NameInput');
       } else if (data) {
-        // User profile exists, go to dashboard
-        setCurrentScreen('Dashboard');
+        // User profile exists, go to dashboard (or join the group from an invite link)
+        openScreen('Dashboard');
       } else {
         // No data returned - user hasn't created profile yet (new signup)
         setCurrentScreen('NameInput');
@@ -208,8 +290,7 @@ export default function App() {
 
   const navigation = {
     navigate: (screen, params = {}) => {
-      setCurrentScreen(screen);
-      setRouteParams(params);
+      openScreen(screen, params);
     },
     goBack: () => {
       // Simple back navigation mapping
@@ -225,9 +306,12 @@ export default function App() {
         'Profile': 'Dashboard',
         'ReportIssue': 'Profile',
         'NotificationSettings': 'Profile',
+        'PracticeCalendar': 'Profile',
+        'NotesSearch': 'Profile',
         'CreatedGroupDetail': 'Dashboard',
         'ManageMembers': 'CreatedGroupDetail',
         'ExerciseDetail': 'CreatedGroupDetail',
+        'SharedReflections': 'ExerciseDetail',
         'JoinedGroupDetail': 'Dashboard',
         'JoinedExerciseDetail': 'JoinedGroupDetail',
       };
@@ -275,6 +359,8 @@ export default function App() {
         return <ManageMembersScreen navigation={navigation} route={route} />;
       case 'ExerciseDetail':
         return <ExerciseDetailScreen navigation={navigation} route={route} />;
+      case 'SharedReflections':
+        return <SharedReflectionsScreen navigation={navigation} route={route} />;
       case 'JoinedGroupDetail':
         return <JoinedGroupDetailScreen navigation={navigation} route={route} />;
       case 'JoinedExerciseDetail':
@@ -283,6 +369,10 @@ export default function App() {
         return <ReportIssueScreen navigation={navigation} route={route} />;
       case 'NotificationSettings':
         return <NotificationSettingsScreen navigation={navigation} route={route} />;
+      case 'PracticeCalendar':
+        return <PracticeCalendarScreen navigation={navigation} route={route} />;
+      case 'NotesSearch':
+        return <NotesSearchScreen navigation={navigation} route={route} />;
       default:
         return <WelcomeScreen navigation={navigation} />;
     }
@@ -0,0 +1,323 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../constants';
+import { formatters } from '../utils';
+
+/**
+ * Find the top-level comment a reply belongs to
+ * @param {object} comment
+ * @param {Map} byId - Comments by ID
+ * @returns {string} Root comment ID
+ */
+const getRootId = (comment, byId) => {
+  let current = comment;
+  while (current.parent_id && byId.has(current.parent_id)) {
+    current = byId.get(current.parent_id);
+  }
+  return current.id;
+};
+
+/**
+ * CommentThread Component
+ * Comments with one level of replies and an input for new comments.
+ *
+ * @param {Array} comments - [{ id, parent_id, body, created_at, authorName, author_id, isOwn, edited_at, hidden }], oldest first
+ * @param {function} onSend - Called with (body, parentId); resolves true once saved
+ * @param {function} onDelete - Called with the comment to delete (own comments, or any when canModerate)
+ * @param {function} onEdit - Optional; called with (comment, body) for own comments, resolves true once saved
+ * @param {function} onToggleHidden - Optional; called with a comment to hide or show it (needs canModerate)
+ * @param {boolean} canModerate - Show moderation actions on everyone's comments
+ * @param {boolean} locked - No new comments or replies; existing ones stay readable
+ * @param {object} authorBadges - Optional map of author ID to a label such as "Instructor"
+ * @param {string} emptyText - Shown when there are no comments
+ */
+export const CommentThread = ({
+  comments,
+  onSend,
+  onDelete,
+  onEdit,
+  onToggleHidden,
+  canModerate = false,
+  locked = false,
+  authorBadges = {},
+  emptyText = 'No comments yet',
+}) => {
+  const [text, setText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  const byId = new Map(comments.map((comment) => [comment.id, comment]));
+  const roots = comments.filter((comment) => getRootId(comment, byId) === comment.id);
+  const repliesByRoot = {};
+  comments
+    .filter((comment) => getRootId(comment, byId) !== comment.id)
+    .forEach((comment) => {
+      const rootId = getRootId(comment, byId);
+      repliesByRoot[rootId] = [...(repliesByRoot[rootId] || []), comment];
+    });
+
+  const handleSend = async () => {
+    if (!text.trim() || sending) return;
+    setSending(true);
+    const saved = editing
+      ? await onEdit(editing, text.trim())
+      : await onSend(text.trim(), replyTo?.id || null);
+    setSending(false);
+    if (saved) {
+      setText('');
+      setReplyTo(null);
+      setEditing(null);
+    }
+  };
+
+  const startEditing = (comment) => {
+    setReplyTo(null);
+    setEditing(comment);
+    setText(comment.body);
+  };
+
+  const cancelEditing = () => {
+    setEditing(null);
+    setText('');
+  };
+
+  const renderComment = (comment, isReply) => (
+    <View
+      key={comment.id}
+      style={[styles.comment, isReply && styles.reply, comment.hidden && styles.hiddenComment]}
+    >
+      <View style={styles.commentHeader}>
+        <Text style={styles.author} numberOfLines={1}>
+          {comment.isOwn ? 'You' : comment.authorName}
+        </Text>
+        {authorBadges[comment.author_id] && (
+          <Text style={styles.badge}>{authorBadges[comment.author_id]}</Text>
+        )}
+        {comment.hidden && <Text style={styles.hiddenBadge}>Hidden</Text>}
+        <Text style={styles.time}>
+          {formatters.formatRelativeTime(comment.created_at)}
+          {comment.edited_at ? ' (edited)' : ''}
+        </Text>
+      </View>
+      <Text style={styles.body}>{comment.body}</Text>
+      <View style={styles.actions}>
+        {!locked && (
+          <TouchableOpacity
+            onPress={() => {
+              setEditing(null);
+              setReplyTo(comment);
+            }}
+          >
+            <Text style={styles.actionText}>Reply</Text>
+          </TouchableOpacity>
+        )}
+        {comment.isOwn && onEdit && !locked && (
+          <TouchableOpacity onPress={() => startEditing(comment)}>
+            <Text style={styles.actionText}>Edit</Text>
+          </TouchableOpacity>
+        )}
+        {canModerate && onToggleHidden && (
+          <TouchableOpacity onPress={() => onToggleHidden(comment)}>
+            <Text style={styles.actionText}>{comment.hidden ? 'Show' : 'Hide'}</Text>
+          </TouchableOpacity>
+        )}
+        {(comment.isOwn || canModerate) && onDelete && (
+          <TouchableOpacity onPress={() => onDelete(comment)}>
+            <Text style={[styles.actionText, styles.deleteText]}>Delete</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+
+  return (
+    <View>
+      {roots.length === 0 ? (
+        <Text style={styles.empty}>{emptyText}</Text>
+      ) : (
+        roots.map((root) => (
+          <View key={root.id}>
+            {renderComment(root, false)}
+            {(repliesByRoot[root.id] || []).map((reply) => renderComment(reply, true))}
+          </View>
+        ))
+      )}
+
+      {locked ? (
+        <View style={styles.lockedRow}>
+          <Ionicons name="lock-closed" size={14} color={COLORS.gray} />
+          <Text style={styles.lockedText}>This discussion is locked</Text>
+        </View>
+      ) : (
+        <>
+          {editing && (
+            <View style={styles.replyingTo}>
+              <Text style={styles.replyingToText}>Editing your comment</Text>
+              <TouchableOpacity onPress={cancelEditing}>
+                <Ionicons name="close" size={16} color={COLORS.gray} />
+              </TouchableOpacity>
+            </View>
+          )}
+          {replyTo && (
+            <View style={styles.replyingTo}>
+              <Text style={styles.replyingToText} numberOfLines={1}>
+                Replying to {replyTo.isOwn ? 'yourself' : replyTo.authorName}
+              </Text>
+              <TouchableOpacity onPress={() => setReplyTo(null)}>
+                <Ionicons name="close" size={16} color={COLORS.gray} />
+              </TouchableOpacity>
+            </View>
+          )}
+          <View style={styles.inputRow}>
+            <TextInput
+              style={styles.input}
+              placeholder={replyTo ? 'Write a reply...' : 'Write a comment...'}
+              value={text}
+              onChangeText={setText}
+              multiline
+              maxLength={2000}
+              placeholderTextColor={COLORS.inputPlaceholder}
+            />
+            <TouchableOpacity
+              style={[styles.sendButton, !text.trim() && styles.sendButtonDisabled]}
+              onPress={handleSend}
+              disabled={!text.trim() || sending}
+            >
+              {sending ? (
+                <ActivityIndicator size="small" color={COLORS.white} />
+              ) : (
+                <Ionicons name={editing ? 'checkmark' : 'send'} size={16} color={COLORS.white} />
+              )}
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  empty: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 8,
+  },
+  comment: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.inputBorder,
+  },
+  reply: {
+    marginLeft: 24,
+  },
+  commentHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  author: {
+    flexShrink: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.black,
+  },
+  badge: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: COLORS.primary,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    borderRadius: 999,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+  },
+  time: {
+    fontSize: 12,
+    color: COLORS.gray,
+    marginLeft: 'auto',
+  },
+  body: {
+    fontSize: 14,
+    color: COLORS.black,
+    lineHeight: 20,
+    marginTop: 4,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 16,
+    marginTop: 4,
+  },
+  actionText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  deleteText: {
+    color: COLORS.error,
+  },
+  hiddenComment: {
+    opacity: 0.5,
+  },
+  hiddenBadge: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: COLORS.gray,
+    borderWidth: 1,
+    borderColor: COLORS.gray,
+    borderRadius: 999,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+  },
+  lockedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 12,
+  },
+  lockedText: {
+    fontSize: 13,
+    color: COLORS.gray,
+  },
+  replyingTo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  replyingToText: {
+    flex: 1,
+    fontSize: 13,
+    color: COLORS.gray,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 8,
+    marginTop: 8,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: COLORS.black,
+    maxHeight: 120,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+  },
+  sendButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: COLORS.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  sendButtonDisabled: {
+    opacity: 0.5,
+  },
+});
@@ -0,0 +1,91 @@
+import React from 'react';
+import { View, Text, TextInput, Switch, StyleSheet } from 'react-native';
+import { COLORS } from '../constants';
+import { DEFAULT_ENTRY_POLICY } from '../utils';
+
+/**
+ * EntryPolicyEditor Component
+ * Edits the rules for which days members can record progress on.
+ *
+ * @param {object|null} policy - { block_future, late_window_days, lock_after_end }; null means inherited
+ * @param {function} onChange - Called with the updated policy (or null to inherit)
+ * @param {boolean} inheritable - Show a "Use group rules" switch (exercises only)
+ */
+export const EntryPolicyEditor = ({ policy, onChange, inheritable = false }) => {
+  const isInherited = inheritable && !policy;
+  const current = { ...DEFAULT_ENTRY_POLICY, ...(policy || {}) };
+  const hasLateWindow = current.late_window_days !== null && current.late_window_days !== undefined;
+
+  const update = (changes) => onChange({ ...current, ...changes });
+
+  const renderSwitch = (label, value, onValueChange) => (
+    <View style={styles.row}>
+      <Text style={styles.rowLabel}>{label}</Text>
+      <Switch value={value} onValueChange={onValueChange} trackColor={{ true: COLORS.primary }} />
+    </View>
+  );
+
+  return (
+    <View>
+      {inheritable && renderSwitch('Use group rules', isInherited, (value) =>
+        onChange(value ? null : { ...DEFAULT_ENTRY_POLICY })
+      )}
+
+      {!isInherited && (
+        <>
+          {renderSwitch('Block future days', current.block_future, (value) =>
+            update({ block_future: value })
+          )}
+          {renderSwitch('Limit late entries', hasLateWindow, (value) =>
+            update({ late_window_days: value ? 3 : null })
+          )}
+          {hasLateWindow && (
+            <View style={styles.row}>
+              <Text style={styles.rowLabel}>Days allowed after each day</Text>
+              <TextInput
+                style={styles.daysInput}
+                value={String(current.late_window_days)}
+                onChangeText={(text) => {
+                  const days = parseInt(text.replace(/[^0-9]/g, ''), 10);
+                  update({ late_window_days: Number.isNaN(days) ? 0 : Math.min(days, 365) });
+                }}
+                keyboardType="number-pad"
+                maxLength={3}
+              />
+            </View>
+          )}
+          {renderSwitch('Lock after the end date', current.lock_after_end, (value) =>
+            update({ lock_after_end: value })
+          )}
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+  },
+  rowLabel: {
+    flex: 1,
+    fontSize: 15,
+    color: COLORS.black,
+    marginRight: 12,
+  },
+  daysInput: {
+    width: 64,
+    backgroundColor: COLORS.white,
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    color: COLORS.black,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+    textAlign: 'center',
+  },
+});
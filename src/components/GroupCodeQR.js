@@ -0,0 +1,48 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import QRCode from 'react-native-qrcode-svg';
+import { COLORS } from '../constants';
+import { inviteLinks } from '../utils';
+
+/**
+ * GroupCodeQR Component
+ * QR code of a group's invite link, with the code printed underneath.
+ * Phone cameras open the app from it; JoinGroupScreen's scanner reads it too.
+ *
+ * @param {string} groupCode - 5-digit group code
+ * @param {number} size - QR code size in points (default 180)
+ */
+export const GroupCodeQR = ({ groupCode, size = 180 }) => {
+  if (!groupCode) return null;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.qrFrame}>
+        <QRCode
+          value={inviteLinks.buildInviteUrl(groupCode)}
+          size={size}
+          color={COLORS.black}
+          backgroundColor={COLORS.white}
+        />
+      </View>
+      <Text style={[styles.code, { fontSize: Math.max(20, size / 7) }]}>{groupCode}</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+  },
+  qrFrame: {
+    padding: 12,
+    backgroundColor: COLORS.white,
+    borderRadius: 12,
+  },
+  code: {
+    fontWeight: 'bold',
+    color: COLORS.black,
+    letterSpacing: 6,
+    marginTop: 12,
+  },
+});
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { Circle, Line, Polyline } from 'react-native-svg';
+import { COLORS } from '../constants';
+
+const PADDING = 8;
+
+/**
+ * MoodTrendChart Component
+ * Line chart of mood and energy ratings (1-5) over an exercise's days.
+ * @param {Array} points - Ordered [{ dateStr, mood, energy }] (null values are skipped)
+ * @param {number} height - Chart height (default 120)
+ */
+export const MoodTrendChart = ({ points, height = 120 }) => {
+  const [width, setWidth] = useState(0);
+
+  const getX = (index) => (points.length === 1
+    ? width / 2
+    : PADDING + (index * (width - PADDING * 2)) / (points.length - 1));
+  const getY = (value) => PADDING + ((5 - value) * (height - PADDING * 2)) / 4;
+
+  const renderSeries = (key, color) => {
+    const coordinates = points
+      .map((point, index) => (point[key] ? { x: getX(index), y: getY(point[key]) } : null))
+      .filter(Boolean);
+
+    return (
+      <>
+        {coordinates.length > 1 && (
+          <Polyline
+            points={coordinates.map(({ x, y }) => `${x},${y}`).join(' ')}
+            fill="none"
+            stroke={color}
+            strokeWidth={2}
+          />
+        )}
+        {coordinates.map(({ x, y }, index) => (
+          <Circle key={`${key}-${index}`} cx={x} cy={y} r={3} fill={color} />
+        ))}
+      </>
+    );
+  };
+
+  return (
+    <View>
+      <View style={{ height }} onLayout={(event) => setWidth(event.nativeEvent.layout.width)}>
+        {width > 0 && (
+          <Svg width={width} height={height}>
+            {[1, 2, 3, 4, 5].map((value) => (
+              <Line
+                key={value}
+                x1={0}
+                x2={width}
+                y1={getY(value)}
+                y2={getY(value)}
+                stroke={COLORS.lightGray}
+                strokeWidth={1}
+              />
+            ))}
+            {renderSeries('energy', COLORS.secondary)}
+            {renderSeries('mood', COLORS.primary)}
+          </Svg>
+        )}
+      </View>
+      <View style={styles.legend}>
+        <View style={[styles.legendDot, { backgroundColor: COLORS.primary }]} />
+        <Text style={styles.legendText}>Mood</Text>
+        <View style={[styles.legendDot, { backgroundColor: COLORS.secondary }]} />
+        <Text style={styles.legendText}>Energy</Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  legend: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 8,
+  },
+  legendDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 6,
+  },
+  legendText: {
+    fontSize: 12,
+    color: COLORS.gray,
+    marginRight: 16,
+  },
+});
@@ -0,0 +1,168 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../constants';
+import { PROMPT_TYPES, reflectionPrompts } from '../utils';
+
+/**
+ * ReflectionPromptsEditor Component
+ * Edits the list of reflection questions attached to an exercise.
+ *
+ * @param {Array} prompts - [{ id, type, question, options }]
+ * @param {function} onChange - Called with the updated prompts array
+ */
+export const ReflectionPromptsEditor = ({ prompts, onChange }) => {
+  const updatePrompt = (id, changes) => {
+    onChange(prompts.map((prompt) => (prompt.id === id ? { ...prompt, ...changes } : prompt)));
+  };
+
+  const removePrompt = (id) => {
+    onChange(prompts.filter((prompt) => prompt.id !== id));
+  };
+
+  const updateOption = (prompt, index, value) => {
+    const options = [...prompt.options];
+    options[index] = value;
+    updatePrompt(prompt.id, { options });
+  };
+
+  const removeOption = (prompt, index) => {
+    updatePrompt(prompt.id, { options: prompt.options.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <View>
+      {prompts.map((prompt, promptIndex) => (
+        <View key={prompt.id} style={styles.prompt}>
+          <View style={styles.promptHeader}>
+            <Text style={styles.promptType}>
+              {promptIndex + 1}. {reflectionPrompts.getTypeLabel(prompt.type)}
+            </Text>
+            <TouchableOpacity onPress={() => removePrompt(prompt.id)}>
+              <Ionicons name="trash-outline" size={18} color={COLORS.error} />
+            </TouchableOpacity>
+          </View>
+          <TextInput
+            style={styles.input}
+            placeholder="Enter question..."
+            value={prompt.question}
+            onChangeText={(question) => updatePrompt(prompt.id, { question })}
+            placeholderTextColor={COLORS.inputPlaceholder}
+          />
+          {prompt.type === 'choice' && (
+            <>
+              {prompt.options.map((option, optionIndex) => (
+                <View key={optionIndex} style={styles.optionRow}>
+                  <TextInput
+                    style={[styles.input, styles.optionInput]}
+                    placeholder={`Choice ${optionIndex + 1}`}
+                    value={option}
+                    onChangeText={(value) => updateOption(prompt, optionIndex, value)}
+                    placeholderTextColor={COLORS.inputPlaceholder}
+                  />
+                  {prompt.options.length > 2 && (
+                    <TouchableOpacity
+                      onPress={() => removeOption(prompt, optionIndex)}
+                      style={styles.optionRemove}
+                    >
+                      <Ionicons name="close" size={18} color={COLORS.gray} />
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+              <TouchableOpacity
+                onPress={() => updatePrompt(prompt.id, { options: [...prompt.options, ''] })}
+              >
+                <Text style={styles.addChoiceText}>+ Add choice</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      ))}
+
+      <Text style={styles.addLabel}>Add a question</Text>
+      <View style={styles.typeRow}>
+        {PROMPT_TYPES.map(({ type, label }) => (
+          <TouchableOpacity
+            key={type}
+            style={styles.typeButton}
+            onPress={() => onChange([...prompts, reflectionPrompts.createPrompt(type)])}
+            activeOpacity={0.8}
+          >
+            <Text style={styles.typeButtonText}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  prompt: {
+    backgroundColor: COLORS.white,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  promptHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  promptType: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.gray,
+  },
+  input: {
+    backgroundColor: COLORS.white,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: COLORS.black,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  optionInput: {
+    flex: 1,
+  },
+  optionRemove: {
+    padding: 8,
+    marginBottom: 8,
+  },
+  addChoiceText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  addLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.black,
+    marginBottom: 8,
+  },
+  typeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  typeButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    backgroundColor: COLORS.white,
+  },
+  typeButtonText: {
+    fontSize: 14,
+    color: COLORS.primary,
+    fontWeight: '500',
+  },
+});
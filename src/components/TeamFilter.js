@@ -0,0 +1,76 @@
+import React from 'react';
+import { ScrollView, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { COLORS } from '../constants';
+import { NO_TEAM } from '../utils';
+
+/**
+ * Team Filter Component
+ * A horizontal row of chips for narrowing a list to one team of a group.
+ * Renders nothing when the group has no teams.
+ * @param {Array} teams - Rows from teamService.getTeams
+ * @param {string|null} value - null for everyone, NO_TEAM, or a team ID
+ * @param {Function} onChange - Called with the new value
+ * @param {boolean} showUnassigned - Add a chip for members without a team (default true)
+ * @param {object} style - Additional container styles
+ */
+export const TeamFilter = ({ teams, value, onChange, showUnassigned = true, style }) => {
+  if (!teams || teams.length === 0) return null;
+
+  const options = [
+    { value: null, label: 'Everyone' },
+    ...teams.map((team) => ({ value: team.id, label: team.name })),
+    ...(showUnassigned ? [{ value: NO_TEAM, label: 'No team' }] : []),
+  ];
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={style}
+      contentContainerStyle={styles.row}
+    >
+      {options.map((option) => {
+        const isActive = value === option.value;
+        return (
+          <TouchableOpacity
+            key={option.value || 'all'}
+            style={[styles.chip, isActive && styles.chipActive]}
+            onPress={() => onChange(option.value)}
+            activeOpacity={0.8}
+          >
+            <Text style={[styles.chipText, isActive && styles.chipTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+    backgroundColor: COLORS.background,
+  },
+  chipActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  chipText: {
+    fontSize: 14,
+    color: COLORS.black,
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: COLORS.white,
+  },
+});
@@ -10,3 +10,9 @@ export { Card } from './Card';
 export { ScreenHeader } from './ScreenHeader';
 export { MenuModal } from './MenuModal';
 export { DatePickerCard, DatePickerInput } from './DatePickerInput';
+export { ReflectionPromptsEditor } from './ReflectionPromptsEditor';
+export { MoodTrendChart } from './MoodTrendChart';
+export { EntryPolicyEditor } from './EntryPolicyEditor';
+export { CommentThread } from './CommentThread';
+export { GroupCodeQR } from './GroupCodeQR';
+export { TeamFilter } from './TeamFilter';
@@ -8,11 +8,13 @@ import {
   ActivityIndicator,
   RefreshControl,
   Platform,
+  Alert,
 } from 'react-native';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { COLORS, SHADOWS } from '../../constants';
-import { groupService, notificationService } from '../../services';
+import { groupService, notificationService, announcementService } from '../../services';
+import { groupRoles } from '../../utils';
 import { BottomTabBar } from '../../components';
 
 /**
@@ -21,7 +23,10 @@ import { BottomTabBar } from '../../components';
 export const DashboardScreen = ({ navigation, route }) => {
   const [activeTab, setActiveTab] = useState(route.params?.initialTab || 'joined');
   const [createdGroups, setCreatedGroups] = useState([]);
+  const [facilitatedGroups, setFacilitatedGroups] = useState([]);
   const [joinedGroups, setJoinedGroups] = useState([]);
+  const [archivedGroups, setArchivedGroups] = useState([]);
+  const [unreadAnnouncements, setUnreadAnnouncements] = useState({});
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
 
@@ -64,13 +69,19 @@ export const DashboardScreen = ({ navigation, route }) => {
 
   const loadGroups = async () => {
     try {
-      const [created, joined] = await Promise.all([
+      const [created, facilitated, joined, archived, unread] = await Promise.all([
         groupService.getCreatedGroups(),
+        groupService.getFacilitatedGroups(),
         groupService.getJoinedGroups(),
+        groupService.getArchivedGroups(),
+        announcementService.getUnreadCounts(),
       ]);
 
       if (created.data) setCreatedGroups(created.data);
+      if (facilitated.data) setFacilitatedGroups(facilitated.data);
       if (joined.data) setJoinedGroups(joined.data);
+      if (archived.data) setArchivedGroups(archived.data);
+      if (unread.data) setUnreadAnnouncements(unread.data);
     } catch (error) {
       console.error('Error loading groups:', error);
     } finally {
@@ -84,12 +95,21 @@ export const DashboardScreen = ({ navigation, route }) => {
     loadGroups();
   };
 
+  const handleRestore = async (groupId) => {
+    const { error } = await groupService.restoreGroup(groupId);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to restore group');
+      return;
+    }
+    loadGroups();
+  };
+
   const renderGroupCard = (group, role, isLast) => (
     <View key={group.id}>
       <TouchableOpacity
         style={styles.groupCard}
         onPress={() => {
-          if (role === 'Owner') {
+          if (role !== 'Member') {
             navigation.navigate('CreatedGroupDetail', { groupId: group.id });
           } else {
             navigation.navigate('JoinedGroupDetail', { groupId: group.id });
@@ -98,18 +118,70 @@ export const DashboardScreen = ({ navigation, route }) => {
         activeOpacity={0.7}
       >
         <View style={styles.groupHeader}>
-          <Text style={styles.groupName}>{group.name}</Text>
+          <View style={styles.groupTitleRow}>
+            <Text style={styles.groupName}>{group.name}</Text>
+            {unreadAnnouncements[group.id] > 0 && (
+              <View style={styles.unreadBadge}>
+                <Ionicons name="megaphone" size={12} color={COLORS.white} />
+                <Text style={styles.unreadBadgeText}>{unreadAnnouncements[group.id]}</Text>
+              </View>
+            )}
+          </View>
           <Text style={styles.roleText}>{role}</Text>
         </View>
         <Text style={styles.groupDescription} numberOfLines={2}>
           {group.description || 'No description'}
         </Text>
+        {group.my_role === 'owner' && (
+          <TouchableOpacity
+            style={styles.restoreButton}
+            onPress={() => handleRestore(group.id)}
+            activeOpacity={0.7}
+          >
+            <Ionicons name="refresh" size={16} color={COLORS.primary} />
+            <Text style={styles.restoreButtonText}>Restore</Text>
+          </TouchableOpacity>
+        )}
       </TouchableOpacity>
       {!isLast && <View style={styles.groupSeparator} />}
     </View>
   );
 
-  const currentGroups = activeTab === 'created' ? createdGroups : joinedGroups;
+  // Groups the user co-teaches are listed with the ones they created
+  const getCurrentGroups = () => {
+    if (activeTab === 'created') {
+      return [
+        ...createdGroups.map((group) => ({ group, role: 'Owner' })),
+        ...facilitatedGroups.map((group) => ({ group, role: 'Facilitator' })),
+      ];
+    }
+    if (activeTab === 'archived') {
+      return archivedGroups.map((group) => ({ group, role: groupRoles.getRoleLabel(group.my_role) }));
+    }
+    return joinedGroups.map((group) => ({ group, role: 'Member' }));
+  };
+
+  const currentGroups = getCurrentGroups();
+
+  const renderTab = (tab, label) => (
+    <TouchableOpacity
+      style={[
+        styles.tab,
+        activeTab === tab && styles.tabActive,
+      ]}
+      onPress={() => setActiveTab(tab)}
+      activeOpacity={0.85}
+    >
+      <Text
+        style={[
+          styles.tabText,
+          activeTab === tab && styles.tabTextActive,
+        ]}
+      >
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
 
   return (
     <View style={styles.container}>
@@ -121,41 +193,9 @@ export const DashboardScreen = ({ navigation, route }) => {
         </View>
 
         <View style={styles.tabs}>
-          <TouchableOpacity
-            style={[
-              styles.tab,
-              activeTab === 'created' && styles.tabActive,
-            ]}
-            onPress={() => setActiveTab('created')}
-            activeOpacity={0.85}
-          >
-            <Text
-              style={[
-                styles.tabText,
-                activeTab === 'created' && styles.tabTextActive,
-              ]}
-            >
-              Created
-            </Text>
-          </TouchableOpacity>
-
-          <TouchableOpacity
-            style={[
-              styles.tab,
-              activeTab === 'joined' && styles.tabActive,
-            ]}
-            onPress={() => setActiveTab('joined')}
-            activeOpacity={0.85}
-          >
-            <Text
-              style={[
-                styles.tabText,
-                activeTab === 'joined' && styles.tabTextActive,
-              ]}
-            >
-              Joined
-            </Text>
-          </TouchableOpacity>
+          {renderTab('created', 'Created')}
+          {renderTab('joined', 'Joined')}
+          {renderTab('archived', 'Archived')}
         </View>
 
         <View style={styles.divider} />
@@ -174,37 +214,37 @@ export const DashboardScreen = ({ navigation, route }) => {
           {loading ? (
             <ActivityIndicator color={COLORS.primary} style={styles.loader} />
           ) : currentGroups.length > 0 ? (
-            currentGroups.map((group, index) =>
-              renderGroupCard(
-                group,
-                activeTab === 'created' ? 'Owner' : 'Member',
-                index === currentGroups.length - 1
-              )
+            currentGroups.map(({ group, role }, index) =>
+              renderGroupCard(group, role, index === currentGroups.length - 1)
             )
           ) : (
-            <Text style={styles.emptyText}>No groups yet</Text>
+            <Text style={styles.emptyText}>
+              {activeTab === 'archived' ? 'No archived groups' : 'No groups yet'}
+            </Text>
           )}
         </ScrollView>
 
-        <TouchableOpacity
-          style={styles.actionButton}
-          onPress={() =>
-            navigation.navigate(
-              activeTab === 'created' ? 'CreateGroup' : 'JoinGroup',
-              { fromDashboard: true }
-            )
-          }
-          activeOpacity={0.85}
-        >
-          {activeTab === 'created' ? (
-            <Ionicons name="add" size={24} color={COLORS.white} style={styles.actionIcon} />
-          ) : (
-            <MaterialCommunityIcons name="login" size={22} color={COLORS.white} style={styles.actionIcon} />
-          )}
-          <Text style={styles.actionButtonText}>
-            {activeTab === 'created' ? 'Create Group' : 'Join Group'}
-          </Text>
-        </TouchableOpacity>
+        {activeTab !== 'archived' && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() =>
+              navigation.navigate(
+                activeTab === 'created' ? 'CreateGroup' : 'JoinGroup',
+                { fromDashboard: true }
+              )
+            }
+            activeOpacity={0.85}
+          >
+            {activeTab === 'created' ? (
+              <Ionicons name="add" size={24} color={COLORS.white} style={styles.actionIcon} />
+            ) : (
+              <MaterialCommunityIcons name="login" size={22} color={COLORS.white} style={styles.actionIcon} />
+            )}
+            <Text style={styles.actionButtonText}>
+              {activeTab === 'created' ? 'Create Group' : 'Join Group'}
+            </Text>
+          </TouchableOpacity>
+        )}
       </View>
 
       <View style={styles.activityCard}>
@@ -255,7 +295,7 @@ const styles = StyleSheet.create({
   tab: {
     flex: 1,
     paddingVertical: 12,
-    paddingHorizontal: 20,
+    paddingHorizontal: 8,
     borderRadius: 20,
     backgroundColor: COLORS.lightGray,
     alignItems: 'center',
@@ -305,11 +345,33 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 4,
   },
+  groupTitleRow: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginRight: 8,
+  },
   groupName: {
+    flexShrink: 1,
     fontSize: 16,
     fontWeight: '600',
     color: COLORS.black,
   },
+  unreadBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    borderRadius: 999,
+    backgroundColor: COLORS.secondary,
+  },
+  unreadBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: COLORS.white,
+  },
   roleText: {
     fontSize: 14,
     fontStyle: 'italic',
@@ -320,6 +382,18 @@ const styles = StyleSheet.create({
     color: COLORS.black,
     lineHeight: 20,
   },
+  restoreButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 4,
+    marginTop: 8,
+  },
+  restoreButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
   actionButton: {
     flexDirection: 'row',
     backgroundColor: COLORS.accent,
@@ -0,0 +1,287 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Switch,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../constants';
+import { announcementService } from '../../services';
+import { formatters } from '../../utils';
+import { ScreenHeader } from '../../components';
+
+/**
+ * Announcements Modal
+ * A group's announcements, pinned first. Owners get a composer and can pin,
+ * unpin and delete posts; members only read. Opening it marks the group's
+ * announcements as read.
+ */
+export const AnnouncementsModal = ({ visible, group, canPost, onClose }) => {
+  const [announcements, setAnnouncements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [text, setText] = useState('');
+  const [pinned, setPinned] = useState(false);
+  const [posting, setPosting] = useState(false);
+
+  useEffect(() => {
+    if (visible && group) {
+      setText('');
+      setPinned(false);
+      loadAnnouncements();
+      announcementService.markRead(group.id);
+    }
+  }, [visible, group]);
+
+  const loadAnnouncements = async () => {
+    setLoading(true);
+    const { data, error } = await announcementService.getAnnouncements(group.id);
+    if (error) {
+      console.error('Error loading announcements:', error);
+    }
+    setAnnouncements(data || []);
+    setLoading(false);
+  };
+
+  const handlePost = async () => {
+    if (!text.trim()) return;
+
+    setPosting(true);
+    const { error } = await announcementService.createAnnouncement(group.id, text, pinned);
+    setPosting(false);
+
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to post announcement');
+      return;
+    }
+
+    setText('');
+    setPinned(false);
+    loadAnnouncements();
+  };
+
+  const handleTogglePin = async (announcement) => {
+    const { error } = await announcementService.setPinned(announcement.id, !announcement.pinned);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to update announcement');
+      return;
+    }
+    loadAnnouncements();
+  };
+
+  const handleDelete = (announcement) => {
+    Alert.alert('Delete Announcement', 'Remove this announcement for everyone in the group?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          const { error } = await announcementService.deleteAnnouncement(announcement.id);
+          if (error) {
+            Alert.alert('Error', error.message || 'Failed to delete announcement');
+            return;
+          }
+          setAnnouncements((prev) => prev.filter((a) => a.id !== announcement.id));
+        },
+      },
+    ]);
+  };
+
+  if (!group) return null;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        keyboardVerticalOffset={Platform.OS === 'ios' ? 100 : 20}
+      >
+        <ScreenHeader title="Announcements" onBack={onClose} variant="modal" />
+
+        {canPost && (
+          <View style={styles.composer}>
+            <TextInput
+              style={styles.input}
+              value={text}
+              onChangeText={setText}
+              placeholder={`Write to everyone in ${group.name}...`}
+              placeholderTextColor={COLORS.inputPlaceholder}
+              multiline
+              maxLength={2000}
+            />
+            <View style={styles.composerRow}>
+              <View style={styles.pinRow}>
+                <Switch value={pinned} onValueChange={setPinned} trackColor={{ true: COLORS.primary }} />
+                <Text style={styles.pinLabel}>Pin to top</Text>
+              </View>
+              <TouchableOpacity
+                style={[styles.postButton, (!text.trim() || posting) && styles.postButtonDisabled]}
+                onPress={handlePost}
+                disabled={!text.trim() || posting}
+                activeOpacity={0.85}
+              >
+                {posting ? (
+                  <ActivityIndicator color={COLORS.white} />
+                ) : (
+                  <Text style={styles.postButtonText}>Post</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        {loading ? (
+          <ActivityIndicator color={COLORS.primary} style={styles.loader} />
+        ) : announcements.length === 0 ? (
+          <Text style={styles.emptyText}>
+            {canPost ? 'Nothing posted yet. Members will see your announcements here.' : 'No announcements yet'}
+          </Text>
+        ) : (
+          <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+            {announcements.map((announcement) => (
+              <View
+                key={announcement.id}
+                style={[styles.card, announcement.pinned && styles.cardPinned]}
+              >
+                <View style={styles.cardHeader}>
+                  {announcement.pinned && (
+                    <Ionicons name="pin" size={14} color={COLORS.primary} />
+                  )}
+                  <Text style={styles.meta}>
+                    {announcement.authorName} · {formatters.formatRelativeTime(announcement.created_at)}
+                  </Text>
+                  {canPost && (
+                    <View style={styles.actions}>
+                      <TouchableOpacity onPress={() => handleTogglePin(announcement)}>
+                        <Ionicons
+                          name={announcement.pinned ? 'pin' : 'pin-outline'}
+                          size={18}
+                          color={announcement.pinned ? COLORS.primary : COLORS.gray}
+                        />
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => handleDelete(announcement)}>
+                        <Ionicons name="trash-outline" size={18} color={COLORS.error} />
+                      </TouchableOpacity>
+                    </View>
+                  )}
+                </View>
+                <Text style={styles.body}>{announcement.body}</Text>
+              </View>
+            ))}
+          </ScrollView>
+        )}
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.white,
+    padding: 24,
+    paddingTop: 60,
+  },
+  composer: {
+    backgroundColor: COLORS.background,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  input: {
+    backgroundColor: COLORS.white,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: COLORS.black,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+    minHeight: 80,
+    textAlignVertical: 'top',
+    marginBottom: 12,
+  },
+  composerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  pinRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  pinLabel: {
+    fontSize: 15,
+    color: COLORS.black,
+  },
+  postButton: {
+    backgroundColor: COLORS.primary,
+    paddingVertical: 10,
+    paddingHorizontal: 24,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  postButtonDisabled: {
+    opacity: 0.5,
+  },
+  postButtonText: {
+    color: COLORS.white,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  loader: {
+    marginTop: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: COLORS.gray,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  list: {
+    flex: 1,
+  },
+  card: {
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.lightGray,
+    marginBottom: 8,
+  },
+  cardPinned: {
+    borderColor: COLORS.primary,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 6,
+  },
+  meta: {
+    flex: 1,
+    fontSize: 13,
+    color: COLORS.gray,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 16,
+  },
+  body: {
+    fontSize: 15,
+    color: COLORS.black,
+    lineHeight: 21,
+  },
+});
@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../constants';
+import { discussionService, teamService } from '../../services';
+import { teams } from '../../utils';
+import { ScreenHeader, CommentThread, TeamFilter } from '../../components';
+
+/**
+ * Keep the threads started by members of a team, with all of their replies
+ * @param {Array} posts - Rows from discussionService.getPosts
+ * @param {string|null} teamFilter - null for everyone, NO_TEAM, or a team ID
+ * @param {object} memberTeams - user_id to team_id
+ * @returns {Array}
+ */
+const filterThreadsByTeam = (posts, teamFilter, memberTeams) => {
+  if (!teamFilter) return posts;
+  const byId = new Map(posts.map((post) => [post.id, post]));
+  return posts.filter((post) => {
+    let root = post;
+    while (root.parent_id && byId.has(root.parent_id)) {
+      root = byId.get(root.parent_id);
+    }
+    return teams.matchesFilter(memberTeams[root.author_id], teamFilter);
+  });
+};
+
+/**
+ * Discussion Modal
+ * An exercise's discussion thread. Members post, reply and edit or delete their
+ * own posts; moderators can also hide or delete any post and lock the thread.
+ * In groups with teams the threads can be narrowed to those started in one team.
+ * onExerciseUpdated is called with the exercise fields that changed.
+ */
+export const DiscussionModal = ({ visible, exercise, canModerate, onClose, onExerciseUpdated }) => {
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [locked, setLocked] = useState(false);
+  const [groupTeams, setGroupTeams] = useState([]);
+  const [memberTeams, setMemberTeams] = useState({});
+  const [teamFilter, setTeamFilter] = useState(null);
+
+  useEffect(() => {
+    if (visible && exercise?.id) {
+      setLocked(!!exercise.discussion_locked);
+      loadPosts();
+      loadTeams();
+    }
+  }, [visible, exercise?.id]);
+
+  const loadTeams = async () => {
+    const [teamsResult, memberTeamsResult] = await Promise.all([
+      teamService.getTeams(exercise.group_id),
+      teamService.getMemberTeams(exercise.group_id),
+    ]);
+    setGroupTeams(teamsResult.data || []);
+    setMemberTeams(memberTeamsResult.data || {});
+  };
+
+  const loadPosts = async () => {
+    setLoading(true);
+    const { data, error } = await discussionService.getPosts(exercise.id);
+    setLoading(false);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to load discussion');
+      return;
+    }
+    setPosts(data || []);
+  };
+
+  const handleSend = async (body, parentId) => {
+    const { error } = await discussionService.addPost(exercise.id, body, parentId);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to post');
+      return false;
+    }
+    await loadPosts();
+    return true;
+  };
+
+  const handleEdit = async (post, body) => {
+    const { error } = await discussionService.editPost(post.id, body);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to edit post');
+      return false;
+    }
+    await loadPosts();
+    return true;
+  };
+
+  const handleDelete = (post) => {
+    Alert.alert('Delete Post', 'Delete this post and any replies to it?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          const { error } = await discussionService.deletePost(post.id);
+          if (error) {
+            Alert.alert('Error', error.message || 'Failed to delete post');
+            return;
+          }
+          loadPosts();
+        },
+      },
+    ]);
+  };
+
+  const handleToggleHidden = async (post) => {
+    const { error } = await discussionService.setHidden(post.id, !post.hidden);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to update post');
+      return;
+    }
+    loadPosts();
+  };
+
+  const handleToggleLock = () => {
+    const lock = !locked;
+    Alert.alert(
+      lock ? 'Lock Discussion' : 'Unlock Discussion',
+      lock
+        ? 'Members can still read the discussion but cannot post, reply or edit.'
+        : 'Members will be able to post again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: lock ? 'Lock' : 'Unlock',
+          onPress: async () => {
+            const { error } = await discussionService.setLocked(exercise.id, lock);
+            if (error) {
+              Alert.alert('Error', error.message || 'Failed to update discussion');
+              return;
+            }
+            setLocked(lock);
+            onExerciseUpdated?.({ discussion_locked: lock });
+          },
+        },
+      ]
+    );
+  };
+
+  if (!exercise) return null;
+
+  const ownerId = exercise.groups?.owner_id;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <ScreenHeader
+          title="Discussion"
+          onBack={onClose}
+          variant="modal"
+          rightElement={
+            canModerate ? (
+              <TouchableOpacity onPress={handleToggleLock} style={styles.lockButton}>
+                <Ionicons
+                  name={locked ? 'lock-closed' : 'lock-open-outline'}
+                  size={22}
+                  color={COLORS.black}
+                />
+              </TouchableOpacity>
+            ) : undefined
+          }
+        />
+
+        <Text style={styles.subtitle}>{exercise.title}</Text>
+
+        <TeamFilter
+          teams={groupTeams}
+          value={teamFilter}
+          onChange={setTeamFilter}
+          showUnassigned={false}
+          style={styles.teamFilter}
+        />
+
+        <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+          {loading && posts.length === 0 ? (
+            <ActivityIndicator color={COLORS.primary} style={styles.loader} />
+          ) : (
+            <CommentThread
+              comments={filterThreadsByTeam(posts, teamFilter, memberTeams)}
+              onSend={handleSend}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+              onToggleHidden={handleToggleHidden}
+              canModerate={canModerate}
+              locked={locked || !!exercise.groups?.archived_at}
+              authorBadges={ownerId ? { [ownerId]: 'Owner' } : {}}
+              emptyText="No posts yet. Start the conversation."
+            />
+          )}
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.white,
+    padding: 24,
+    paddingTop: 60,
+  },
+  lockButton: {
+    width: 40,
+    padding: 4,
+    alignItems: 'flex-end',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 16,
+  },
+  teamFilter: {
+    flexGrow: 0,
+    marginBottom: 16,
+  },
+  loader: {
+    marginTop: 24,
+  },
+});
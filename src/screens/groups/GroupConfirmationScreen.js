@@ -1,6 +1,7 @@
 import React from 'react';
 import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { COLORS } from '../../constants';
+import { GroupCodeQR } from '../../components';
 
 /**
  * Group Confirmation Screen - Confirm group details
@@ -31,6 +32,12 @@ export const GroupConfirmationScreen = ({ navigation, route }) => {
           <Text style={styles.groupDescription}>
             {group?.description || 'The study of moral principles'}
           </Text>
+          {isCreator && group?.group_code && (
+            <View style={styles.qrContainer}>
+              <Text style={styles.qrHint}>Members can scan this to join</Text>
+              <GroupCodeQR groupCode={group.group_code} size={140} />
+            </View>
+          )}
         </View>
 
         <View style={styles.buttonsContainer}>
@@ -100,6 +107,15 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     lineHeight: 24,
   },
+  qrContainer: {
+    alignItems: 'center',
+    marginTop: 24,
+  },
+  qrHint: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 8,
+  },
   buttonsContainer: {
     flexDirection: 'row',
     gap: 16,
@@ -1,4 +1,4 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import {
   View,
   Text,
@@ -7,18 +7,29 @@ import {
   TouchableOpacity,
   Alert,
 } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import { COLORS, SHADOWS } from '../../constants';
 import { groupMemberService, groupService } from '../../services';
+import { ScanCodeModal } from './ScanCodeModal';
 
 /**
  * Join Group Screen - Enter 5-digit PIN
+ * Opened with route.params.inviteCode from an invite link, the code is filled in and joined straight away.
  */
 export const JoinGroupScreen = ({ navigation, route }) => {
+  const inviteCode = route?.params?.inviteCode;
   const [code, setCode] = useState('');
   const [focused, setFocused] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
   const inputRef = useRef(null);
 
+  useEffect(() => {
+    if (inviteCode) {
+      handleChange(inviteCode);
+    }
+  }, [inviteCode]);
+
   const handleChange = (value) => {
     const digits = value.replace(/\D/g, '').slice(0, 5);
     setCode(digits);
@@ -36,7 +47,7 @@ export const JoinGroupScreen = ({ navigation, route }) => {
 
     setLoading(true);
     try {
-      const { error, groupId } = await groupMemberService.joinGroup(fullCode);
+      const { error, groupId, groupName, status } = await groupMemberService.joinGroup(fullCode);
 
       if (error) {
         Alert.alert('Error', error.message || 'Invalid group code');
@@ -44,6 +55,15 @@ export const JoinGroupScreen = ({ navigation, route }) => {
         return;
       }
 
+      if (status === 'pending') {
+        Alert.alert(
+          'Request Sent',
+          `The owner of ${groupName} needs to approve your request. The group will appear on your dashboard once they do.`
+        );
+        navigation.navigate('Dashboard');
+        return;
+      }
+
       const { data: groupData, error: groupError } = await groupService.getGroupById(groupId);
 
       if (groupError) {
@@ -63,6 +83,11 @@ export const JoinGroupScreen = ({ navigation, route }) => {
     }
   };
 
+  const handleScanned = (scannedCode) => {
+    setShowScanner(false);
+    handleChange(scannedCode);
+  };
+
   // The "cursor" position: the next empty box, capped at the last box
   const activeIndex = Math.min(code.length, 4);
 
@@ -87,7 +112,9 @@ export const JoinGroupScreen = ({ navigation, route }) => {
       </View>
 
       <View style={styles.content}>
-        <Text style={styles.subtitle}>Please enter a 5 digit PIN.</Text>
+        <Text style={styles.subtitle}>
+          {inviteCode ? 'Joining the group from your invite link.' : 'Please enter a 5 digit PIN.'}
+        </Text>
 
         {/* Tapping anywhere on the row focuses the hidden input */}
         <TouchableOpacity
@@ -121,10 +148,25 @@ export const JoinGroupScreen = ({ navigation, route }) => {
           style={styles.hiddenInput}
         />
 
-        {loading && (
+        {loading ? (
           <Text style={styles.loadingText}>Joining group...</Text>
+        ) : (
+          <TouchableOpacity
+            style={styles.scanButton}
+            onPress={() => setShowScanner(true)}
+            activeOpacity={0.7}
+          >
+            <Ionicons name="qr-code-outline" size={20} color={COLORS.primary} />
+            <Text style={styles.scanButtonText}>Scan code</Text>
+          </TouchableOpacity>
         )}
       </View>
+
+      <ScanCodeModal
+        visible={showScanner}
+        onScanned={handleScanned}
+        onClose={() => setShowScanner(false)}
+      />
     </View>
   );
 };
@@ -206,6 +248,22 @@ const styles = StyleSheet.create({
     width: 1,
     height: 1,
   },
+  scanButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 40,
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  scanButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
   loadingText: {
     marginTop: 32,
     fontSize: 16,
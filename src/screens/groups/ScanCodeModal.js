@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { CameraView, useCameraPermissions, scanFromURLAsync } from 'expo-camera';
+import * as ImagePicker from 'expo-image-picker';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../constants';
+import { inviteLinks } from '../../utils';
+
+/**
+ * Scan Code Modal
+ * Reads a group QR code from the camera or from a picked image (e.g. a screenshot of slides)
+ * and passes the group code to onScanned.
+ */
+export const ScanCodeModal = ({ visible, onScanned, onClose }) => {
+  const [permission, requestPermission] = useCameraPermissions();
+  const [pickingImage, setPickingImage] = useState(false);
+  // Camera frames keep arriving after a match, so only the first one is handled
+  const handledRef = useRef(false);
+
+  useEffect(() => {
+    if (visible) {
+      handledRef.current = false;
+      if (permission && !permission.granted && permission.canAskAgain) {
+        requestPermission();
+      }
+    }
+  }, [visible, permission?.granted]);
+
+  const handleData = (data) => {
+    if (handledRef.current) return true;
+    const code = inviteLinks.getCodeFromScan(data);
+    if (!code) return false;
+    handledRef.current = true;
+    onScanned(code);
+    return true;
+  };
+
+  const handleBarcodeScanned = ({ data }) => {
+    handleData(data);
+  };
+
+  const handlePickImage = async () => {
+    setPickingImage(true);
+    try {
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ['images'],
+        quality: 1,
+      });
+      if (result.canceled || !result.assets?.length) return;
+
+      const barcodes = await scanFromURLAsync(result.assets[0].uri, ['qr']);
+      const found = barcodes.some((barcode) => handleData(barcode.data));
+      if (!found) {
+        Alert.alert('No Group Code Found', 'That image does not contain a group QR code.');
+      }
+    } catch (error) {
+      console.error('Error scanning image:', error);
+      Alert.alert('Error', 'Could not read a QR code from that image.');
+    } finally {
+      setPickingImage(false);
+    }
+  };
+
+  const renderCamera = () => {
+    if (!permission) {
+      return <ActivityIndicator color={COLORS.white} />;
+    }
+    if (!permission.granted) {
+      return (
+        <View style={styles.permissionBox}>
+          <Text style={styles.permissionText}>
+            Allow camera access to scan a group QR code, or choose a picture of one instead.
+          </Text>
+          {permission.canAskAgain && (
+            <TouchableOpacity style={styles.permissionButton} onPress={requestPermission}>
+              <Text style={styles.permissionButtonText}>Allow Camera</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      );
+    }
+    return (
+      <CameraView
+        style={styles.camera}
+        facing="back"
+        barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+        onBarcodeScanned={visible ? handleBarcodeScanned : undefined}
+      />
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="fullScreen"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeIcon}>×</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Scan Code</Text>
+          <View style={styles.placeholder} />
+        </View>
+
+        <View style={styles.cameraContainer}>{renderCamera()}</View>
+
+        <Text style={styles.hint}>Point the camera at the QR code your instructor is showing.</Text>
+
+        <TouchableOpacity
+          style={styles.pickButton}
+          onPress={handlePickImage}
+          disabled={pickingImage}
+          activeOpacity={0.85}
+        >
+          {pickingImage ? (
+            <ActivityIndicator color={COLORS.white} />
+          ) : (
+            <>
+              <Ionicons name="image-outline" size={20} color={COLORS.white} />
+              <Text style={styles.pickButtonText}>Choose from Photos</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.black,
+    padding: 24,
+    paddingTop: 60,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 24,
+  },
+  closeButton: {
+    width: 40,
+    padding: 4,
+  },
+  closeIcon: {
+    fontSize: 36,
+    color: COLORS.white,
+    fontWeight: '300',
+    lineHeight: 36,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: COLORS.white,
+    flex: 1,
+    textAlign: 'center',
+  },
+  placeholder: {
+    width: 40,
+  },
+  cameraContainer: {
+    aspectRatio: 1,
+    width: '100%',
+    borderRadius: 16,
+    overflow: 'hidden',
+    backgroundColor: COLORS.gray,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  camera: {
+    width: '100%',
+    height: '100%',
+  },
+  permissionBox: {
+    padding: 24,
+    alignItems: 'center',
+  },
+  permissionText: {
+    fontSize: 15,
+    color: COLORS.white,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  permissionButton: {
+    marginTop: 16,
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    backgroundColor: COLORS.primary,
+  },
+  permissionButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: COLORS.white,
+  },
+  hint: {
+    fontSize: 15,
+    color: COLORS.white,
+    textAlign: 'center',
+    marginTop: 24,
+  },
+  pickButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    marginTop: 'auto',
+    marginBottom: 24,
+    paddingVertical: 16,
+    borderRadius: 12,
+    backgroundColor: COLORS.primary,
+  },
+  pickButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.white,
+  },
+});
@@ -11,14 +11,21 @@ import {
   KeyboardAvoidingView,
   Platform,
 } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import { COLORS } from '../../../constants';
 import { exerciseService, notificationService } from '../../../services';
-import { formatters } from '../../../utils';
-import { ScreenHeader, DatePickerCard } from '../../../components';
+import { formatters, reflectionPrompts } from '../../../utils';
+import {
+  ScreenHeader,
+  DatePickerCard,
+  ReflectionPromptsEditor,
+  EntryPolicyEditor,
+} from '../../../components';
+import { ExerciseLibraryModal } from './ExerciseLibraryModal';
 
 /**
  * Add Exercise Modal
- * Modal for adding a new exercise to a group
+ * Modal for adding a new exercise to a group, from scratch or from the owner's library
  */
 export const AddExerciseModal = ({ visible, groupId, onClose, onExerciseAdded }) => {
   const [title, setTitle] = useState('');
@@ -31,8 +38,27 @@ export const AddExerciseModal = ({ visible, groupId, onClose, onExerciseAdded })
   const [frequencyMax, setFrequencyMax] = useState('');
   const [instructions, setInstructions] = useState('');
   const [numberOfDays, setNumberOfDays] = useState('');
+  const [prompts, setPrompts] = useState([]);
+  const [entryRules, setEntryRules] = useState(null);
+  const [showLibrary, setShowLibrary] = useState(false);
   const [loading, setLoading] = useState(false);
 
+  // Fill the form from a library template; dates are left for this group
+  const handleSelectTemplate = (template) => {
+    const frequency = formatters.parseFrequencyRange(
+      template.frequency_per_day ? String(template.frequency_per_day) : null
+    );
+    setTitle(template.title || '');
+    setDescription(template.description || '');
+    setFrequencyMin(frequency ? frequency.min.toString() : '');
+    setFrequencyMax(frequency ? frequency.max.toString() : '');
+    setInstructions(template.instructions || '');
+    setNumberOfDays(template.number_of_days?.toString() || '');
+    setPrompts(template.reflection_prompts || []);
+    setEntryRules(template.entry_policy || null);
+    setShowLibrary(false);
+  };
+
   const handleAdd = async () => {
     if (!title.trim()) {
       Alert.alert('Error', 'Please enter a title');
@@ -80,6 +106,12 @@ export const AddExerciseModal = ({ visible, groupId, onClose, onExerciseAdded })
       }
     }
 
+    const promptCheck = reflectionPrompts.validatePrompts(prompts);
+    if (!promptCheck.isValid) {
+      Alert.alert('Error', promptCheck.message);
+      return;
+    }
+
     const startDateDB = formatters.formatDateForDB(startDate);
     const endDateDB = formatters.formatDateForDB(endDate);
 
@@ -94,6 +126,8 @@ export const AddExerciseModal = ({ visible, groupId, onClose, onExerciseAdded })
         end_date: endDateDB,
         frequency_per_day: frequencyValue,
         number_of_days: numberOfDays ? parseInt(numberOfDays) : null,
+        reflection_prompts: reflectionPrompts.cleanPrompts(prompts),
+        entry_policy: entryRules,
       });
 
       if (error) {
@@ -110,6 +144,8 @@ export const AddExerciseModal = ({ visible, groupId, onClose, onExerciseAdded })
       setFrequencyMax('');
       setInstructions('');
       setNumberOfDays('');
+      setPrompts([]);
+      setEntryRules(null);
 
       // Reschedule notifications after adding exercise
       await notificationService.scheduleDailyNotifications();
@@ -123,157 +159,190 @@ export const AddExerciseModal = ({ visible, groupId, onClose, onExerciseAdded })
   };
 
   return (
-    <Modal
-      visible={visible}
-      animationType="slide"
-      presentationStyle="pageSheet"
-      onRequestClose={onClose}
-    >
-      <KeyboardAvoidingView
-        style={styles.container}
-        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
-        keyboardVerticalOffset={Platform.OS === 'ios' ? 100 : 20}
+    <>
+      <Modal
+        visible={visible && !showLibrary}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={onClose}
       >
-        <ScreenHeader title="Add Exercise" onBack={onClose} variant="modal" />
-
-        <ScrollView
-          style={styles.content}
-          contentContainerStyle={styles.contentContainer}
-          showsVerticalScrollIndicator={false}
-          keyboardShouldPersistTaps="handled"
-          keyboardDismissMode="on-drag"
+        <KeyboardAvoidingView
+          style={styles.container}
+          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+          keyboardVerticalOffset={Platform.OS === 'ios' ? 100 : 20}
         >
-          <View style={styles.section}>
-            <TextInput
-              style={styles.input}
-              placeholder="Enter title..."
-              value={title}
-              onChangeText={setTitle}
-              placeholderTextColor={COLORS.inputPlaceholder}
-            />
-            <TextInput
-              style={[styles.input, styles.textArea]}
-              placeholder="Enter description..."
-              value={description}
-              onChangeText={setDescription}
-              multiline
-              numberOfLines={3}
-              placeholderTextColor={COLORS.inputPlaceholder}
-            />
-            <Text style={styles.label}>Date Range</Text>
-            <View style={styles.dateRow}>
-              <TouchableOpacity
-                style={[styles.input, styles.dateInput]}
-                onPress={() => {
-                  setShowEndPicker(false);
-                  setShowStartPicker(true);
-                }}
-              >
-                <Text style={[styles.dateText, !startDate && styles.datePlaceholder]}>
-                  {startDate ? formatters.formatDatePicker(startDate) : 'MM/DD/YYYY'}
-                </Text>
-              </TouchableOpacity>
-              <Text style={styles.dateSeparator}>to</Text>
-              <TouchableOpacity
-                style={[styles.input, styles.dateInput]}
-                onPress={() => {
-                  setShowStartPicker(false);
-                  setShowEndPicker(true);
-                }}
-              >
-                <Text style={[styles.dateText, !endDate && styles.datePlaceholder]}>
-                  {endDate ? formatters.formatDatePicker(endDate) : 'MM/DD/YYYY'}
-                </Text>
-              </TouchableOpacity>
-            </View>
-          </View>
+          <ScreenHeader title="Add Exercise" onBack={onClose} variant="modal" />
 
-          <View style={styles.section}>
-            <Text style={styles.label}>Frequency Per Day</Text>
-            <View style={styles.frequencyRow}>
-              <View style={styles.frequencyInputContainer}>
-                <Text style={styles.frequencyLabel}>Min</Text>
-                <TextInput
-                  style={styles.frequencyInput}
-                  placeholder="Min"
-                  value={frequencyMin}
-                  onChangeText={setFrequencyMin}
-                  keyboardType="numeric"
-                  placeholderTextColor={COLORS.inputPlaceholder}
-                />
+          <ScrollView
+            style={styles.content}
+            contentContainerStyle={styles.contentContainer}
+            showsVerticalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+            keyboardDismissMode="on-drag"
+          >
+            <TouchableOpacity
+              style={styles.libraryButton}
+              onPress={() => setShowLibrary(true)}
+              activeOpacity={0.7}
+            >
+              <Ionicons name="library-outline" size={20} color={COLORS.primary} />
+              <Text style={styles.libraryButtonText}>Choose from Library</Text>
+            </TouchableOpacity>
+
+            <View style={styles.section}>
+              <TextInput
+                style={styles.input}
+                placeholder="Enter title..."
+                value={title}
+                onChangeText={setTitle}
+                placeholderTextColor={COLORS.inputPlaceholder}
+              />
+              <TextInput
+                style={[styles.input, styles.textArea]}
+                placeholder="Enter description..."
+                value={description}
+                onChangeText={setDescription}
+                multiline
+                numberOfLines={3}
+                placeholderTextColor={COLORS.inputPlaceholder}
+              />
+              <Text style={styles.label}>Date Range</Text>
+              <View style={styles.dateRow}>
+                <TouchableOpacity
+                  style={[styles.input, styles.dateInput]}
+                  onPress={() => {
+                    setShowEndPicker(false);
+                    setShowStartPicker(true);
+                  }}
+                >
+                  <Text style={[styles.dateText, !startDate && styles.datePlaceholder]}>
+                    {startDate ? formatters.formatDatePicker(startDate) : 'MM/DD/YYYY'}
+                  </Text>
+                </TouchableOpacity>
+                <Text style={styles.dateSeparator}>to</Text>
+                <TouchableOpacity
+                  style={[styles.input, styles.dateInput]}
+                  onPress={() => {
+                    setShowStartPicker(false);
+                    setShowEndPicker(true);
+                  }}
+                >
+                  <Text style={[styles.dateText, !endDate && styles.datePlaceholder]}>
+                    {endDate ? formatters.formatDatePicker(endDate) : 'MM/DD/YYYY'}
+                  </Text>
+                </TouchableOpacity>
               </View>
-              <Text style={styles.frequencySeparator}>-</Text>
-              <View style={styles.frequencyInputContainer}>
-                <Text style={styles.frequencyLabel}>Max</Text>
-                <TextInput
-                  style={styles.frequencyInput}
-                  placeholder="Max"
-                  value={frequencyMax}
-                  onChangeText={setFrequencyMax}
-                  keyboardType="numeric"
-                  placeholderTextColor={COLORS.inputPlaceholder}
-                />
+            </View>
+
+            <View style={styles.section}>
+              <Text style={styles.label}>Frequency Per Day</Text>
+              <View style={styles.frequencyRow}>
+                <View style={styles.frequencyInputContainer}>
+                  <Text style={styles.frequencyLabel}>Min</Text>
+                  <TextInput
+                    style={styles.frequencyInput}
+                    placeholder="Min"
+                    value={frequencyMin}
+                    onChangeText={setFrequencyMin}
+                    keyboardType="numeric"
+                    placeholderTextColor={COLORS.inputPlaceholder}
+                  />
+                </View>
+                <Text style={styles.frequencySeparator}>-</Text>
+                <View style={styles.frequencyInputContainer}>
+                  <Text style={styles.frequencyLabel}>Max</Text>
+                  <TextInput
+                    style={styles.frequencyInput}
+                    placeholder="Max"
+                    value={frequencyMax}
+                    onChangeText={setFrequencyMax}
+                    keyboardType="numeric"
+                    placeholderTextColor={COLORS.inputPlaceholder}
+                  />
+                </View>
               </View>
+              <Text style={styles.label}>Number of Days</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Enter number of days to complete..."
+                value={numberOfDays}
+                onChangeText={setNumberOfDays}
+                keyboardType="numeric"
+                placeholderTextColor={COLORS.inputPlaceholder}
+              />
+              <Text style={styles.label}>Instructions</Text>
+              <TextInput
+                style={[styles.input, styles.textArea]}
+                placeholder="Enter instructions..."
+                value={instructions}
+                onChangeText={setInstructions}
+                multiline
+                numberOfLines={3}
+                placeholderTextColor={COLORS.inputPlaceholder}
+              />
             </View>
-            <Text style={styles.label}>Number of Days</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="Enter number of days to complete..."
-              value={numberOfDays}
-              onChangeText={setNumberOfDays}
-              keyboardType="numeric"
-              placeholderTextColor={COLORS.inputPlaceholder}
-            />
-            <Text style={styles.label}>Instructions</Text>
-            <TextInput
-              style={[styles.input, styles.textArea]}
-              placeholder="Enter instructions..."
-              value={instructions}
-              onChangeText={setInstructions}
-              multiline
-              numberOfLines={3}
-              placeholderTextColor={COLORS.inputPlaceholder}
-            />
-          </View>
-        </ScrollView>
 
-        <TouchableOpacity
-          style={[styles.addButton, loading && styles.addButtonDisabled]}
-          onPress={handleAdd}
-          disabled={loading}
-          activeOpacity={0.85}
-        >
-          <Text style={styles.addButtonText}>Add</Text>
-        </TouchableOpacity>
+            <View style={styles.section}>
+              <Text style={styles.label}>Reflection Questions</Text>
+              <Text style={styles.hint}>
+                Members answer these when they complete a day.
+              </Text>
+              <ReflectionPromptsEditor prompts={prompts} onChange={setPrompts} />
+            </View>
+
+            <View style={styles.section}>
+              <Text style={styles.label}>Late Entry Rules</Text>
+              <Text style={styles.hint}>
+                Control which days members can record progress on.
+              </Text>
+              <EntryPolicyEditor policy={entryRules} onChange={setEntryRules} inheritable />
+            </View>
+          </ScrollView>
 
-        {showStartPicker && (
-          <DatePickerCard
-            value={startDate}
-            onChange={(date) => {
-              setStartDate(date);
-              if (!endDate || endDate < date) setEndDate(date);
-            }}
-            onClose={() => setShowStartPicker(false)}
-            minimumDate={new Date()}
-          />
-        )}
+          <TouchableOpacity
+            style={[styles.addButton, loading && styles.addButtonDisabled]}
+            onPress={handleAdd}
+            disabled={loading}
+            activeOpacity={0.85}
+          >
+            <Text style={styles.addButtonText}>Add</Text>
+          </TouchableOpacity>
 
-        {showEndPicker && (
-          <DatePickerCard
-            value={endDate || startDate}
-            onChange={(date) => {
-              if (startDate && date < startDate) {
-                setEndDate(startDate);
-              } else {
-                setEndDate(date);
-              }
-            }}
-            onClose={() => setShowEndPicker(false)}
-            minimumDate={startDate ? new Date(startDate) : new Date()}
-          />
-        )}
-      </KeyboardAvoidingView>
-    </Modal>
+          {showStartPicker && (
+            <DatePickerCard
+              value={startDate}
+              onChange={(date) => {
+                setStartDate(date);
+                if (!endDate || endDate < date) setEndDate(date);
+              }}
+              onClose={() => setShowStartPicker(false)}
+              minimumDate={new Date()}
+            />
+          )}
+
+          {showEndPicker && (
+            <DatePickerCard
+              value={endDate || startDate}
+              onChange={(date) => {
+                if (startDate && date < startDate) {
+                  setEndDate(startDate);
+                } else {
+                  setEndDate(date);
+                }
+              }}
+              onClose={() => setShowEndPicker(false)}
+              minimumDate={startDate ? new Date(startDate) : new Date()}
+            />
+          )}
+        </KeyboardAvoidingView>
+      </Modal>
+
+      <ExerciseLibraryModal
+        visible={visible && showLibrary}
+        onClose={() => setShowLibrary(false)}
+        onSelectTemplate={handleSelectTemplate}
+      />
+    </>
   );
 };
 
@@ -297,6 +366,22 @@ const styles = StyleSheet.create({
   datePlaceholder: {
     color: COLORS.inputPlaceholder,
   },
+  libraryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    marginBottom: 16,
+  },
+  libraryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
   section: {
     backgroundColor: COLORS.background,
     borderRadius: 12,
@@ -323,6 +408,11 @@ const styles = StyleSheet.create({
     color: COLORS.black,
     marginBottom: 8,
   },
+  hint: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 12,
+  },
   dateRow: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -9,21 +9,26 @@ import {
   PanResponder,
   Animated,
   Dimensions,
+  Share,
+  Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { COLORS, SHADOWS } from '../../../constants';
-import { groupService, exerciseService, supabase } from '../../../services';
-import { formatters } from '../../../utils';
+import { groupService, groupMemberService, exerciseService, announcementService } from '../../../services';
+import { formatters, inviteLinks, joinSettings, groupRoles, GROUP_PERMISSIONS } from '../../../utils';
 import { BottomTabBar } from '../../../components';
 import { AddExerciseModal } from './AddExerciseModal';
 import { GroupSettingsModal } from './GroupSettingsModal';
+import { GroupQRModal } from './GroupQRModal';
+import { AnnouncementsModal } from '../AnnouncementsModal';
 
 const CARD_HEIGHT = 120; // Approximate height of each exercise card
 const CARD_MARGIN = 16;
 
 /**
  * Created Group Detail Screen
- * Main screen for viewing a created group with exercises
+ * Main screen for viewing a created group with exercises.
+ * Facilitators see the same screen, limited to their permissions.
  */
 export const CreatedGroupDetailScreen = ({ navigation, route }) => {
   const { groupId } = route.params || {};
@@ -32,7 +37,10 @@ export const CreatedGroupDetailScreen = ({ navigation, route }) => {
   const [loading, setLoading] = useState(true);
   const [showAddExercise, setShowAddExercise] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
-  const [isOwner, setIsOwner] = useState(false);
+  const [showQR, setShowQR] = useState(false);
+  const [showAnnouncements, setShowAnnouncements] = useState(false);
+  const [unreadAnnouncements, setUnreadAnnouncements] = useState(0);
+  const [membership, setMembership] = useState(null);
   const [draggingIndex, setDraggingIndex] = useState(null);
   const scrollViewRef = useRef(null);
   const cardPositions = useRef({});
@@ -44,6 +52,14 @@ export const CreatedGroupDetailScreen = ({ navigation, route }) => {
 
   exercisesRef.current = exercises;
 
+  const isArchived = !!group?.archived_at;
+  // Archived groups are read-only, so exercises can no longer be added or reordered
+  const canManageExercises = !isArchived && groupRoles.can(membership, GROUP_PERMISSIONS.MANAGE_EXERCISES);
+  const hasSettings = membership?.role === 'owner'
+    || groupRoles.can(membership, GROUP_PERMISSIONS.MANAGE_MEMBERS)
+    || groupRoles.can(membership, GROUP_PERMISSIONS.VIEW_PROGRESS)
+    || groupRoles.can(membership, GROUP_PERMISSIONS.MANAGE_EXERCISES);
+
   const getOrCreateAnimValues = (exerciseId) => {
     if (!animValuesRef.current[exerciseId]) {
       animValuesRef.current[exerciseId] = {
@@ -89,22 +105,35 @@ export const CreatedGroupDetailScreen = ({ navigation, route }) => {
   useEffect(() => {
     if (groupId) {
       loadGroupData();
+      loadUnreadAnnouncements();
     }
   }, [groupId]);
 
+  // Facilitators can have unread announcements from the owner
+  const loadUnreadAnnouncements = async () => {
+    const { data } = await announcementService.getUnreadCounts(groupId);
+    if (data) setUnreadAnnouncements(data[groupId] || 0);
+  };
+
+  const handleAnnouncementsClose = () => {
+    setShowAnnouncements(false);
+    loadUnreadAnnouncements();
+  };
+
   const loadGroupData = async () => {
     try {
       setLoading(true);
-      const [groupResult, exercisesResult] = await Promise.all([
+      const [groupResult, exercisesResult, roleResult] = await Promise.all([
         groupService.getGroupById(groupId),
         exerciseService.getExercisesByGroup(groupId),
+        groupMemberService.getUserRole(groupId),
       ]);
 
       if (groupResult.data) {
         setGroup(groupResult.data);
-        // Check if current user is the owner
-        const { data: { user } } = await supabase.auth.getUser();
-        setIsOwner(user && groupResult.data.owner_id === user.id);
+      }
+      if (roleResult.data) {
+        setMembership(roleResult.data);
       }
       if (exercisesResult.data) {
         // Ensure all exercises have display_order
@@ -136,6 +165,41 @@ export const CreatedGroupDetailScreen = ({ navigation, route }) => {
     navigation.goBack();
   };
 
+  const handleGroupArchived = () => {
+    setShowSettings(false);
+    navigation.navigate('Dashboard', { initialTab: 'archived' });
+  };
+
+  const handleRestore = async () => {
+    const { error } = await groupService.restoreGroup(groupId);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to restore group');
+      return;
+    }
+    loadGroupData();
+  };
+
+  const handleGroupDuplicated = (newGroup) => {
+    setShowSettings(false);
+    navigation.navigate('CreatedGroupDetail', { groupId: newGroup.id });
+  };
+
+  const handleOwnershipTransferred = () => {
+    setShowSettings(false);
+    navigation.navigate('Dashboard');
+  };
+
+  const handleShareInvite = async () => {
+    const url = inviteLinks.buildInviteUrl(group.group_code);
+    try {
+      await Share.share({
+        message: `Join ${group.name} in A Virtue A Day: ${url}\nOr enter the group code ${group.group_code}.`,
+      });
+    } catch (error) {
+      console.error('Error sharing invite link:', error);
+    }
+  };
+
   const isExerciseActive = (exercise) => {
     return exerciseService.isExerciseActive(exercise);
   };
@@ -160,13 +224,13 @@ export const CreatedGroupDetailScreen = ({ navigation, route }) => {
 
   const createPanResponder = (index, exerciseId) => {
     return PanResponder.create({
-      onStartShouldSetPanResponder: () => isOwner,
+      onStartShouldSetPanResponder: () => canManageExercises,
       onStartShouldSetPanResponderCapture: () => false,
       onMoveShouldSetPanResponder: (_, gestureState) => {
-        return isOwner && Math.abs(gestureState.dy) > 8;
+        return canManageExercises && Math.abs(gestureState.dy) > 8;
       },
       onMoveShouldSetPanResponderCapture: (_, gestureState) => {
-        return isOwner && Math.abs(gestureState.dy) > 8;
+        return canManageExercises && Math.abs(gestureState.dy) > 8;
       },
       onPanResponderGrant: () => {
         draggingFromIndexRef.current = index;
@@ -225,7 +289,7 @@ export const CreatedGroupDetailScreen = ({ navigation, route }) => {
   };
 
   const renderExerciseItem = (exercise, index) => {
-    const panResponder = isOwner ? createPanResponder(index, exercise.id) : null;
+    const panResponder = canManageExercises ? createPanResponder(index, exercise.id) : null;
     const isDragging = draggingIndex === index;
     const panHandlers = panResponder?.panHandlers || {};
     const anim = getOrCreateAnimValues(exercise.id);
@@ -260,7 +324,7 @@ export const CreatedGroupDetailScreen = ({ navigation, route }) => {
             },
           ]}
         >
-          {isOwner && (
+          {canManageExercises && (
             <TouchableOpacity
               style={styles.dragHandle}
               activeOpacity={0.7}
@@ -335,6 +399,9 @@ export const CreatedGroupDetailScreen = ({ navigation, route }) => {
     );
   }
 
+  const codeStatus = joinSettings.getCodeStatus(group);
+  const joinRules = joinSettings.describe(group);
+
   return (
     <View style={styles.container}>
       <View style={styles.header}>
@@ -345,18 +412,72 @@ export const CreatedGroupDetailScreen = ({ navigation, route }) => {
           <Ionicons name="arrow-back" size={24} color={COLORS.black} />
         </TouchableOpacity>
         <Text style={styles.title}>{group.name}</Text>
-        <TouchableOpacity
-          onPress={() => setShowSettings(true)}
-          style={styles.settingsButton}
-        >
-          <Ionicons name="settings-outline" size={24} color={COLORS.black} />
-        </TouchableOpacity>
+        {hasSettings ? (
+          <TouchableOpacity
+            onPress={() => setShowSettings(true)}
+            style={styles.settingsButton}
+          >
+            <Ionicons name="settings-outline" size={24} color={COLORS.black} />
+          </TouchableOpacity>
+        ) : (
+          <View style={styles.settingsButton} />
+        )}
+      </View>
+
+      {isArchived && (
+        <View style={styles.archivedBanner}>
+          <Ionicons name="archive-outline" size={18} color={COLORS.black} />
+          <Text style={styles.archivedText}>
+            Archived {formatters.formatDateShort(group.archived_at)}. Members can view but not record progress.
+          </Text>
+          {membership?.role === 'owner' && (
+            <TouchableOpacity onPress={handleRestore}>
+              <Text style={styles.restoreText}>Restore</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      <View style={styles.groupCodeSection}>
+        <View style={styles.groupCodeRow}>
+          <Text style={styles.groupCode}>
+            <Text style={styles.groupCodeLabel}>Group Code: </Text>
+            {group.group_code}
+          </Text>
+          <View style={styles.inviteActions}>
+            <TouchableOpacity onPress={() => setShowQR(true)} style={styles.shareInviteButton}>
+              <Ionicons name="qr-code-outline" size={18} color={COLORS.primary} />
+              <Text style={styles.shareInviteText}>QR</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleShareInvite} style={styles.shareInviteButton}>
+              <Ionicons name="link-outline" size={18} color={COLORS.primary} />
+              <Text style={styles.shareInviteText}>Share link</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+        {(!codeStatus.isOpen || joinRules.length > 0) && (
+          <Text style={[styles.joinStatus, !codeStatus.isOpen && styles.joinStatusClosed]}>
+            {codeStatus.isOpen ? joinRules.join(' · ') : codeStatus.reason}
+          </Text>
+        )}
       </View>
 
-      <Text style={styles.groupCode}>
-        <Text style={styles.groupCodeLabel}>Group Code: </Text>
-        {group.group_code}
-      </Text>
+      <TouchableOpacity
+        style={styles.announcementsBar}
+        onPress={() => setShowAnnouncements(true)}
+        activeOpacity={0.7}
+      >
+        <Ionicons name="megaphone-outline" size={20} color={COLORS.black} />
+        <Text style={styles.announcementsText}>
+          {membership?.role === 'owner' ? 'Post an announcement' : 'Announcements'}
+        </Text>
+        {unreadAnnouncements > 0 && (
+          <View style={styles.unreadBadge}>
+            <Text style={styles.unreadBadgeText}>{unreadAnnouncements}</Text>
+          </View>
+        )}
+        <Ionicons name="chevron-forward" size={20} color={COLORS.gray} />
+      </TouchableOpacity>
 
       <ScrollView 
         ref={scrollViewRef}
@@ -374,14 +495,16 @@ export const CreatedGroupDetailScreen = ({ navigation, route }) => {
         )}
       </ScrollView>
 
-      <TouchableOpacity
-        style={styles.addButton}
-        onPress={() => setShowAddExercise(true)}
-        activeOpacity={0.85}
-      >
-        <Ionicons name="add" size={24} color={COLORS.white} />
-        <Text style={styles.addButtonText}>Add Exercise</Text>
-      </TouchableOpacity>
+      {canManageExercises && (
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={() => setShowAddExercise(true)}
+          activeOpacity={0.85}
+        >
+          <Ionicons name="add" size={24} color={COLORS.white} />
+          <Text style={styles.addButtonText}>Add Exercise</Text>
+        </TouchableOpacity>
+      )}
 
       <BottomTabBar navigation={navigation} />
 
@@ -395,11 +518,28 @@ export const CreatedGroupDetailScreen = ({ navigation, route }) => {
       <GroupSettingsModal
         visible={showSettings}
         group={group}
+        membership={membership}
         onClose={() => setShowSettings(false)}
         onGroupUpdated={handleGroupUpdated}
+        onGroupArchived={handleGroupArchived}
         onGroupDeleted={handleGroupDeleted}
+        onOwnershipTransferred={handleOwnershipTransferred}
+        onGroupDuplicated={handleGroupDuplicated}
         navigation={navigation}
       />
+
+      <GroupQRModal
+        visible={showQR}
+        group={group}
+        onClose={() => setShowQR(false)}
+      />
+
+      <AnnouncementsModal
+        visible={showAnnouncements}
+        group={group}
+        canPost={membership?.role === 'owner'}
+        onClose={handleAnnouncementsClose}
+      />
     </View>
   );
 };
@@ -433,12 +573,92 @@ const styles = StyleSheet.create({
     padding: 4,
     alignItems: 'flex-end',
   },
-  groupCode: {
+  archivedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: COLORS.white,
+    borderRadius: 12,
+    padding: 12,
+    marginHorizontal: 24,
+    marginBottom: 16,
+    ...SHADOWS.light,
+  },
+  archivedText: {
+    flex: 1,
+    fontSize: 13,
+    color: COLORS.black,
+  },
+  restoreText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  announcementsBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: COLORS.white,
+    borderRadius: 12,
+    padding: 12,
+    marginHorizontal: 24,
+    marginBottom: 16,
+    ...SHADOWS.light,
+  },
+  announcementsText: {
+    flex: 1,
     fontSize: 16,
+    fontWeight: '600',
     color: COLORS.black,
+  },
+  unreadBadge: {
+    minWidth: 20,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    borderRadius: 999,
+    backgroundColor: COLORS.secondary,
+    alignItems: 'center',
+  },
+  unreadBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: COLORS.white,
+  },
+  groupCodeSection: {
     paddingHorizontal: 24,
     marginBottom: 24,
   },
+  groupCodeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  joinStatus: {
+    fontSize: 13,
+    color: COLORS.gray,
+    marginTop: 4,
+  },
+  joinStatusClosed: {
+    color: COLORS.error,
+  },
+  groupCode: {
+    fontSize: 16,
+    color: COLORS.black,
+  },
+  inviteActions: {
+    flexDirection: 'row',
+    gap: 16,
+  },
+  shareInviteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  shareInviteText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
   groupCodeLabel: {
     fontWeight: 'bold',
   },
@@ -12,11 +12,29 @@ import { groupService } from '../../../services';
 
 /**
  * Delete Group Modal
- * Confirmation modal for deleting a group
+ * Offers archiving the group (read-only, restorable) before deleting it for good
  */
-export const DeleteGroupModal = ({ visible, group, onClose, onGroupDeleted }) => {
+export const DeleteGroupModal = ({ visible, group, onClose, onGroupArchived, onGroupDeleted }) => {
   const [loading, setLoading] = useState(false);
 
+  const handleArchive = async () => {
+    setLoading(true);
+    try {
+      const { error } = await groupService.archiveGroup(group.id);
+
+      if (error) {
+        Alert.alert('Error', error.message || 'Failed to archive group');
+        return;
+      }
+
+      onGroupArchived();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to archive group');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleDelete = async () => {
     setLoading(true);
     try {
@@ -35,6 +53,17 @@ export const DeleteGroupModal = ({ visible, group, onClose, onGroupDeleted }) =>
     }
   };
 
+  const confirmDelete = () => {
+    Alert.alert(
+      'Delete Forever',
+      'All exercises and every member\'s progress in this group will be removed. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: handleDelete },
+      ]
+    );
+  };
+
   return (
     <Modal
       visible={visible}
@@ -44,25 +73,34 @@ export const DeleteGroupModal = ({ visible, group, onClose, onGroupDeleted }) =>
     >
       <View style={styles.overlay}>
         <View style={styles.modal}>
-          <Text style={styles.title}>Are you sure you want to delete?</Text>
-          <View style={styles.buttonRow}>
-            <TouchableOpacity
-              style={[styles.button, styles.yesButton]}
-              onPress={handleDelete}
-              disabled={loading}
-              activeOpacity={0.85}
-            >
-              <Text style={styles.yesButtonText}>Yes</Text>
-            </TouchableOpacity>
-            <TouchableOpacity
-              style={[styles.button, styles.noButton]}
-              onPress={onClose}
-              disabled={loading}
-              activeOpacity={0.85}
-            >
-              <Text style={styles.noButtonText}>No</Text>
-            </TouchableOpacity>
-          </View>
+          <Text style={styles.title}>Archive or delete?</Text>
+          <Text style={styles.message}>
+            Archiving hides the group and keeps everything. Members can still read their progress but not add to it, and you can restore it later.
+          </Text>
+          <TouchableOpacity
+            style={[styles.button, styles.archiveButton]}
+            onPress={handleArchive}
+            disabled={loading}
+            activeOpacity={0.85}
+          >
+            <Text style={styles.archiveButtonText}>Archive</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.button, styles.deleteButton]}
+            onPress={confirmDelete}
+            disabled={loading}
+            activeOpacity={0.85}
+          >
+            <Text style={styles.deleteButtonText}>Delete Forever</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.cancelButton}
+            onPress={onClose}
+            disabled={loading}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.cancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
         </View>
       </View>
     </Modal>
@@ -89,33 +127,42 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: COLORS.black,
     textAlign: 'center',
-    marginBottom: 24,
+    marginBottom: 8,
   },
-  buttonRow: {
-    flexDirection: 'row',
-    gap: 12,
+  message: {
+    fontSize: 14,
+    color: COLORS.gray,
+    textAlign: 'center',
+    marginBottom: 20,
   },
   button: {
-    flex: 1,
     paddingVertical: 12,
     borderRadius: 12,
     alignItems: 'center',
+    marginBottom: 12,
   },
-  yesButton: {
+  archiveButton: {
     backgroundColor: COLORS.success,
   },
-  yesButtonText: {
+  archiveButtonText: {
     color: COLORS.black,
     fontSize: 16,
     fontWeight: '600',
   },
-  noButton: {
+  deleteButton: {
     backgroundColor: COLORS.errorLight,
   },
-  noButtonText: {
+  deleteButtonText: {
     color: COLORS.black,
     fontSize: 16,
     fontWeight: '600',
   },
+  cancelButton: {
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  cancelButtonText: {
+    color: COLORS.gray,
+    fontSize: 16,
+  },
 });
-
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { COLORS } from '../../../constants';
+import { groupService, exerciseService } from '../../../services';
+import { formatters, cohortDates } from '../../../utils';
+import { ScreenHeader, DatePickerInput } from '../../../components';
+
+/**
+ * Duplicate Group Modal
+ * Copies a group and its exercises for a new cohort. The owner picks the new
+ * start date and previews every exercise's shifted dates before creating it.
+ */
+export const DuplicateGroupModal = ({ visible, group, onClose, onGroupDuplicated }) => {
+  const [name, setName] = useState('');
+  const [startDate, setStartDate] = useState(new Date());
+  const [showStartPicker, setShowStartPicker] = useState(false);
+  const [exercises, setExercises] = useState([]);
+  const [loadingExercises, setLoadingExercises] = useState(true);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible && group) {
+      setName(group.name);
+      setStartDate(new Date());
+      setShowStartPicker(false);
+      loadExercises();
+    }
+  }, [visible, group]);
+
+  const loadExercises = async () => {
+    setLoadingExercises(true);
+    const { data, error } = await exerciseService.getExercisesByGroup(group.id);
+    if (error) {
+      console.error('Error loading exercises:', error);
+    }
+    setExercises(data || []);
+    setLoadingExercises(false);
+  };
+
+  const newStart = formatters.formatDateForDB(startDate);
+  const offset = cohortDates.getOffsetDays(cohortDates.getScheduleStart(group, exercises), newStart);
+  const preview = cohortDates.shiftExercises(exercises, offset);
+
+  const formatDay = (dateStr) => formatters.formatDateShort(formatters.parseDateFromDB(dateStr));
+
+  const handleDuplicate = async () => {
+    if (!name.trim()) {
+      Alert.alert('Error', 'Please enter a group name');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const { data, error } = await groupService.duplicateGroup(group.id, {
+        name: name.trim(),
+        start_date: newStart,
+      });
+
+      if (error) {
+        Alert.alert('Error', error.message || 'Failed to duplicate group');
+        return;
+      }
+
+      onGroupDuplicated(data);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to duplicate group');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!group) return null;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        keyboardVerticalOffset={Platform.OS === 'ios' ? 100 : 20}
+      >
+        <ScreenHeader title="Duplicate Group" onBack={onClose} variant="modal" />
+
+        <ScrollView
+          style={styles.content}
+          contentContainerStyle={styles.contentContainer}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.field}>
+            <Text style={styles.label}>Group Name</Text>
+            <TextInput
+              style={styles.input}
+              value={name}
+              onChangeText={setName}
+              placeholder="Enter group name"
+              placeholderTextColor={COLORS.inputPlaceholder}
+            />
+          </View>
+
+          <View style={styles.field}>
+            <Text style={styles.label}>New Start Date</Text>
+            <DatePickerInput
+              value={startDate}
+              onChange={setStartDate}
+              open={showStartPicker}
+              onOpen={() => setShowStartPicker(true)}
+              onClose={() => setShowStartPicker(false)}
+            />
+            <Text style={styles.hint}>
+              Every exercise moves by the same number of days. The new group gets its own code; members, progress and join settings are not copied.
+            </Text>
+          </View>
+
+          <View style={styles.field}>
+            <Text style={styles.label}>Exercises ({exercises.length})</Text>
+            {loadingExercises ? (
+              <ActivityIndicator color={COLORS.primary} style={styles.loader} />
+            ) : preview.length === 0 ? (
+              <Text style={styles.hint}>This group has no exercises yet.</Text>
+            ) : (
+              preview.map((exercise) => (
+                <View key={exercise.id} style={styles.previewRow}>
+                  <Text style={styles.previewTitle} numberOfLines={1}>
+                    {exercise.title}
+                  </Text>
+                  <Text style={styles.previewDates}>
+                    {formatDay(exercise.start_date)} – {formatDay(exercise.end_date)}
+                  </Text>
+                </View>
+              ))
+            )}
+          </View>
+        </ScrollView>
+
+        <TouchableOpacity
+          style={[styles.saveButton, (loading || loadingExercises) && styles.saveButtonDisabled]}
+          onPress={handleDuplicate}
+          disabled={loading || loadingExercises}
+          activeOpacity={0.85}
+        >
+          {loading ? (
+            <ActivityIndicator color={COLORS.white} />
+          ) : (
+            <Text style={styles.saveButtonText}>Create Group</Text>
+          )}
+        </TouchableOpacity>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.white,
+    padding: 24,
+    paddingTop: 60,
+  },
+  content: {
+    flex: 1,
+  },
+  contentContainer: {
+    paddingBottom: 20,
+  },
+  field: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: COLORS.black,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginTop: 8,
+  },
+  input: {
+    backgroundColor: COLORS.background,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: COLORS.black,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+  },
+  loader: {
+    marginTop: 16,
+  },
+  previewRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.lightGray,
+  },
+  previewTitle: {
+    flex: 1,
+    fontSize: 15,
+    color: COLORS.black,
+    marginRight: 12,
+  },
+  previewDates: {
+    fontSize: 14,
+    color: COLORS.gray,
+  },
+  saveButton: {
+    backgroundColor: COLORS.primary,
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 16,
+    shadowColor: COLORS.primary,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  saveButtonDisabled: {
+    opacity: 0.5,
+  },
+  saveButtonText: {
+    color: COLORS.white,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -7,14 +7,20 @@ import {
   TouchableOpacity,
   TextInput,
   ScrollView,
+  Switch,
   Alert,
   KeyboardAvoidingView,
   Platform,
 } from 'react-native';
 import { COLORS } from '../../../constants';
 import { exerciseService, notificationService } from '../../../services';
-import { formatters } from '../../../utils';
-import { ScreenHeader, DatePickerCard } from '../../../components';
+import { formatters, reflectionPrompts } from '../../../utils';
+import {
+  ScreenHeader,
+  DatePickerCard,
+  ReflectionPromptsEditor,
+  EntryPolicyEditor,
+} from '../../../components';
 
 /**
  * Edit Exercise Modal
@@ -36,6 +42,9 @@ export const EditExerciseModal = ({
   const [frequencyMax, setFrequencyMax] = useState('');
   const [instructions, setInstructions] = useState('');
   const [numberOfDays, setNumberOfDays] = useState('');
+  const [prompts, setPrompts] = useState([]);
+  const [entryRules, setEntryRules] = useState(null);
+  const [discussionEnabled, setDiscussionEnabled] = useState(false);
   const [loading, setLoading] = useState(false);
 
   useEffect(() => {
@@ -64,6 +73,9 @@ export const EditExerciseModal = ({
       }
       setInstructions(exercise.instructions || '');
       setNumberOfDays(exercise.number_of_days?.toString() || '');
+      setPrompts(exercise.reflection_prompts || []);
+      setEntryRules(exercise.entry_policy || null);
+      setDiscussionEnabled(exercise.discussion_enabled || false);
     }
   }, [exercise]);
 
@@ -113,6 +125,12 @@ export const EditExerciseModal = ({
       }
     }
 
+    const promptCheck = reflectionPrompts.validatePrompts(prompts);
+    if (!promptCheck.isValid) {
+      Alert.alert('Error', promptCheck.message);
+      return;
+    }
+
     const startDateDB = formatters.formatDateForDB(startDate);
     const endDateDB = formatters.formatDateForDB(endDate);
 
@@ -126,6 +144,9 @@ export const EditExerciseModal = ({
         end_date: endDateDB,
         frequency_per_day: frequencyValue,
         number_of_days: numberOfDays ? parseInt(numberOfDays) : null,
+        reflection_prompts: reflectionPrompts.cleanPrompts(prompts),
+        entry_policy: entryRules,
+        discussion_enabled: discussionEnabled,
       };
 
       const { error } = await exerciseService.updateExercise(
@@ -262,6 +283,36 @@ export const EditExerciseModal = ({
               placeholderTextColor={COLORS.inputPlaceholder}
             />
           </View>
+
+          <View style={styles.section}>
+            <Text style={styles.label}>Reflection Questions</Text>
+            <Text style={styles.hint}>
+              Members answer these when they complete a day.
+            </Text>
+            <ReflectionPromptsEditor prompts={prompts} onChange={setPrompts} />
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.label}>Late Entry Rules</Text>
+            <Text style={styles.hint}>
+              Control which days members can record progress on.
+            </Text>
+            <EntryPolicyEditor policy={entryRules} onChange={setEntryRules} inheritable />
+          </View>
+
+          <View style={styles.section}>
+            <View style={styles.switchRow}>
+              <Text style={styles.switchLabel}>Discussion</Text>
+              <Switch
+                value={discussionEnabled}
+                onValueChange={setDiscussionEnabled}
+                trackColor={{ true: COLORS.primary }}
+              />
+            </View>
+            <Text style={styles.hint}>
+              Let members post and reply to each other about this exercise. Turning it off hides the thread but keeps the posts.
+            </Text>
+          </View>
         </ScrollView>
 
         <TouchableOpacity
@@ -353,6 +404,22 @@ const styles = StyleSheet.create({
     color: COLORS.black,
     marginBottom: 8,
   },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  switchLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: COLORS.black,
+  },
+  hint: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 12,
+  },
   dateRow: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -14,7 +14,7 @@ import {
 import { COLORS } from '../../../constants';
 import { groupService } from '../../../services';
 import { formatters } from '../../../utils';
-import { ScreenHeader, DatePickerInput } from '../../../components';
+import { ScreenHeader, DatePickerInput, EntryPolicyEditor } from '../../../components';
 
 /**
  * Edit Group Modal
@@ -28,6 +28,7 @@ export const EditGroupModal = ({ visible, group, onClose, onGroupUpdated }) => {
   const [endDate, setEndDate] = useState(null);
   const [showStartPicker, setShowStartPicker] = useState(false);
   const [showEndPicker, setShowEndPicker] = useState(false);
+  const [entryRules, setEntryRules] = useState({});
   const [loading, setLoading] = useState(false);
 
   useEffect(() => {
@@ -40,6 +41,7 @@ export const EditGroupModal = ({ visible, group, onClose, onGroupUpdated }) => {
       setEndDate(
         group.end_date ? new Date(group.end_date) : null
       );
+      setEntryRules(group.entry_policy || {});
     }
   }, [group]);
 
@@ -56,6 +58,7 @@ export const EditGroupModal = ({ visible, group, onClose, onGroupUpdated }) => {
         description: description.trim() || null,
         start_date: formatters.formatDateForDB(startDate),
         end_date: formatters.formatDateForDB(endDate),
+        entry_policy: entryRules,
       };
 
       const { error } = await groupService.updateGroup(group.id, updates);
@@ -139,6 +142,14 @@ export const EditGroupModal = ({ visible, group, onClose, onGroupUpdated }) => {
               onClose={() => setShowEndPicker(false)}
             />
           </View>
+
+          <View style={styles.field}>
+            <Text style={styles.label}>Late Entry Rules</Text>
+            <Text style={styles.hint}>
+              Default rules for which days members can record progress on. Exercises can override them.
+            </Text>
+            <EntryPolicyEditor policy={entryRules} onChange={setEntryRules} />
+          </View>
         </ScrollView>
 
         <TouchableOpacity
@@ -176,6 +187,11 @@ const styles = StyleSheet.create({
     color: COLORS.black,
     marginBottom: 8,
   },
+  hint: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 8,
+  },
   input: {
     backgroundColor: COLORS.background,
     borderRadius: 8,
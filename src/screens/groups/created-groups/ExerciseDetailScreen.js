@@ -9,20 +9,106 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { COLORS } from '../../../constants';
-import { exerciseService } from '../../../services';
-import { BottomTabBar, ScreenHeader, Card } from '../../../components';
+import {
+  completionEventService,
+  exerciseService,
+  exerciseProgressService,
+  groupMemberService,
+  teamService,
+} from '../../../services';
+import { BottomTabBar, ScreenHeader, Card, TeamFilter } from '../../../components';
 import { ExerciseMenuModal } from './ExerciseMenuModal';
-import { formatters } from '../../../utils';
+import { DiscussionModal } from '../DiscussionModal';
+import { formatters, progressStats, groupRoles, GROUP_PERMISSIONS, teams } from '../../../utils';
+
+/**
+ * Count the days in an inclusive YYYY-MM-DD date range
+ * @param {string} startDate
+ * @param {string} endDate
+ * @returns {number}
+ */
+const countDaysInRange = (startDate, endDate) => {
+  if (!startDate || !endDate) return 0;
+  const [sy, sm, sd] = startDate.split('-').map(Number);
+  const [ey, em, ed] = endDate.split('-').map(Number);
+  // Use UTC so daylight saving changes don't shift the count
+  const diff = Date.UTC(ey, em - 1, ed) - Date.UTC(sy, sm - 1, sd);
+  return Math.max(Math.round(diff / 86400000) + 1, 0);
+};
+
+/**
+ * Summarize each member's progress rows for the owner's progress card
+ * @param {object} exercise - Exercise with start_date, end_date, frequency_per_day
+ * @param {Array} members - Rows from groupMemberService.getGroupMembers
+ * @param {Array} progressRows - Rows from exerciseProgressService.getMemberProgressByExercise
+ * @returns {Array} One summary per member (owners and facilitators excluded)
+ */
+const buildMemberSummaries = (exercise, members, progressRows) => {
+  const totalDays = countDaysInRange(exercise.start_date, exercise.end_date);
+  const hasFrequency = !!formatters.parseFrequencyRange(exercise.frequency_per_day);
+
+  return members
+    .filter((member) => member.role === 'member')
+    .map((member) => {
+      const rows = progressRows.filter((row) => row.user_id === member.user_id);
+      const practicedRows = rows.filter((row) => (row.number_of_completions || 0) > 0);
+      const totalCompletions = practicedRows.reduce(
+        (sum, row) => sum + row.number_of_completions,
+        0
+      );
+
+      // Prefer the exact completion time; fall back to the practice date
+      const lastActivity = rows.reduce((latest, row) => {
+        const activity = row.completed_at || row.practice_date;
+        return !latest || new Date(activity) > new Date(latest) ? activity : latest;
+      }, null);
+
+      return {
+        id: member.id,
+        teamId: member.team_id || null,
+        name: member.users?.name || 'Unknown',
+        completedDays: rows.filter((row) => row.is_completed).length,
+        lateDays: rows.filter((row) => row.is_late).length,
+        totalDays,
+        averageCompletions: practicedRows.length > 0
+          ? totalCompletions / practicedRows.length
+          : 0,
+        daysWithinRange: hasFrequency
+          ? rows.filter((row) =>
+              formatters.isWithinFrequencyRange(
+                exercise.frequency_per_day,
+                row.number_of_completions || 0
+              )
+            ).length
+          : null,
+        lastActivity,
+      };
+    });
+};
 
 /**
  * Exercise Detail Screen
- * Screen for viewing exercise details
+ * Screen for viewing exercise details and how each member is progressing.
+ * Facilitators without the view progress permission only see the details.
+ * Progress can be narrowed to one team; facilitators start on their own team.
  */
 export const ExerciseDetailScreen = ({ navigation, route }) => {
   const { exerciseId } = route.params || {};
   const [exercise, setExercise] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showMenu, setShowMenu] = useState(false);
+  const [showDiscussion, setShowDiscussion] = useState(false);
+  const [memberSummaries, setMemberSummaries] = useState([]);
+  const [progressLoading, setProgressLoading] = useState(true);
+  const [practiceEvents, setPracticeEvents] = useState([]);
+  const [memberTeams, setMemberTeams] = useState({});
+  const [groupTeams, setGroupTeams] = useState([]);
+  const [teamFilter, setTeamFilter] = useState(null);
+  const [sharedCount, setSharedCount] = useState(0);
+  const [membership, setMembership] = useState(null);
+
+  const canManageExercises = groupRoles.can(membership, GROUP_PERMISSIONS.MANAGE_EXERCISES);
+  const canViewProgress = groupRoles.can(membership, GROUP_PERMISSIONS.VIEW_PROGRESS);
 
   useEffect(() => {
     if (exerciseId) {
@@ -42,6 +128,12 @@ export const ExerciseDetailScreen = ({ navigation, route }) => {
 
       if (data) {
         setExercise(data);
+        const { data: roleData } = await groupMemberService.getUserRole(data.group_id);
+        setMembership(roleData);
+        if (groupRoles.can(roleData, GROUP_PERMISSIONS.VIEW_PROGRESS)) {
+          loadTeams(data.group_id, roleData);
+          loadMemberProgress(data);
+        }
       }
     } catch (error) {
       console.error('Error loading exercise:', error);
@@ -50,6 +142,44 @@ export const ExerciseDetailScreen = ({ navigation, route }) => {
     }
   };
 
+  const loadTeams = async (groupId, roleData) => {
+    const { data, error } = await teamService.getTeams(groupId);
+    if (error) {
+      console.error('Error loading teams:', error);
+      return;
+    }
+    setGroupTeams(data);
+    setTeamFilter(roleData?.role === 'facilitator' ? roleData.team_id || null : null);
+  };
+
+  const loadMemberProgress = async (exerciseData) => {
+    try {
+      setProgressLoading(true);
+      const [membersResult, progressResult, eventsResult] = await Promise.all([
+        groupMemberService.getGroupMembers(exerciseData.group_id),
+        exerciseProgressService.getMemberProgressByExercise(exerciseData.id),
+        completionEventService.getMemberEventsByExercise(exerciseData.id),
+      ]);
+
+      setPracticeEvents(eventsResult.data || []);
+
+      if (membersResult.error || progressResult.error) {
+        console.error('Error loading member progress:', membersResult.error || progressResult.error);
+        return;
+      }
+
+      setMemberSummaries(
+        buildMemberSummaries(exerciseData, membersResult.data || [], progressResult.data || [])
+      );
+      setMemberTeams(teams.getMemberTeams(membersResult.data));
+      setSharedCount((progressResult.data || []).filter((row) => row.shared_with_owner).length);
+    } catch (error) {
+      console.error('Error loading member progress:', error);
+    } finally {
+      setProgressLoading(false);
+    }
+  };
+
   const handleExerciseUpdated = () => {
     setShowMenu(false);
     loadExercise();
@@ -64,6 +194,16 @@ export const ExerciseDetailScreen = ({ navigation, route }) => {
     }
   };
 
+  const teamSummaries = memberSummaries.filter((summary) =>
+    teams.matchesFilter(summary.teamId, teamFilter)
+  );
+  const teamEvents = practiceEvents.filter((event) =>
+    teams.matchesFilter(memberTeams[event.user_id], teamFilter)
+  );
+  const practiceTimes = teamEvents.length > 0
+    ? { total: teamEvents.length, buckets: progressStats.getTimeOfDayBreakdown(teamEvents) }
+    : null;
+
   if (loading) {
     return (
       <View style={styles.container}>
@@ -116,9 +256,13 @@ export const ExerciseDetailScreen = ({ navigation, route }) => {
           }
         }}
         rightElement={
-          <TouchableOpacity onPress={() => setShowMenu(true)} style={styles.menuButton}>
-            <Ionicons name="ellipsis-vertical" size={24} color={COLORS.black} />
-          </TouchableOpacity>
+          canManageExercises ? (
+            <TouchableOpacity onPress={() => setShowMenu(true)} style={styles.menuButton}>
+              <Ionicons name="ellipsis-vertical" size={24} color={COLORS.black} />
+            </TouchableOpacity>
+          ) : (
+            <View style={styles.menuButton} />
+          )
         }
       />
 
@@ -151,6 +295,113 @@ export const ExerciseDetailScreen = ({ navigation, route }) => {
             <Text style={styles.instructionsText}>{exercise.instructions}</Text>
           </Card>
         )}
+
+        {exercise.discussion_enabled && (
+          <TouchableOpacity onPress={() => setShowDiscussion(true)} activeOpacity={0.8}>
+            <Card style={styles.sharedCard}>
+              <Ionicons name="chatbubbles-outline" size={22} color={COLORS.primary} />
+              <View style={styles.sharedText}>
+                <Text style={styles.sharedTitle}>Discussion</Text>
+                <Text style={styles.memberDetail}>
+                  {exercise.discussion_locked ? 'Locked' : 'Open to members'}
+                </Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color={COLORS.gray} />
+            </Card>
+          </TouchableOpacity>
+        )}
+
+        {canViewProgress && (
+          <>
+            <TouchableOpacity
+              onPress={() =>
+                navigation.navigate('SharedReflections', { exerciseId: exercise.id, teamFilter })
+              }
+              activeOpacity={0.8}
+            >
+              <Card style={styles.sharedCard}>
+                <Ionicons name="mail-open-outline" size={22} color={COLORS.primary} />
+                <View style={styles.sharedText}>
+                  <Text style={styles.sharedTitle}>Shared Reflections</Text>
+                  <Text style={styles.memberDetail}>
+                    {sharedCount === 0
+                      ? 'No days shared yet'
+                      : `${sharedCount} ${sharedCount === 1 ? 'day' : 'days'} shared by members`}
+                  </Text>
+                </View>
+                <Ionicons name="chevron-forward" size={20} color={COLORS.gray} />
+              </Card>
+            </TouchableOpacity>
+
+            <TeamFilter
+              teams={groupTeams}
+              value={teamFilter}
+              onChange={setTeamFilter}
+              style={styles.teamFilter}
+            />
+
+            {practiceTimes && (
+              <Card>
+                <Text style={styles.sectionTitle}>Practice Times</Text>
+                {practiceTimes.buckets.map((bucket) => (
+                  <View key={bucket.key} style={styles.timeRow}>
+                    <Text style={styles.timeLabel}>{bucket.label}</Text>
+                    <View style={styles.timeBarTrack}>
+                      <View style={[styles.timeBarFill, { width: `${bucket.percentage}%` }]} />
+                    </View>
+                    <Text style={styles.timeValue}>{bucket.percentage}%</Text>
+                  </View>
+                ))}
+                <Text style={styles.memberDetail}>
+                  Based on {practiceTimes.total} logged practices
+                </Text>
+              </Card>
+            )}
+
+            <Card style={styles.progressCard}>
+              <Text style={styles.sectionTitle}>Member Progress</Text>
+              {progressLoading ? (
+                <ActivityIndicator color={COLORS.primary} style={styles.progressLoader} />
+              ) : memberSummaries.length === 0 ? (
+                <Text style={styles.emptyText}>No members have joined yet</Text>
+              ) : teamSummaries.length === 0 ? (
+                <Text style={styles.emptyText}>No members in this team</Text>
+              ) : (
+                teamSummaries.map((summary, index) => (
+                  <View
+                    key={summary.id}
+                    style={[
+                      styles.memberRow,
+                      index === teamSummaries.length - 1 && styles.memberRowLast,
+                    ]}
+                  >
+                    <View style={styles.memberHeader}>
+                      <Text style={styles.memberName} numberOfLines={1}>
+                        {summary.name}
+                      </Text>
+                      <Text style={styles.memberDays}>
+                        {summary.completedDays}/{summary.totalDays} days
+                      </Text>
+                    </View>
+                    {exercise.frequency_per_day && (
+                      <Text style={styles.memberDetail}>
+                        Avg {summary.averageCompletions.toFixed(1)} per day
+                        {' '}(target {formatters.formatFrequencyRange(exercise.frequency_per_day)})
+                        {summary.daysWithinRange !== null && ` · ${summary.daysWithinRange} days on target`}
+                      </Text>
+                    )}
+                    <Text style={styles.memberDetail}>
+                      {summary.lastActivity
+                        ? `Last active ${formatters.formatRelativeTime(summary.lastActivity)}`
+                        : 'No activity yet'}
+                      {summary.lateDays > 0 && ` · ${summary.lateDays} late ${summary.lateDays === 1 ? 'entry' : 'entries'}`}
+                    </Text>
+                  </View>
+                ))
+              )}
+            </Card>
+          </>
+        )}
       </ScrollView>
 
       <BottomTabBar navigation={navigation} />
@@ -162,6 +413,14 @@ export const ExerciseDetailScreen = ({ navigation, route }) => {
         onExerciseUpdated={handleExerciseUpdated}
         onExerciseDeleted={handleExerciseDeleted}
       />
+
+      <DiscussionModal
+        visible={showDiscussion}
+        exercise={exercise}
+        canModerate={canManageExercises}
+        onClose={() => setShowDiscussion(false)}
+        onExerciseUpdated={(changes) => setExercise((prev) => ({ ...prev, ...changes }))}
+      />
     </View>
   );
 };
@@ -219,5 +478,93 @@ const styles = StyleSheet.create({
   loader: {
     flex: 1,
   },
+  sharedCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  sharedText: {
+    flex: 1,
+  },
+  sharedTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: COLORS.black,
+  },
+  teamFilter: {
+    flexGrow: 0,
+    marginBottom: 16,
+  },
+  progressCard: {
+    marginBottom: 120,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  timeLabel: {
+    fontSize: 14,
+    color: COLORS.black,
+    width: 80,
+  },
+  timeBarTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: COLORS.lightGray,
+    overflow: 'hidden',
+  },
+  timeBarFill: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: COLORS.primary,
+  },
+  timeValue: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: COLORS.gray,
+    width: 44,
+    textAlign: 'right',
+  },
+  progressLoader: {
+    marginVertical: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: COLORS.gray,
+  },
+  memberRow: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.lightGray,
+  },
+  memberRowLast: {
+    borderBottomWidth: 0,
+    paddingBottom: 0,
+  },
+  memberHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  memberName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.black,
+    flex: 1,
+    marginRight: 12,
+  },
+  memberDays: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  memberDetail: {
+    fontSize: 13,
+    color: COLORS.gray,
+    marginTop: 2,
+  },
 });
 
@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../../constants';
+import { exerciseTemplateService } from '../../../services';
+import { ScreenHeader } from '../../../components';
+
+/**
+ * Exercise Library Modal
+ * Browse and search the current user's saved exercise templates and pick one
+ * to fill in AddExerciseModal. Templates can also be removed here.
+ */
+export const ExerciseLibraryModal = ({ visible, onClose, onSelectTemplate }) => {
+  const [templates, setTemplates] = useState([]);
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (visible) {
+      setQuery('');
+      loadTemplates();
+    }
+  }, [visible]);
+
+  const loadTemplates = async () => {
+    setLoading(true);
+    const { data, error } = await exerciseTemplateService.getTemplates();
+    if (error) {
+      console.error('Error loading templates:', error);
+    }
+    setTemplates(data || []);
+    setLoading(false);
+  };
+
+  const handleDelete = (template) => {
+    Alert.alert(
+      'Remove from Library',
+      `Remove "${template.title}" from your library? Exercises already created from it are not affected.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            const { error } = await exerciseTemplateService.deleteTemplate(template.id);
+            if (error) {
+              Alert.alert('Error', error.message || 'Failed to remove template');
+              return;
+            }
+            setTemplates((prev) => prev.filter((t) => t.id !== template.id));
+          },
+        },
+      ]
+    );
+  };
+
+  const search = query.trim().toLowerCase();
+  const visibleTemplates = search
+    ? templates.filter((template) =>
+        [template.title, template.description, template.instructions]
+          .some((text) => (text || '').toLowerCase().includes(search))
+      )
+    : templates;
+
+  const describeTemplate = (template) => {
+    const details = [];
+    if (template.number_of_days) {
+      details.push(`${template.number_of_days} ${template.number_of_days === 1 ? 'day' : 'days'}`);
+    }
+    if (template.frequency_per_day) details.push(`${template.frequency_per_day} per day`);
+    const promptCount = (template.reflection_prompts || []).length;
+    if (promptCount > 0) {
+      details.push(`${promptCount} ${promptCount === 1 ? 'question' : 'questions'}`);
+    }
+    return details.join(' · ');
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <ScreenHeader title="Exercise Library" onBack={onClose} variant="modal" />
+
+        <View style={styles.searchBar}>
+          <Ionicons name="search" size={18} color={COLORS.gray} />
+          <TextInput
+            style={styles.searchInput}
+            value={query}
+            onChangeText={setQuery}
+            placeholder="Search your library..."
+            placeholderTextColor={COLORS.inputPlaceholder}
+            autoCorrect={false}
+          />
+        </View>
+
+        {loading ? (
+          <ActivityIndicator color={COLORS.primary} style={styles.loader} />
+        ) : templates.length === 0 ? (
+          <Text style={styles.emptyText}>
+            Your library is empty. Open an exercise and choose "Save to Library" to reuse it in other groups.
+          </Text>
+        ) : visibleTemplates.length === 0 ? (
+          <Text style={styles.emptyText}>No templates match "{query.trim()}"</Text>
+        ) : (
+          <ScrollView
+            style={styles.list}
+            showsVerticalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+          >
+            {visibleTemplates.map((template) => {
+              const details = describeTemplate(template);
+              return (
+                <TouchableOpacity
+                  key={template.id}
+                  style={styles.templateRow}
+                  onPress={() => onSelectTemplate(template)}
+                  activeOpacity={0.7}
+                >
+                  <View style={styles.templateInfo}>
+                    <Text style={styles.templateTitle} numberOfLines={1}>
+                      {template.title}
+                    </Text>
+                    {template.description ? (
+                      <Text style={styles.templateDescription} numberOfLines={2}>
+                        {template.description}
+                      </Text>
+                    ) : null}
+                    {details ? <Text style={styles.templateDetails}>{details}</Text> : null}
+                  </View>
+                  <TouchableOpacity
+                    onPress={() => handleDelete(template)}
+                    style={styles.deleteButton}
+                    hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                  >
+                    <Ionicons name="trash-outline" size={20} color={COLORS.error} />
+                  </TouchableOpacity>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.white,
+    padding: 24,
+    paddingTop: 60,
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: COLORS.background,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+    marginBottom: 16,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: COLORS.black,
+  },
+  loader: {
+    marginTop: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: COLORS.gray,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  list: {
+    flex: 1,
+  },
+  templateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.lightGray,
+    marginBottom: 8,
+  },
+  templateInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  templateTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.black,
+    marginBottom: 2,
+  },
+  templateDescription: {
+    fontSize: 14,
+    color: COLORS.black,
+    lineHeight: 20,
+  },
+  templateDetails: {
+    fontSize: 13,
+    color: COLORS.gray,
+    marginTop: 4,
+  },
+  deleteButton: {
+    padding: 4,
+  },
+});
@@ -1,11 +1,13 @@
 import React, { useState } from 'react';
+import { Alert } from 'react-native';
+import { exerciseTemplateService } from '../../../services';
 import { MenuModal } from '../../../components';
 import { EditExerciseModal } from './EditExerciseModal';
 import { DeleteExerciseModal } from './DeleteExerciseModal';
 
 /**
  * Exercise Menu Modal
- * Menu modal with options: Edit Exercise, Delete Exercise
+ * Menu modal with options: Edit Exercise, Save to Library, Delete Exercise
  */
 export const ExerciseMenuModal = ({
   visible,
@@ -22,6 +24,16 @@ export const ExerciseMenuModal = ({
     setShowEditModal(true);
   };
 
+  const handleSaveToLibrary = async () => {
+    onClose();
+    const { error } = await exerciseTemplateService.saveExerciseAsTemplate(exercise);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to save to library');
+      return;
+    }
+    Alert.alert('Saved to Library', `"${exercise.title}" can now be added to any of your groups.`);
+  };
+
   const handleDelete = () => {
     onClose();
     setShowDeleteModal(true);
@@ -34,6 +46,7 @@ export const ExerciseMenuModal = ({
         onClose={onClose}
         items={[
           { icon: 'pencil', label: 'Edit Exercise', onPress: handleEdit },
+          { icon: 'library-outline', label: 'Save to Library', onPress: handleSaveToLibrary },
           { icon: 'trash', label: 'Delete Exercise', onPress: handleDelete, destructive: true },
         ]}
       />
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  Switch,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../../constants';
+import { exportService, teamService } from '../../../services';
+import { exportFormatters, formatters, NO_TEAM } from '../../../utils';
+import { TeamFilter } from '../../../components';
+
+/**
+ * Export Progress Modal
+ * Lets group owners export member progress as a daily CSV or a gradebook summary,
+ * for the whole group or a single team
+ */
+export const ExportProgressModal = ({ visible, group, onClose }) => {
+  const [includeNotes, setIncludeNotes] = useState(false);
+  const [exportingType, setExportingType] = useState(null);
+  const [groupTeams, setGroupTeams] = useState([]);
+  const [teamFilter, setTeamFilter] = useState(null);
+
+  useEffect(() => {
+    if (visible && group?.id) {
+      setTeamFilter(null);
+      loadTeams();
+    }
+  }, [visible, group?.id]);
+
+  const loadTeams = async () => {
+    const { data, error } = await teamService.getTeams(group.id);
+    if (error) {
+      console.error('Error loading teams:', error);
+    }
+    setGroupTeams(data || []);
+  };
+
+  const handleExport = async (type) => {
+    if (!group?.id) {
+      Alert.alert('Error', 'Group information is missing.');
+      return;
+    }
+
+    setExportingType(type);
+    try {
+      const { data, error } = await exportService.getGroupProgress(group.id, { teamId: teamFilter });
+      if (error) {
+        Alert.alert('Error', error.message || 'Failed to load group progress');
+        return;
+      }
+
+      if (data.members.length === 0 || data.exercises.length === 0) {
+        Alert.alert(
+          'Nothing to Export',
+          teamFilter && data.exercises.length > 0
+            ? 'This team has no members yet.'
+            : 'This group needs members and exercises before progress can be exported.'
+        );
+        return;
+      }
+
+      const today = formatters.formatDateForDB(new Date());
+      const content = type === 'daily'
+        ? exportFormatters.groupProgressToCSV(data, { includeNotes, throughDate: today })
+        : exportFormatters.groupGradebookToCSV(data, { throughDate: today });
+      const teamName = teamFilter === NO_TEAM
+        ? 'no-team'
+        : groupTeams.find((team) => team.id === teamFilter)?.name;
+      const fileName = [group.name, teamName, type === 'daily' ? 'progress' : 'gradebook', today]
+        .filter(Boolean)
+        .join('-');
+
+      const { error: shareError } = await exportService.shareTextFile(content, fileName, 'csv');
+      if (shareError) {
+        Alert.alert('Error', shareError.message || 'Failed to export progress');
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to export progress');
+    } finally {
+      setExportingType(null);
+    }
+  };
+
+  const renderOption = (type, icon, label, description) => (
+    <TouchableOpacity
+      style={styles.exportOption}
+      onPress={() => handleExport(type)}
+      disabled={exportingType !== null}
+      activeOpacity={0.7}
+    >
+      <Ionicons name={icon} size={24} color={COLORS.primary} />
+      <View style={styles.exportText}>
+        <Text style={styles.exportLabel}>{label}</Text>
+        <Text style={styles.exportDescription}>{description}</Text>
+      </View>
+      {exportingType === type ? (
+        <ActivityIndicator color={COLORS.primary} />
+      ) : (
+        <Ionicons name="share-outline" size={20} color={COLORS.gray} />
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeIcon}>×</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Export Progress</Text>
+          <View style={styles.placeholder} />
+        </View>
+
+        <Text style={styles.subtitle}>
+          Days are counted up to today, so exercises still running are not penalised.
+        </Text>
+
+        <TeamFilter
+          teams={groupTeams}
+          value={teamFilter}
+          onChange={setTeamFilter}
+          style={styles.teamFilter}
+        />
+
+        {renderOption(
+          'daily',
+          'calendar-outline',
+          'Daily progress (CSV)',
+          'One row per member, exercise and day'
+        )}
+
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>Include shared notes</Text>
+          <Switch
+            value={includeNotes}
+            onValueChange={setIncludeNotes}
+            trackColor={{ true: COLORS.primary }}
+          />
+        </View>
+
+        {renderOption(
+          'gradebook',
+          'school-outline',
+          'Gradebook summary (CSV)',
+          'One row per member with days completed per exercise'
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.white,
+    padding: 24,
+    paddingTop: 60,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 24,
+  },
+  closeButton: {
+    width: 40,
+    padding: 4,
+  },
+  closeIcon: {
+    fontSize: 36,
+    color: COLORS.secondary,
+    fontWeight: '300',
+    lineHeight: 36,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: COLORS.black,
+    flex: 1,
+    textAlign: 'center',
+  },
+  placeholder: {
+    width: 40,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 24,
+  },
+  teamFilter: {
+    flexGrow: 0,
+    marginBottom: 16,
+  },
+  exportOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+    marginBottom: 12,
+    gap: 16,
+  },
+  exportText: {
+    flex: 1,
+  },
+  exportLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.black,
+  },
+  exportDescription: {
+    fontSize: 13,
+    color: COLORS.gray,
+    marginTop: 2,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    marginBottom: 24,
+  },
+  switchLabel: {
+    fontSize: 15,
+    color: COLORS.black,
+  },
+});
@@ -0,0 +1,94 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  useWindowDimensions,
+} from 'react-native';
+import { COLORS } from '../../../constants';
+import { GroupCodeQR } from '../../../components';
+
+/**
+ * Group QR Modal
+ * Large QR code of the group's invite link for owners to show or project in class
+ */
+export const GroupQRModal = ({ visible, group, onClose }) => {
+  const { width, height } = useWindowDimensions();
+  const qrSize = Math.min(width, height) * 0.7;
+
+  if (!group) return null;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="fullScreen"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeIcon}>×</Text>
+          </TouchableOpacity>
+          <Text style={styles.title} numberOfLines={1}>{group.name}</Text>
+          <View style={styles.placeholder} />
+        </View>
+
+        <View style={styles.content}>
+          <GroupCodeQR groupCode={group.group_code} size={qrSize} />
+          <Text style={styles.hint}>
+            Scan with a phone camera, or tap "Scan code" on the app's Join Group screen.
+          </Text>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.white,
+    padding: 24,
+    paddingTop: 60,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  closeButton: {
+    width: 40,
+    padding: 4,
+  },
+  closeIcon: {
+    fontSize: 36,
+    color: COLORS.secondary,
+    fontWeight: '300',
+    lineHeight: 36,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: COLORS.black,
+    flex: 1,
+    textAlign: 'center',
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  hint: {
+    fontSize: 15,
+    color: COLORS.gray,
+    textAlign: 'center',
+    marginTop: 24,
+    maxWidth: 320,
+  },
+});
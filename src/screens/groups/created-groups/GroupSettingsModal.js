@@ -5,42 +5,105 @@ import {
   StyleSheet,
   Modal,
   TouchableOpacity,
+  Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { COLORS, SHADOWS } from '../../../constants';
+import { groupService } from '../../../services';
+import { groupRoles, GROUP_PERMISSIONS } from '../../../utils';
 import { EditGroupModal } from './EditGroupModal';
+import { JoinSettingsModal } from './JoinSettingsModal';
 import { DeleteGroupModal } from './DeleteGroupModal';
+import { DuplicateGroupModal } from './DuplicateGroupModal';
+import { TransferOwnershipModal } from './TransferOwnershipModal';
+import { ExportProgressModal } from './ExportProgressModal';
 
 /**
  * Group Settings Modal
- * Menu modal with options: Edit Group, Manage Members, Delete Group
+ * Menu modal with options: Edit Group, Joining, Manage Members, Export Progress,
+ * Duplicate Group, Transfer Ownership, Archive or Delete (Restore Group once archived).
+ * Facilitators only see Manage Members, Export Progress and Duplicate Group, and only with
+ * the matching permissions.
  */
 export const GroupSettingsModal = ({
   visible,
   group,
+  membership,
   onClose,
   onGroupUpdated,
+  onGroupArchived,
   onGroupDeleted,
+  onOwnershipTransferred,
+  onGroupDuplicated,
   navigation,
 }) => {
   const [showEditModal, setShowEditModal] = useState(false);
+  const [showJoinModal, setShowJoinModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showTransferModal, setShowTransferModal] = useState(false);
+  const [showDuplicateModal, setShowDuplicateModal] = useState(false);
+
+  const isOwner = membership?.role === 'owner';
+  const canManageMembers = groupRoles.can(membership, GROUP_PERMISSIONS.MANAGE_MEMBERS);
+  const canViewProgress = groupRoles.can(membership, GROUP_PERMISSIONS.VIEW_PROGRESS);
+  const canManageExercises = groupRoles.can(membership, GROUP_PERMISSIONS.MANAGE_EXERCISES);
 
   const handleEdit = () => {
     onClose();
     setShowEditModal(true);
   };
 
+  const handleJoinSettings = () => {
+    onClose();
+    setShowJoinModal(true);
+  };
+
   const handleManageMembers = () => {
     onClose();
     navigation.navigate('ManageMembers', { groupId: group.id });
   };
 
+  const handleExport = () => {
+    onClose();
+    setShowExportModal(true);
+  };
+
+  const handleDuplicate = () => {
+    onClose();
+    setShowDuplicateModal(true);
+  };
+
+  const handleDuplicateSuccess = (newGroup) => {
+    setShowDuplicateModal(false);
+    onGroupDuplicated(newGroup);
+  };
+
+  const handleTransfer = () => {
+    onClose();
+    setShowTransferModal(true);
+  };
+
+  const handleTransferSuccess = () => {
+    setShowTransferModal(false);
+    onOwnershipTransferred();
+  };
+
   const handleDelete = () => {
     onClose();
     setShowDeleteModal(true);
   };
 
+  const handleRestore = async () => {
+    onClose();
+    const { error } = await groupService.restoreGroup(group.id);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to restore group');
+      return;
+    }
+    onGroupUpdated();
+  };
+
   const handleEditClose = () => {
     setShowEditModal(false);
   };
@@ -50,19 +113,40 @@ export const GroupSettingsModal = ({
     onGroupUpdated();
   };
 
+  const handleJoinSuccess = () => {
+    setShowJoinModal(false);
+    onGroupUpdated();
+  };
+
   const handleDeleteClose = () => {
     setShowDeleteModal(false);
   };
 
+  const handleArchiveSuccess = () => {
+    setShowDeleteModal(false);
+    onGroupArchived();
+  };
+
   const handleDeleteSuccess = () => {
     setShowDeleteModal(false);
     onGroupDeleted();
   };
 
+  const menuItems = [
+    isOwner && { label: 'Edit Group', icon: 'pencil', onPress: handleEdit },
+    isOwner && { label: 'Joining', icon: 'key-outline', onPress: handleJoinSettings },
+    canManageMembers && { label: 'Manage Members', icon: 'people', onPress: handleManageMembers },
+    canViewProgress && { label: 'Export Progress', icon: 'download-outline', onPress: handleExport },
+    canManageExercises && { label: 'Duplicate Group', icon: 'copy-outline', onPress: handleDuplicate },
+    isOwner && { label: 'Transfer Ownership', icon: 'swap-horizontal', onPress: handleTransfer },
+    isOwner && group?.archived_at && { label: 'Restore Group', icon: 'refresh', onPress: handleRestore },
+    isOwner && !group?.archived_at && { label: 'Archive or Delete', icon: 'archive-outline', onPress: handleDelete, destructive: true },
+  ].filter(Boolean);
+
   return (
     <>
       <Modal
-        visible={visible && !showEditModal && !showDeleteModal}
+        visible={visible && !showEditModal && !showJoinModal && !showDeleteModal && !showExportModal && !showTransferModal && !showDuplicateModal}
         transparent
         animationType="fade"
         onRequestClose={onClose}
@@ -73,34 +157,25 @@ export const GroupSettingsModal = ({
           onPress={onClose}
         >
           <View style={styles.modal}>
-            <TouchableOpacity
-              style={styles.menuItem}
-              onPress={handleEdit}
-              activeOpacity={0.7}
-            >
-              <Ionicons name="pencil" size={20} color={COLORS.black} />
-              <Text style={styles.menuItemText}>Edit Group</Text>
-            </TouchableOpacity>
-            <View style={styles.divider} />
-            <TouchableOpacity
-              style={styles.menuItem}
-              onPress={handleManageMembers}
-              activeOpacity={0.7}
-            >
-              <Ionicons name="people" size={20} color={COLORS.black} />
-              <Text style={styles.menuItemText}>Manage Members</Text>
-            </TouchableOpacity>
-            <View style={styles.divider} />
-            <TouchableOpacity
-              style={styles.menuItem}
-              onPress={handleDelete}
-              activeOpacity={0.7}
-            >
-              <Ionicons name="trash" size={20} color={COLORS.error} />
-              <Text style={[styles.menuItemText, styles.deleteText]}>
-                Delete Group
-              </Text>
-            </TouchableOpacity>
+            {menuItems.map((item, index) => (
+              <React.Fragment key={item.label}>
+                {index > 0 && <View style={styles.divider} />}
+                <TouchableOpacity
+                  style={styles.menuItem}
+                  onPress={item.onPress}
+                  activeOpacity={0.7}
+                >
+                  <Ionicons
+                    name={item.icon}
+                    size={20}
+                    color={item.destructive ? COLORS.error : COLORS.black}
+                  />
+                  <Text style={[styles.menuItemText, item.destructive && styles.deleteText]}>
+                    {item.label}
+                  </Text>
+                </TouchableOpacity>
+              </React.Fragment>
+            ))}
           </View>
         </TouchableOpacity>
       </Modal>
@@ -112,10 +187,38 @@ export const GroupSettingsModal = ({
         onGroupUpdated={handleEditSuccess}
       />
 
+      <JoinSettingsModal
+        visible={showJoinModal}
+        group={group}
+        onClose={() => setShowJoinModal(false)}
+        onGroupUpdated={handleJoinSuccess}
+      />
+
+      <ExportProgressModal
+        visible={showExportModal}
+        group={group}
+        onClose={() => setShowExportModal(false)}
+      />
+
+      <DuplicateGroupModal
+        visible={showDuplicateModal}
+        group={group}
+        onClose={() => setShowDuplicateModal(false)}
+        onGroupDuplicated={handleDuplicateSuccess}
+      />
+
+      <TransferOwnershipModal
+        visible={showTransferModal}
+        group={group}
+        onClose={() => setShowTransferModal(false)}
+        onTransferred={handleTransferSuccess}
+      />
+
       <DeleteGroupModal
         visible={showDeleteModal}
         group={group}
         onClose={handleDeleteClose}
+        onGroupArchived={handleArchiveSuccess}
         onGroupDeleted={handleDeleteSuccess}
       />
     </>
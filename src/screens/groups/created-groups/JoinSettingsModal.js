@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Switch,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { COLORS } from '../../../constants';
+import { groupService } from '../../../services';
+import { joinSettings } from '../../../utils';
+import { ScreenHeader, DatePickerInput } from '../../../components';
+
+/**
+ * Join Settings Modal
+ * Lets owners regenerate the group code, limit how long and how often it works,
+ * close joining and require approval for new members
+ */
+export const JoinSettingsModal = ({ visible, group, onClose, onGroupUpdated }) => {
+  const [code, setCode] = useState('');
+  const [codeChanged, setCodeChanged] = useState(false);
+  const [acceptingMembers, setAcceptingMembers] = useState(true);
+  const [requiresApproval, setRequiresApproval] = useState(false);
+  const [expiryDate, setExpiryDate] = useState(null);
+  const [showExpiryPicker, setShowExpiryPicker] = useState(false);
+  const [maxUses, setMaxUses] = useState('');
+  const [regenerating, setRegenerating] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible && group) {
+      setCode(group.group_code);
+      setCodeChanged(false);
+      setAcceptingMembers(!group.joining_closed);
+      setRequiresApproval(group.requires_approval || false);
+      setExpiryDate(group.join_code_expires_at ? new Date(group.join_code_expires_at) : null);
+      setMaxUses(group.join_code_max_uses ? String(group.join_code_max_uses) : '');
+      setShowExpiryPicker(false);
+    }
+  }, [visible, group]);
+
+  const status = joinSettings.getCodeStatus(group);
+
+  const handleClose = () => {
+    if (codeChanged) {
+      onGroupUpdated();
+    } else {
+      onClose();
+    }
+  };
+
+  const handleRegenerate = () => {
+    Alert.alert(
+      'Generate New Code',
+      `The code ${code} will stop working straight away. Current members stay in the group.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Generate',
+          onPress: async () => {
+            setRegenerating(true);
+            const { data, error } = await groupService.regenerateGroupCode(group.id);
+            setRegenerating(false);
+            if (error) {
+              Alert.alert('Error', error.message || 'Failed to generate a new code');
+              return;
+            }
+            setCode(data);
+            setCodeChanged(true);
+          },
+        },
+      ]
+    );
+  };
+
+  const handleSave = async () => {
+    const limit = maxUses.trim() ? parseInt(maxUses, 10) : null;
+    if (limit !== null && (Number.isNaN(limit) || limit < 1)) {
+      Alert.alert('Error', 'The use limit must be at least 1');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const { error } = await groupService.updateGroup(group.id, {
+        joining_closed: !acceptingMembers,
+        requires_approval: requiresApproval,
+        join_code_expires_at: expiryDate ? joinSettings.getExpiryForDate(expiryDate) : null,
+        join_code_max_uses: limit,
+      });
+
+      if (error) {
+        Alert.alert('Error', error.message || 'Failed to update join settings');
+        return;
+      }
+
+      onGroupUpdated();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update join settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderSwitch = (label, value, onValueChange) => (
+    <View style={styles.switchRow}>
+      <Text style={styles.switchLabel}>{label}</Text>
+      <Switch value={value} onValueChange={onValueChange} trackColor={{ true: COLORS.primary }} />
+    </View>
+  );
+
+  if (!group) return null;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={handleClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        keyboardVerticalOffset={Platform.OS === 'ios' ? 100 : 20}
+      >
+        <ScreenHeader title="Joining" onBack={handleClose} variant="modal" />
+
+        <ScrollView
+          style={styles.content}
+          contentContainerStyle={styles.contentContainer}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.field}>
+            <Text style={styles.label}>Group Code</Text>
+            <View style={styles.codeRow}>
+              <Text style={styles.code}>{code}</Text>
+              <TouchableOpacity
+                style={styles.regenerateButton}
+                onPress={handleRegenerate}
+                disabled={regenerating}
+              >
+                {regenerating ? (
+                  <ActivityIndicator color={COLORS.primary} />
+                ) : (
+                  <Text style={styles.regenerateText}>Generate New Code</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+            {!codeChanged && !status.isOpen && status.reason && (
+              <Text style={styles.warning}>{status.reason}</Text>
+            )}
+          </View>
+
+          <View style={styles.field}>
+            {renderSwitch('Accept new members', acceptingMembers, setAcceptingMembers)}
+            {renderSwitch('Require my approval', requiresApproval, setRequiresApproval)}
+            <Text style={styles.hint}>
+              With approval on, people who enter the code wait on the Manage Members screen until you accept them.
+            </Text>
+          </View>
+
+          <View style={styles.field}>
+            {renderSwitch('Code expires', !!expiryDate, (value) => {
+              setShowExpiryPicker(false);
+              setExpiryDate(value ? new Date() : null);
+            })}
+            {expiryDate && (
+              <>
+                <Text style={styles.hint}>The code stops working after this day.</Text>
+                <DatePickerInput
+                  value={expiryDate}
+                  onChange={setExpiryDate}
+                  open={showExpiryPicker}
+                  onOpen={() => setShowExpiryPicker(true)}
+                  onClose={() => setShowExpiryPicker(false)}
+                  minimumDate={new Date()}
+                />
+              </>
+            )}
+          </View>
+
+          <View style={styles.field}>
+            <View style={styles.switchRow}>
+              <Text style={styles.switchLabel}>Maximum uses</Text>
+              <TextInput
+                style={styles.usesInput}
+                value={maxUses}
+                onChangeText={(text) => setMaxUses(text.replace(/[^0-9]/g, ''))}
+                placeholder="No limit"
+                keyboardType="number-pad"
+                maxLength={4}
+                placeholderTextColor={COLORS.inputPlaceholder}
+              />
+            </View>
+            <Text style={styles.hint}>
+              {codeChanged
+                ? 'The new code has not been used yet.'
+                : `This code has been used ${group.join_code_uses || 0} ${group.join_code_uses === 1 ? 'time' : 'times'}.`}
+            </Text>
+          </View>
+        </ScrollView>
+
+        <TouchableOpacity
+          style={[styles.saveButton, loading && styles.saveButtonDisabled]}
+          onPress={handleSave}
+          disabled={loading}
+          activeOpacity={0.85}
+        >
+          <Text style={styles.saveButtonText}>Save</Text>
+        </TouchableOpacity>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.white,
+    padding: 24,
+    paddingTop: 60,
+  },
+  content: {
+    flex: 1,
+  },
+  contentContainer: {
+    paddingBottom: 20,
+  },
+  field: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: COLORS.black,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 8,
+  },
+  warning: {
+    fontSize: 14,
+    color: COLORS.error,
+    marginTop: 8,
+  },
+  codeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  code: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: COLORS.black,
+    letterSpacing: 4,
+  },
+  regenerateButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  regenerateText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+  },
+  switchLabel: {
+    flex: 1,
+    fontSize: 15,
+    color: COLORS.black,
+    marginRight: 12,
+  },
+  usesInput: {
+    width: 96,
+    backgroundColor: COLORS.background,
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    color: COLORS.black,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+    textAlign: 'center',
+  },
+  saveButton: {
+    backgroundColor: COLORS.primary,
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 16,
+    shadowColor: COLORS.primary,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  saveButtonDisabled: {
+    opacity: 0.5,
+  },
+  saveButtonText: {
+    color: COLORS.white,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
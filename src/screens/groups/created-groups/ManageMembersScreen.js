@@ -7,25 +7,43 @@ import {
   ScrollView,
   TextInput,
   ActivityIndicator,
+  Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { COLORS } from '../../../constants';
-import { groupMemberService } from '../../../services';
-import { BottomTabBar } from '../../../components';
+import { groupMemberService, teamService } from '../../../services';
+import { groupRoles, GROUP_PERMISSIONS, teams, NO_TEAM } from '../../../utils';
+import { BottomTabBar, TeamFilter } from '../../../components';
 import { DeleteMemberModal } from './DeleteMemberModal';
+import { MemberRoleModal } from './MemberRoleModal';
+import { MemberTeamModal } from './MemberTeamModal';
+import { ManageTeamsModal } from './ManageTeamsModal';
 
 /**
  * Manage Members Screen
- * Screen for managing group members (search and delete)
+ * Screen for managing group members (search and delete) and reviewing join requests.
+ * The owner also assigns facilitator roles here; facilitators can only remove members.
+ * Anyone who manages members can split the group into teams and move members between them.
  */
 export const ManageMembersScreen = ({ navigation, route }) => {
   const { groupId } = route.params || {};
   const [members, setMembers] = useState([]);
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [respondingId, setRespondingId] = useState(null);
   const [filteredMembers, setFilteredMembers] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [loading, setLoading] = useState(true);
   const [selectedMember, setSelectedMember] = useState(null);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showRoleModal, setShowRoleModal] = useState(false);
+  const [showTeamModal, setShowTeamModal] = useState(false);
+  const [showManageTeams, setShowManageTeams] = useState(false);
+  const [groupTeams, setGroupTeams] = useState([]);
+  const [teamFilter, setTeamFilter] = useState(null);
+  const [membership, setMembership] = useState(null);
+
+  const isOwner = membership?.role === 'owner';
+  const canManageMembers = groupRoles.can(membership, GROUP_PERMISSIONS.MANAGE_MEMBERS);
 
   useEffect(() => {
     if (groupId) {
@@ -34,19 +52,24 @@ export const ManageMembersScreen = ({ navigation, route }) => {
   }, [groupId]);
 
   useEffect(() => {
+    const inTeam = members.filter((member) => teams.matchesFilter(member.team_id, teamFilter));
     if (searchQuery.trim()) {
-      const filtered = members.filter((member) =>
+      const filtered = inTeam.filter((member) =>
         member.users?.name?.toLowerCase().includes(searchQuery.toLowerCase())
       );
       setFilteredMembers(filtered);
     } else {
-      setFilteredMembers(members);
+      setFilteredMembers(inTeam);
     }
-  }, [searchQuery, members]);
+  }, [searchQuery, members, teamFilter]);
 
   const loadMembers = async () => {
     try {
       setLoading(true);
+      loadJoinRequests();
+      loadTeams();
+      const { data: roleData } = await groupMemberService.getUserRole(groupId);
+      setMembership(roleData);
       const { data, error } = await groupMemberService.getGroupMembers(groupId);
 
       if (error) {
@@ -65,11 +88,116 @@ export const ManageMembersScreen = ({ navigation, route }) => {
     }
   };
 
+  const loadJoinRequests = async () => {
+    const { data, error } = await groupMemberService.getJoinRequests(groupId);
+    if (error) {
+      console.error('Error loading join requests:', error);
+      return;
+    }
+    setJoinRequests(data);
+  };
+
+  const loadTeams = async () => {
+    const { data, error } = await teamService.getTeams(groupId);
+    if (error) {
+      console.error('Error loading teams:', error);
+      return;
+    }
+    setGroupTeams(data);
+    // Stop filtering by a team that was just deleted
+    setTeamFilter((prev) =>
+      prev && prev !== NO_TEAM && !data.some((team) => team.id === prev) ? null : prev
+    );
+  };
+
+  const handleRespond = async (request, approve) => {
+    setRespondingId(request.id);
+    const { error } = approve
+      ? await groupMemberService.approveJoinRequest(request.id)
+      : await groupMemberService.declineJoinRequest(request.id);
+    setRespondingId(null);
+
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to update the request');
+      return;
+    }
+    if (approve) {
+      loadMembers();
+    } else {
+      setJoinRequests((prev) => prev.filter((r) => r.id !== request.id));
+    }
+  };
+
+  const renderJoinRequests = () => {
+    if (joinRequests.length === 0 || searchQuery.trim()) return null;
+    return (
+      <View style={styles.requestsSection}>
+        <Text style={styles.requestsTitle}>
+          Waiting for approval ({joinRequests.length})
+        </Text>
+        {joinRequests.map((request) => (
+          <View key={request.id} style={styles.requestRow}>
+            <Text style={[styles.memberName, styles.memberInfo]}>{request.name || 'Unknown'}</Text>
+            {respondingId === request.id ? (
+              <ActivityIndicator color={COLORS.primary} />
+            ) : (
+              <View style={styles.requestActions}>
+                <TouchableOpacity
+                  onPress={() => handleRespond(request, false)}
+                  style={styles.declineButton}
+                >
+                  <Text style={styles.declineText}>Decline</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={() => handleRespond(request, true)}
+                  style={styles.approveButton}
+                >
+                  <Text style={styles.approveText}>Approve</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+        ))}
+      </View>
+    );
+  };
+
   const handleDeleteClick = (member) => {
     setSelectedMember(member);
     setShowDeleteModal(true);
   };
 
+  const handleRoleClick = (member) => {
+    setSelectedMember(member);
+    setShowRoleModal(true);
+  };
+
+  const handleTeamClick = (member) => {
+    setSelectedMember(member);
+    setShowTeamModal(true);
+  };
+
+  const handleTeamAssigned = () => {
+    setShowTeamModal(false);
+    setSelectedMember(null);
+    loadMembers();
+  };
+
+  const handleRoleUpdated = () => {
+    setShowRoleModal(false);
+    setSelectedMember(null);
+    loadMembers();
+  };
+
+  // Facilitators can remove members but not the owner or other facilitators
+  const canRemove = (member) =>
+    member.role !== 'owner' && (member.role === 'member' ? canManageMembers : isOwner);
+
+  const teamNames = {};
+  groupTeams.forEach((team) => {
+    teamNames[team.id] = team.name;
+  });
+
   const handleMemberDeleted = () => {
     setShowDeleteModal(false);
     setSelectedMember(null);
@@ -86,7 +214,13 @@ export const ManageMembersScreen = ({ navigation, route }) => {
           <Ionicons name="arrow-back" size={24} color={COLORS.black} />
         </TouchableOpacity>
         <Text style={styles.title}>Manage Members</Text>
-        <View style={styles.placeholder} />
+        {canManageMembers ? (
+          <TouchableOpacity onPress={() => setShowManageTeams(true)} style={styles.teamsButton}>
+            <Ionicons name="people-circle-outline" size={26} color={COLORS.black} />
+          </TouchableOpacity>
+        ) : (
+          <View style={styles.placeholder} />
+        )}
       </View>
 
       <View style={styles.searchContainer}>
@@ -105,6 +239,13 @@ export const ManageMembersScreen = ({ navigation, route }) => {
         />
       </View>
 
+      <TeamFilter
+        teams={groupTeams}
+        value={teamFilter}
+        onChange={setTeamFilter}
+        style={styles.teamFilter}
+      />
+
       <View style={styles.tableHeader}>
         <Text style={styles.headerText}>Name</Text>
         <Text style={[styles.headerText, styles.roleHeader]}>Role</Text>
@@ -115,6 +256,7 @@ export const ManageMembersScreen = ({ navigation, route }) => {
         <ActivityIndicator color={COLORS.primary} style={styles.loader} />
       ) : (
         <ScrollView style={styles.membersList}>
+          {renderJoinRequests()}
           {filteredMembers.length === 0 ? (
             <View style={styles.emptyContainer}>
               <Text style={styles.emptyText}>No members found</Text>
@@ -122,13 +264,42 @@ export const ManageMembersScreen = ({ navigation, route }) => {
           ) : (
             filteredMembers.map((member) => (
             <View key={member.id} style={styles.memberRow}>
-              <Text style={styles.memberName}>
-                {member.users?.name || 'Unknown'}
-              </Text>
-              <Text style={styles.memberRole}>
-                {member.role === 'owner' ? 'Owner' : 'Member'}
-              </Text>
-              {member.role !== 'owner' ? (
+              <View style={styles.memberInfo}>
+                <Text style={styles.memberName}>
+                  {member.users?.name || 'Unknown'}
+                </Text>
+                {member.role === 'facilitator' && (
+                  <Text style={styles.memberPermissions}>
+                    {groupRoles.describePermissions(member.permissions)}
+                  </Text>
+                )}
+                {groupTeams.length > 0 && member.role !== 'owner' && (
+                  canManageMembers ? (
+                    <TouchableOpacity onPress={() => handleTeamClick(member)}>
+                      <Text style={[styles.memberPermissions, styles.memberTeamEditable]}>
+                        {teamNames[member.team_id] || 'Add to a team'}
+                      </Text>
+                    </TouchableOpacity>
+                  ) : (
+                    teamNames[member.team_id] && (
+                      <Text style={styles.memberPermissions}>{teamNames[member.team_id]}</Text>
+                    )
+                  )
+                )}
+              </View>
+              {isOwner && member.role !== 'owner' ? (
+                <TouchableOpacity onPress={() => handleRoleClick(member)} style={styles.roleButton}>
+                  <Text style={[styles.memberRole, styles.memberRoleEditable]}>
+                    {groupRoles.getRoleLabel(member.role)}
+                  </Text>
+                  <Ionicons name="chevron-down" size={14} color={COLORS.primary} />
+                </TouchableOpacity>
+              ) : (
+                <Text style={styles.memberRole}>
+                  {groupRoles.getRoleLabel(member.role)}
+                </Text>
+              )}
+              {canRemove(member) ? (
                 <TouchableOpacity
                   onPress={() => handleDeleteClick(member)}
                   style={styles.deleteButton}
@@ -159,6 +330,37 @@ export const ManageMembersScreen = ({ navigation, route }) => {
         }}
         onMemberDeleted={handleMemberDeleted}
       />
+
+      <MemberRoleModal
+        visible={showRoleModal}
+        member={selectedMember}
+        onClose={() => {
+          setShowRoleModal(false);
+          setSelectedMember(null);
+        }}
+        onRoleUpdated={handleRoleUpdated}
+      />
+
+      <MemberTeamModal
+        visible={showTeamModal}
+        groupId={groupId}
+        member={selectedMember}
+        teams={groupTeams}
+        onClose={() => {
+          setShowTeamModal(false);
+          setSelectedMember(null);
+        }}
+        onTeamAssigned={handleTeamAssigned}
+      />
+
+      <ManageTeamsModal
+        visible={showManageTeams}
+        groupId={groupId}
+        teams={groupTeams}
+        members={members}
+        onClose={() => setShowManageTeams(false)}
+        onTeamsChanged={loadMembers}
+      />
     </View>
   );
 };
@@ -190,6 +392,16 @@ const styles = StyleSheet.create({
   placeholder: {
     width: 40,
   },
+  teamsButton: {
+    width: 40,
+    padding: 4,
+    alignItems: 'flex-end',
+  },
+  teamFilter: {
+    flexGrow: 0,
+    marginHorizontal: 24,
+    marginBottom: 12,
+  },
   searchContainer: {
     position: 'relative',
     marginHorizontal: 24,
@@ -241,10 +453,27 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: COLORS.lightGray,
   },
+  memberInfo: {
+    flex: 1,
+  },
   memberName: {
     fontSize: 16,
     color: COLORS.black,
-    flex: 1,
+  },
+  memberPermissions: {
+    fontSize: 13,
+    color: COLORS.gray,
+    marginTop: 2,
+  },
+  roleButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  memberTeamEditable: {
+    color: COLORS.primary,
+  },
+  memberRoleEditable: {
+    color: COLORS.primary,
   },
   memberRole: {
     fontSize: 16,
@@ -260,6 +489,50 @@ const styles = StyleSheet.create({
     width: 26,
     marginLeft: 50,
   },
+  requestsSection: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.lightGray,
+  },
+  requestsTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.warning,
+    paddingHorizontal: 24,
+    marginBottom: 4,
+  },
+  requestRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 24,
+  },
+  requestActions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  approveButton: {
+    backgroundColor: COLORS.primary,
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  approveText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.white,
+  },
+  declineButton: {
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  declineText: {
+    fontSize: 14,
+    color: COLORS.gray,
+  },
   loader: {
     marginTop: 40,
   },
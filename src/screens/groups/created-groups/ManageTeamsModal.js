@@ -0,0 +1,365 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../../constants';
+import { teamService } from '../../../services';
+import { teams as teamUtils } from '../../../utils';
+import { ScreenHeader } from '../../../components';
+
+/**
+ * Manage Teams Modal
+ * Create, rename and delete a group's teams, and shuffle members into them so
+ * every team ends up the same size. onTeamsChanged is called after any change.
+ */
+export const ManageTeamsModal = ({ visible, groupId, teams, members, onClose, onTeamsChanged }) => {
+  const [newName, setNewName] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [shuffling, setShuffling] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setNewName('');
+      setEditingId(null);
+    }
+  }, [visible]);
+
+  const memberCounts = teamUtils.countMembers(members);
+  const regularMembers = (members || []).filter((member) => member.role === 'member');
+
+  const handleAdd = async () => {
+    if (!newName.trim()) return;
+
+    setAdding(true);
+    const { error } = await teamService.createTeam(groupId, newName);
+    setAdding(false);
+
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to create team');
+      return;
+    }
+
+    setNewName('');
+    onTeamsChanged();
+  };
+
+  const handleRename = async () => {
+    if (!editingName.trim()) return;
+
+    const { error } = await teamService.renameTeam(editingId, editingName);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to rename team');
+      return;
+    }
+
+    setEditingId(null);
+    onTeamsChanged();
+  };
+
+  const handleDelete = (team) => {
+    Alert.alert(
+      'Delete Team',
+      `Delete "${team.name}"? Its members stay in the group without a team.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const { error } = await teamService.deleteTeam(team.id);
+            if (error) {
+              Alert.alert('Error', error.message || 'Failed to delete team');
+              return;
+            }
+            onTeamsChanged();
+          },
+        },
+      ]
+    );
+  };
+
+  const shuffleMembers = async () => {
+    setShuffling(true);
+    const { error } = await teamService.assignMembers(
+      groupId,
+      teamUtils.balanceMembers(members, teams)
+    );
+    setShuffling(false);
+
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to assign teams');
+      return;
+    }
+    onTeamsChanged();
+  };
+
+  const handleShuffle = () => {
+    const perTeam = Math.ceil(regularMembers.length / teams.length);
+    Alert.alert(
+      'Shuffle Members',
+      `Randomly split ${regularMembers.length} members across ${teams.length} teams (up to ${perTeam} each)? ` +
+        'Members lose their current team. Facilitators keep theirs.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Shuffle', onPress: shuffleMembers },
+      ]
+    );
+  };
+
+  const renderTeam = (team) => {
+    const count = memberCounts[team.id] || 0;
+
+    if (editingId === team.id) {
+      return (
+        <View key={team.id} style={styles.teamRow}>
+          <TextInput
+            style={[styles.input, styles.editInput]}
+            value={editingName}
+            onChangeText={setEditingName}
+            maxLength={50}
+            autoFocus
+            onSubmitEditing={handleRename}
+          />
+          <TouchableOpacity onPress={() => setEditingId(null)} style={styles.iconButton}>
+            <Ionicons name="close" size={20} color={COLORS.gray} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={handleRename} style={styles.iconButton}>
+            <Ionicons name="checkmark" size={20} color={COLORS.primary} />
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <View key={team.id} style={styles.teamRow}>
+        <View style={styles.teamInfo}>
+          <Text style={styles.teamName} numberOfLines={1}>{team.name}</Text>
+          <Text style={styles.teamCount}>
+            {count} {count === 1 ? 'person' : 'people'}
+          </Text>
+        </View>
+        <TouchableOpacity
+          onPress={() => {
+            setEditingId(team.id);
+            setEditingName(team.name);
+          }}
+          style={styles.iconButton}
+        >
+          <Ionicons name="create-outline" size={20} color={COLORS.gray} />
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => handleDelete(team)} style={styles.iconButton}>
+          <Ionicons name="trash-outline" size={20} color={COLORS.error} />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const unassignedCount = regularMembers.filter((member) => !member.team_id).length;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <ScreenHeader title="Teams" onBack={onClose} variant="modal" />
+
+        <Text style={styles.subtitle}>
+          Split the group into small circles. Progress, exports and discussions can be filtered by team.
+        </Text>
+
+        <View style={styles.addRow}>
+          <TextInput
+            style={[styles.input, styles.addInput]}
+            value={newName}
+            onChangeText={setNewName}
+            placeholder="New team name"
+            placeholderTextColor={COLORS.inputPlaceholder}
+            maxLength={50}
+            onSubmitEditing={handleAdd}
+          />
+          <TouchableOpacity
+            style={[styles.addButton, (!newName.trim() || adding) && styles.buttonDisabled]}
+            onPress={handleAdd}
+            disabled={!newName.trim() || adding}
+            activeOpacity={0.85}
+          >
+            {adding ? (
+              <ActivityIndicator color={COLORS.white} />
+            ) : (
+              <Text style={styles.addButtonText}>Add</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView
+          style={styles.list}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        >
+          {teams.length === 0 ? (
+            <Text style={styles.emptyText}>No teams yet</Text>
+          ) : (
+            <>
+              {teams.map(renderTeam)}
+              {unassignedCount > 0 && (
+                <Text style={styles.unassignedText}>
+                  {unassignedCount} {unassignedCount === 1 ? 'member' : 'members'} without a team
+                </Text>
+              )}
+            </>
+          )}
+        </ScrollView>
+
+        {teams.length > 0 && regularMembers.length > 0 && (
+          <TouchableOpacity
+            style={[styles.shuffleButton, shuffling && styles.buttonDisabled]}
+            onPress={handleShuffle}
+            disabled={shuffling}
+            activeOpacity={0.85}
+          >
+            {shuffling ? (
+              <ActivityIndicator color={COLORS.white} />
+            ) : (
+              <>
+                <Ionicons name="shuffle" size={20} color={COLORS.white} />
+                <Text style={styles.shuffleButtonText}>Shuffle Members into Teams</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        )}
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.white,
+    padding: 24,
+    paddingTop: 60,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 16,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 16,
+  },
+  input: {
+    backgroundColor: COLORS.background,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: COLORS.black,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+  },
+  addInput: {
+    flex: 1,
+  },
+  editInput: {
+    flex: 1,
+    paddingVertical: 8,
+  },
+  addButton: {
+    backgroundColor: COLORS.primary,
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  addButtonText: {
+    color: COLORS.white,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  list: {
+    flex: 1,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: COLORS.gray,
+    textAlign: 'center',
+    marginTop: 24,
+  },
+  teamRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.lightGray,
+    marginBottom: 8,
+  },
+  teamInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  teamName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.black,
+  },
+  teamCount: {
+    fontSize: 13,
+    color: COLORS.gray,
+    marginTop: 2,
+  },
+  iconButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  unassignedText: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginTop: 4,
+  },
+  shuffleButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: COLORS.primary,
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 16,
+    shadowColor: COLORS.primary,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  shuffleButtonText: {
+    color: COLORS.white,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  Alert,
+} from 'react-native';
+import { COLORS } from '../../../constants';
+import { groupMemberService } from '../../../services';
+import { PERMISSION_OPTIONS } from '../../../utils';
+import { ScreenHeader } from '../../../components';
+
+const ROLE_CHOICES = [
+  { value: 'member', label: 'Member', description: 'Practises the exercises' },
+  { value: 'facilitator', label: 'Facilitator', description: 'Helps run the group, e.g. a co-teacher' },
+];
+
+/**
+ * Member Role Modal
+ * Lets the owner make a member a facilitator and choose what they can do
+ */
+export const MemberRoleModal = ({ visible, member, onClose, onRoleUpdated }) => {
+  const [role, setRole] = useState('member');
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible && member) {
+      setRole(member.role === 'facilitator' ? 'facilitator' : 'member');
+      setPermissions(member.permissions || []);
+    }
+  }, [visible, member]);
+
+  const togglePermission = (permission, enabled) => {
+    setPermissions((prev) =>
+      enabled ? [...prev, permission] : prev.filter((p) => p !== permission)
+    );
+  };
+
+  const handleSave = async () => {
+    if (role === 'facilitator' && permissions.length === 0) {
+      Alert.alert('Error', 'Choose at least one thing this facilitator can do');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const { error } = await groupMemberService.setMemberRole(member.id, role, permissions);
+
+      if (error) {
+        Alert.alert('Error', error.message || 'Failed to update role');
+        return;
+      }
+
+      onRoleUpdated();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update role');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!member) return null;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <ScreenHeader
+          title={member.users?.name || 'Member'}
+          onBack={onClose}
+          variant="modal"
+        />
+
+        <ScrollView
+          style={styles.content}
+          contentContainerStyle={styles.contentContainer}
+          showsVerticalScrollIndicator={false}
+        >
+          <View style={styles.field}>
+            <Text style={styles.label}>Role</Text>
+            {ROLE_CHOICES.map((choice) => (
+              <TouchableOpacity
+                key={choice.value}
+                style={[styles.roleOption, role === choice.value && styles.roleOptionSelected]}
+                onPress={() => setRole(choice.value)}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.roleLabel}>{choice.label}</Text>
+                <Text style={styles.hint}>{choice.description}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {role === 'facilitator' && (
+            <View style={styles.field}>
+              <Text style={styles.label}>Permissions</Text>
+              {PERMISSION_OPTIONS.map((option) => (
+                <View key={option.value} style={styles.switchRow}>
+                  <View style={styles.switchText}>
+                    <Text style={styles.switchLabel}>{option.label}</Text>
+                    <Text style={styles.hint}>{option.description}</Text>
+                  </View>
+                  <Switch
+                    value={permissions.includes(option.value)}
+                    onValueChange={(enabled) => togglePermission(option.value, enabled)}
+                    trackColor={{ true: COLORS.primary }}
+                  />
+                </View>
+              ))}
+              <Text style={styles.hint}>
+                Only you can edit or delete the group, change its code or change roles.
+              </Text>
+            </View>
+          )}
+        </ScrollView>
+
+        <TouchableOpacity
+          style={[styles.saveButton, loading && styles.saveButtonDisabled]}
+          onPress={handleSave}
+          disabled={loading}
+          activeOpacity={0.85}
+        >
+          <Text style={styles.saveButtonText}>Save</Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.white,
+    padding: 24,
+    paddingTop: 60,
+  },
+  content: {
+    flex: 1,
+  },
+  contentContainer: {
+    paddingBottom: 20,
+  },
+  field: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: COLORS.black,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 14,
+    color: COLORS.gray,
+  },
+  roleOption: {
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  roleOptionSelected: {
+    borderColor: COLORS.primary,
+    borderWidth: 2,
+  },
+  roleLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.black,
+    marginBottom: 2,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  switchText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  switchLabel: {
+    fontSize: 15,
+    color: COLORS.black,
+  },
+  saveButton: {
+    backgroundColor: COLORS.primary,
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 16,
+    shadowColor: COLORS.primary,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  saveButtonDisabled: {
+    opacity: 0.5,
+  },
+  saveButtonText: {
+    color: COLORS.white,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
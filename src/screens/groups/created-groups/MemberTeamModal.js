@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../../constants';
+import { teamService } from '../../../services';
+import { ScreenHeader } from '../../../components';
+
+/**
+ * Member Team Modal
+ * Lets the owner or a facilitator who manages members move one member into a
+ * team, or take them out of their team
+ */
+export const MemberTeamModal = ({ visible, groupId, member, teams, onClose, onTeamAssigned }) => {
+  const [teamId, setTeamId] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible && member) {
+      setTeamId(member.team_id || null);
+    }
+  }, [visible, member]);
+
+  const handleSave = async () => {
+    setLoading(true);
+    try {
+      const { error } = await teamService.assignMembers(groupId, [
+        { member_id: member.id, team_id: teamId },
+      ]);
+
+      if (error) {
+        Alert.alert('Error', error.message || 'Failed to update team');
+        return;
+      }
+
+      onTeamAssigned();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update team');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!member) return null;
+
+  const choices = [
+    ...(teams || []).map((team) => ({ value: team.id, label: team.name })),
+    { value: null, label: 'No team' },
+  ];
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <ScreenHeader
+          title={member.users?.name || 'Member'}
+          onBack={onClose}
+          variant="modal"
+        />
+
+        <Text style={styles.label}>Team</Text>
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          {choices.map((choice) => {
+            const isSelected = teamId === choice.value;
+            return (
+              <TouchableOpacity
+                key={choice.value || 'none'}
+                style={[styles.teamOption, isSelected && styles.teamOptionSelected]}
+                onPress={() => setTeamId(choice.value)}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.teamLabel}>{choice.label}</Text>
+                {isSelected && <Ionicons name="checkmark" size={20} color={COLORS.primary} />}
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+
+        <TouchableOpacity
+          style={[styles.saveButton, loading && styles.saveButtonDisabled]}
+          onPress={handleSave}
+          disabled={loading}
+          activeOpacity={0.85}
+        >
+          <Text style={styles.saveButtonText}>Save</Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.white,
+    padding: 24,
+    paddingTop: 60,
+  },
+  content: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: COLORS.black,
+    marginBottom: 8,
+  },
+  teamOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  teamOptionSelected: {
+    borderColor: COLORS.primary,
+    borderWidth: 2,
+  },
+  teamLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.black,
+  },
+  saveButton: {
+    backgroundColor: COLORS.primary,
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 16,
+    shadowColor: COLORS.primary,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  saveButtonDisabled: {
+    opacity: 0.5,
+  },
+  saveButtonText: {
+    color: COLORS.white,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { COLORS } from '../../../constants';
+import { progressCommentService } from '../../../services';
+import { CommentThread } from '../../../components';
+import { formatters } from '../../../utils';
+
+/**
+ * Reflection Comments Modal
+ * Lets group owners reply to a day a member has shared
+ */
+export const ReflectionCommentsModal = ({ visible, entry, onClose }) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible && entry?.id) {
+      loadComments();
+    }
+  }, [visible, entry?.id]);
+
+  const loadComments = async () => {
+    setLoading(true);
+    const { data, error } = await progressCommentService.getComments(entry.id);
+    setLoading(false);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to load comments');
+      return;
+    }
+    setComments(data || []);
+    progressCommentService.markRead(entry.id);
+  };
+
+  const handleSend = async (body, parentId) => {
+    const { error } = await progressCommentService.addComment(entry.id, body, parentId);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to add comment');
+      return false;
+    }
+    await loadComments();
+    return true;
+  };
+
+  const handleDelete = (comment) => {
+    Alert.alert('Delete Comment', 'Delete this comment and any replies to it?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          const { error } = await progressCommentService.deleteComment(comment.id);
+          if (error) {
+            Alert.alert('Error', error.message || 'Failed to delete comment');
+            return;
+          }
+          loadComments();
+        },
+      },
+    ]);
+  };
+
+  if (!entry) return null;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeIcon}>×</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Comments</Text>
+          <View style={styles.placeholder} />
+        </View>
+
+        <Text style={styles.subtitle}>
+          {entry.memberName} · {formatters.formatDateLong(formatters.parseDateFromDB(entry.practice_date))}
+        </Text>
+
+        <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+          {loading && comments.length === 0 ? (
+            <ActivityIndicator color={COLORS.primary} style={styles.loader} />
+          ) : (
+            <CommentThread
+              comments={comments}
+              onSend={handleSend}
+              onDelete={handleDelete}
+              authorBadges={{ [entry.user_id]: 'Member' }}
+              emptyText="No comments yet. Leave feedback for this member."
+            />
+          )}
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.white,
+    padding: 24,
+    paddingTop: 60,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 24,
+  },
+  closeButton: {
+    width: 40,
+    padding: 4,
+  },
+  closeIcon: {
+    fontSize: 36,
+    color: COLORS.secondary,
+    fontWeight: '300',
+    lineHeight: 36,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: COLORS.black,
+    flex: 1,
+    textAlign: 'center',
+  },
+  placeholder: {
+    width: 40,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 16,
+  },
+  loader: {
+    marginTop: 24,
+  },
+});
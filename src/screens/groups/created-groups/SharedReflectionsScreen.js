@@ -0,0 +1,323 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../../constants';
+import {
+  exerciseService,
+  exerciseProgressService,
+  groupMemberService,
+  reflectionResponseService,
+  progressCommentService,
+  teamService,
+} from '../../../services';
+import { BottomTabBar, ScreenHeader, Card, TeamFilter } from '../../../components';
+import {
+  formatters,
+  reflectionPrompts,
+  dayMetadata,
+  MOOD_LEVELS,
+  ENERGY_LEVELS,
+  teams,
+} from '../../../utils';
+import { ReflectionCommentsModal } from './ReflectionCommentsModal';
+
+/**
+ * Shared Reflections Screen
+ * Owner inbox of the days members chose to share for an exercise, newest first.
+ * Opens on the team chosen in ExerciseDetailScreen, if any.
+ */
+export const SharedReflectionsScreen = ({ navigation, route }) => {
+  const { exerciseId, teamFilter: initialTeamFilter = null } = route.params || {};
+  const [exercise, setExercise] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [unreadComments, setUnreadComments] = useState({});
+  const [commentEntry, setCommentEntry] = useState(null);
+  const [groupTeams, setGroupTeams] = useState([]);
+  const [teamFilter, setTeamFilter] = useState(initialTeamFilter);
+
+  useEffect(() => {
+    if (exerciseId) {
+      loadReflections();
+    }
+  }, [exerciseId]);
+
+  const loadReflections = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const { data: exerciseData, error: exerciseError } = await exerciseService.getExerciseById(exerciseId);
+      if (exerciseError) throw exerciseError;
+      setExercise(exerciseData);
+
+      const [membersResult, progressResult, unreadResult, teamsResult] = await Promise.all([
+        groupMemberService.getGroupMembers(exerciseData.group_id),
+        exerciseProgressService.getMemberProgressByExercise(exerciseId),
+        progressCommentService.getUnreadCounts(exerciseId),
+        teamService.getTeams(exerciseData.group_id),
+      ]);
+      if (progressResult.error) throw progressResult.error;
+      setUnreadComments(unreadResult.data || {});
+      setGroupTeams(teamsResult.data || []);
+
+      const names = {};
+      (membersResult.data || []).forEach((member) => {
+        names[member.user_id] = member.users?.name || 'Unknown';
+      });
+      const memberTeams = teams.getMemberTeams(membersResult.data);
+
+      const shared = (progressResult.data || [])
+        .filter((row) => row.shared_with_owner)
+        .sort((a, b) => b.practice_date.localeCompare(a.practice_date));
+
+      const { data: responses } = await reflectionResponseService.getResponsesForProgress(
+        shared.map((row) => row.id)
+      );
+
+      setEntries(shared.map((row) => ({
+        ...row,
+        memberName: names[row.user_id] || 'Unknown',
+        teamId: memberTeams[row.user_id] || null,
+        answers: responses?.[row.id] || {},
+      })));
+    } catch (loadError) {
+      console.error('Error loading shared reflections:', loadError);
+      setError(loadError.message || 'Failed to load shared reflections');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBack = () => {
+    navigation.navigate('ExerciseDetail', { exerciseId });
+  };
+
+  const handleCloseComments = () => {
+    if (commentEntry) {
+      setUnreadComments((prev) => ({ ...prev, [commentEntry.id]: 0 }));
+    }
+    setCommentEntry(null);
+  };
+
+  const teamEntries = entries.filter((entry) => teams.matchesFilter(entry.teamId, teamFilter));
+
+  const renderEntry = (entry) => {
+    const prompts = (exercise?.reflection_prompts || []).filter((prompt) =>
+      reflectionPrompts.isAnswered(prompt, entry.answers[prompt.id])
+    );
+    const feelings = [
+      entry.mood && `Mood: ${dayMetadata.getLevelLabel(MOOD_LEVELS, entry.mood)}`,
+      entry.energy && `Energy: ${dayMetadata.getLevelLabel(ENERGY_LEVELS, entry.energy)}`,
+    ].filter(Boolean);
+
+    return (
+      <Card key={entry.id}>
+        <View style={styles.entryHeader}>
+          <Text style={styles.memberName} numberOfLines={1}>{entry.memberName}</Text>
+          <Text style={styles.entryDate}>
+            {formatters.formatDateLong(formatters.parseDateFromDB(entry.practice_date))}
+          </Text>
+        </View>
+        <Text style={styles.entryMeta}>
+          {entry.is_completed ? 'Completed' : 'Not completed'}
+          {entry.number_of_completions > 0 && ` · ${entry.number_of_completions} practices`}
+          {entry.is_late && ' · Late entry'}
+          {entry.shared_at && ` · Shared ${formatters.formatRelativeTime(entry.shared_at)}`}
+        </Text>
+
+        {feelings.length > 0 && <Text style={styles.entryDetail}>{feelings.join(' · ')}</Text>}
+        {entry.tags?.length > 0 && (
+          <Text style={styles.entryDetail}>Tags: {entry.tags.join(', ')}</Text>
+        )}
+
+        {entry.notes ? (
+          <Text style={styles.notes}>{entry.notes}</Text>
+        ) : (
+          <Text style={styles.emptyNotes}>No notes written</Text>
+        )}
+
+        {prompts.map((prompt) => (
+          <View key={prompt.id} style={styles.answer}>
+            <Text style={styles.question}>{prompt.question}</Text>
+            <Text style={styles.answerText}>
+              {reflectionPrompts.formatAnswer(prompt, entry.answers[prompt.id])}
+            </Text>
+          </View>
+        ))}
+
+        <TouchableOpacity
+          style={styles.commentsButton}
+          onPress={() => setCommentEntry(entry)}
+          activeOpacity={0.7}
+        >
+          <Ionicons name="chatbubble-outline" size={16} color={COLORS.primary} />
+          <Text style={styles.commentsButtonText}>Comments</Text>
+          {unreadComments[entry.id] > 0 && (
+            <View style={styles.unreadBadge}>
+              <Text style={styles.unreadBadgeText}>{unreadComments[entry.id]}</Text>
+            </View>
+          )}
+        </TouchableOpacity>
+      </Card>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScreenHeader title="Shared Reflections" onBack={handleBack} />
+
+      {loading ? (
+        <ActivityIndicator color={COLORS.primary} style={styles.loader} />
+      ) : (
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          {exercise && <Text style={styles.subtitle}>{exercise.title}</Text>}
+          <TeamFilter
+            teams={groupTeams}
+            value={teamFilter}
+            onChange={setTeamFilter}
+            style={styles.teamFilter}
+          />
+          {error ? (
+            <Text style={styles.emptyText}>{error}</Text>
+          ) : entries.length === 0 ? (
+            <Text style={styles.emptyText}>
+              No reflections have been shared yet. Members can share a day from its notes.
+            </Text>
+          ) : teamEntries.length === 0 ? (
+            <Text style={styles.emptyText}>No reflections shared by this team yet</Text>
+          ) : (
+            teamEntries.map(renderEntry)
+          )}
+          <View style={styles.bottomSpacer} />
+        </ScrollView>
+      )}
+
+      <ReflectionCommentsModal
+        visible={!!commentEntry}
+        entry={commentEntry}
+        onClose={handleCloseComments}
+      />
+
+      <BottomTabBar navigation={navigation} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+    paddingTop: 70,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 24,
+  },
+  loader: {
+    flex: 1,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 16,
+  },
+  teamFilter: {
+    marginBottom: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: COLORS.gray,
+    textAlign: 'center',
+    marginTop: 24,
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 12,
+  },
+  memberName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: COLORS.black,
+  },
+  entryDate: {
+    fontSize: 14,
+    color: COLORS.gray,
+  },
+  entryMeta: {
+    fontSize: 13,
+    color: COLORS.gray,
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  entryDetail: {
+    fontSize: 14,
+    color: COLORS.black,
+    marginBottom: 4,
+  },
+  notes: {
+    fontSize: 15,
+    color: COLORS.black,
+    lineHeight: 22,
+    marginTop: 4,
+  },
+  emptyNotes: {
+    fontSize: 14,
+    color: COLORS.gray,
+    fontStyle: 'italic',
+    marginTop: 4,
+  },
+  answer: {
+    marginTop: 12,
+  },
+  question: {
+    fontSize: 13,
+    color: COLORS.gray,
+  },
+  answerText: {
+    fontSize: 15,
+    color: COLORS.black,
+    marginTop: 2,
+  },
+  commentsButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.inputBorder,
+  },
+  commentsButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  unreadBadge: {
+    minWidth: 20,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    borderRadius: 999,
+    backgroundColor: COLORS.secondary,
+    alignItems: 'center',
+  },
+  unreadBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: COLORS.white,
+  },
+  bottomSpacer: {
+    height: 120,
+  },
+});
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../../constants';
+import { groupService, groupMemberService } from '../../../services';
+import { groupRoles } from '../../../utils';
+import { ScreenHeader } from '../../../components';
+
+/**
+ * Transfer Ownership Modal
+ * Lets the owner hand a group to one of its members.
+ * Used from GroupSettingsModal and before deleting an account.
+ */
+export const TransferOwnershipModal = ({ visible, group, onClose, onTransferred }) => {
+  const [members, setMembers] = useState([]);
+  const [selectedMember, setSelectedMember] = useState(null);
+  const [loadingMembers, setLoadingMembers] = useState(true);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible && group) {
+      setSelectedMember(null);
+      loadMembers();
+    }
+  }, [visible, group]);
+
+  const loadMembers = async () => {
+    setLoadingMembers(true);
+    const { data, error } = await groupMemberService.getGroupMembers(group.id);
+    if (error) {
+      console.error('Error loading members:', error);
+    }
+    setMembers((data || []).filter((member) => member.role !== 'owner'));
+    setLoadingMembers(false);
+  };
+
+  const handleTransfer = () => {
+    if (!selectedMember) return;
+    const name = selectedMember.users?.name || 'this member';
+
+    Alert.alert(
+      'Transfer Ownership',
+      `Make ${name} the owner of ${group.name}? You will become a ${groupRoles.getRoleLabel(selectedMember.role).toLowerCase()} and can no longer edit or delete the group.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Transfer',
+          style: 'destructive',
+          onPress: async () => {
+            setLoading(true);
+            const { error } = await groupService.transferOwnership(group.id, selectedMember.user_id);
+            setLoading(false);
+            if (error) {
+              Alert.alert('Error', error.message || 'Failed to transfer ownership');
+              return;
+            }
+            onTransferred();
+          },
+        },
+      ]
+    );
+  };
+
+  if (!group) return null;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <ScreenHeader title="Transfer Ownership" onBack={onClose} variant="modal" />
+
+        <Text style={styles.hint}>
+          Choose who will own {group.name}. Exercises, members and everyone's progress stay as they are.
+        </Text>
+
+        {loadingMembers ? (
+          <ActivityIndicator color={COLORS.primary} style={styles.loader} />
+        ) : members.length === 0 ? (
+          <Text style={styles.emptyText}>
+            Nobody else is in this group yet. Invite a co-teacher with the group code first.
+          </Text>
+        ) : (
+          <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+            {members.map((member) => {
+              const isSelected = selectedMember?.id === member.id;
+              return (
+                <TouchableOpacity
+                  key={member.id}
+                  style={[styles.memberRow, isSelected && styles.memberRowSelected]}
+                  onPress={() => setSelectedMember(member)}
+                  activeOpacity={0.7}
+                >
+                  <Ionicons
+                    name={isSelected ? 'radio-button-on' : 'radio-button-off'}
+                    size={22}
+                    color={isSelected ? COLORS.primary : COLORS.gray}
+                  />
+                  <Text style={styles.memberName}>{member.users?.name || 'Unknown'}</Text>
+                  <Text style={styles.memberRole}>{groupRoles.getRoleLabel(member.role)}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+        )}
+
+        <TouchableOpacity
+          style={[styles.transferButton, (!selectedMember || loading) && styles.transferButtonDisabled]}
+          onPress={handleTransfer}
+          disabled={!selectedMember || loading}
+          activeOpacity={0.85}
+        >
+          {loading ? (
+            <ActivityIndicator color={COLORS.white} />
+          ) : (
+            <Text style={styles.transferButtonText}>Transfer</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.white,
+    padding: 24,
+    paddingTop: 60,
+  },
+  hint: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 16,
+  },
+  loader: {
+    marginTop: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: COLORS.gray,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  list: {
+    flex: 1,
+  },
+  memberRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.lightGray,
+    marginBottom: 8,
+  },
+  memberRowSelected: {
+    borderColor: COLORS.primary,
+  },
+  memberName: {
+    flex: 1,
+    fontSize: 16,
+    color: COLORS.black,
+  },
+  memberRole: {
+    fontSize: 14,
+    color: COLORS.gray,
+  },
+  transferButton: {
+    backgroundColor: COLORS.primary,
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 'auto',
+    marginBottom: 16,
+  },
+  transferButtonDisabled: {
+    opacity: 0.5,
+  },
+  transferButtonText: {
+    color: COLORS.white,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
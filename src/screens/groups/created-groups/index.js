@@ -4,12 +4,23 @@
 
 export { CreatedGroupDetailScreen } from './CreatedGroupDetailScreen';
 export { AddExerciseModal } from './AddExerciseModal';
+export { ExerciseLibraryModal } from './ExerciseLibraryModal';
 export { GroupSettingsModal } from './GroupSettingsModal';
 export { EditGroupModal } from './EditGroupModal';
+export { JoinSettingsModal } from './JoinSettingsModal';
 export { DeleteGroupModal } from './DeleteGroupModal';
+export { DuplicateGroupModal } from './DuplicateGroupModal';
+export { TransferOwnershipModal } from './TransferOwnershipModal';
+export { ExportProgressModal } from './ExportProgressModal';
+export { GroupQRModal } from './GroupQRModal';
 export { ManageMembersScreen } from './ManageMembersScreen';
 export { DeleteMemberModal } from './DeleteMemberModal';
+export { MemberRoleModal } from './MemberRoleModal';
+export { MemberTeamModal } from './MemberTeamModal';
+export { ManageTeamsModal } from './ManageTeamsModal';
 export { ExerciseDetailScreen } from './ExerciseDetailScreen';
+export { SharedReflectionsScreen } from './SharedReflectionsScreen';
+export { ReflectionCommentsModal } from './ReflectionCommentsModal';
 export { ExerciseMenuModal } from './ExerciseMenuModal';
 export { EditExerciseModal } from './EditExerciseModal';
 export { DeleteExerciseModal } from './DeleteExerciseModal';
@@ -4,6 +4,9 @@
 
 export { CreateGroupScreen } from './CreateGroupScreen';
 export { JoinGroupScreen } from './JoinGroupScreen';
+export { ScanCodeModal } from './ScanCodeModal';
+export { AnnouncementsModal } from './AnnouncementsModal';
+export { DiscussionModal } from './DiscussionModal';
 export { GroupConfirmationScreen } from './GroupConfirmationScreen';
 
 // Created groups screens
@@ -11,27 +11,240 @@ import {
   Platform,
   Keyboard,
   TouchableWithoutFeedback,
+  ScrollView,
+  Switch,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { COLORS } from '../../../constants';
-import { exerciseProgressService } from '../../../services';
-import { formatters } from '../../../utils';
+import {
+  completionEventService,
+  progressSyncService,
+  reflectionResponseService,
+  progressCommentService,
+  groupMemberService,
+} from '../../../services';
+import { CommentThread } from '../../../components';
+import {
+  formatters,
+  reflectionPrompts,
+  dayMetadata,
+  entryPolicy,
+  groupRoles,
+  GROUP_PERMISSIONS,
+  SCALE_VALUES,
+  MOOD_LEVELS,
+  ENERGY_LEVELS,
+} from '../../../utils';
 
 /**
  * Day Notes Modal
- * Modal for entering notes and completing days
+ * Modal for entering notes, mood and tags, answering reflection prompts,
+ * logging practices and completing days
+ * @param {Array<string>} tagSuggestions - Tags the member has used before
  */
-export const DayNotesModal = ({ visible, exercise, day, onClose, onDayUpdated }) => {
+export const DayNotesModal = ({
+  visible,
+  exercise,
+  day,
+  tagSuggestions = [],
+  onClose,
+  onDayUpdated,
+}) => {
   const [notes, setNotes] = useState('');
+  const [practiceNote, setPracticeNote] = useState('');
+  const [events, setEvents] = useState([]);
+  const [eventsUnavailable, setEventsUnavailable] = useState(false);
+  const [answers, setAnswers] = useState({});
+  const [answersChanged, setAnswersChanged] = useState(false);
+  const [mood, setMood] = useState(null);
+  const [energy, setEnergy] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [tagInput, setTagInput] = useState('');
+  const [detailsChanged, setDetailsChanged] = useState(false);
+  const [isShared, setIsShared] = useState(false);
+  const [comments, setComments] = useState([]);
+  const [staff, setStaff] = useState([]);
+  // Set when something shown on the day list changed without saving the day
+  const [refreshOnClose, setRefreshOnClose] = useState(false);
   const [loading, setLoading] = useState(false);
   const [isKeyboardVisible, setIsKeyboardVisible] = useState(false);
 
   useEffect(() => {
     if (day) {
       setNotes(day.notes || '');
+      setPracticeNote('');
+      setMood(day.mood || null);
+      setEnergy(day.energy || null);
+      setTags(day.tags || []);
+      setTagInput('');
+      setDetailsChanged(false);
+      setIsShared(day.isShared || false);
+      setRefreshOnClose(false);
+      loadEvents();
+      loadComments();
+      loadAnswers();
     }
   }, [day]);
 
+  useEffect(() => {
+    if (exercise?.group_id) loadStaff();
+  }, [exercise?.group_id]);
+
+  const prompts = exercise?.reflection_prompts || [];
+
+  const loadEvents = async () => {
+    const { data, error } = await completionEventService.getEventsByDate(exercise.id, day.dateStr);
+    setEvents(data || []);
+    setEventsUnavailable(!!error);
+  };
+
+  // Everyone who can read shared days gets the instructor badge in comments
+  const loadStaff = async () => {
+    const { data } = await groupMemberService.getStaff(exercise.group_id);
+    setStaff(data || []);
+  };
+
+  const instructorBadges = {};
+  if (exercise?.groups?.owner_id) instructorBadges[exercise.groups.owner_id] = 'Instructor';
+  staff.forEach((member) => {
+    if (groupRoles.can(member, GROUP_PERMISSIONS.VIEW_PROGRESS)) {
+      instructorBadges[member.user_id] = 'Instructor';
+    }
+  });
+
+  const loadComments = async () => {
+    setComments([]);
+    if (!day.progressId) return;
+
+    const { data } = await progressCommentService.getComments(day.progressId);
+    setComments(data || []);
+    if (day.unreadComments > 0) {
+      const { error } = await progressCommentService.markRead(day.progressId);
+      if (!error) setRefreshOnClose(true);
+    }
+  };
+
+  const handleSendComment = async (body, parentId) => {
+    const { error } = await progressCommentService.addComment(day.progressId, body, parentId);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to add comment');
+      return false;
+    }
+    await loadComments();
+    return true;
+  };
+
+  const handleDeleteComment = (comment) => {
+    Alert.alert('Delete Comment', 'Delete this comment and any replies to it?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          const { error } = await progressCommentService.deleteComment(comment.id);
+          if (error) {
+            Alert.alert('Error', error.message || 'Failed to delete comment');
+            return;
+          }
+          loadComments();
+        },
+      },
+    ]);
+  };
+
+  const loadAnswers = async () => {
+    setAnswers({});
+    setAnswersChanged(false);
+    if (!exercise.reflection_prompts?.length) return;
+
+    const [{ data }, pending] = await Promise.all([
+      reflectionResponseService.getResponsesByDate(exercise.id, day.dateStr),
+      progressSyncService.getPendingAnswers(exercise.id, day.dateStr),
+    ]);
+    // Answers saved offline are shown until they sync; cleared ones are null
+    const merged = { ...(data || {}), ...pending };
+    Object.keys(merged).forEach((promptId) => {
+      if (merged[promptId] === null) delete merged[promptId];
+    });
+    setAnswers(merged);
+  };
+
+  const setAnswer = (promptId, answer) => {
+    setAnswers((current) => ({ ...current, [promptId]: answer }));
+    setAnswersChanged(true);
+  };
+
+  // Only prompts the user touched are sent; cleared text answers are removed
+  const saveAnswers = async () => {
+    if (!answersChanged) return;
+
+    const toSave = {};
+    prompts.forEach((prompt) => {
+      if (!(prompt.id in answers)) return;
+      const answer = answers[prompt.id];
+      toSave[prompt.id] = reflectionPrompts.isAnswered(prompt, answer)
+        ? (prompt.type === 'text' ? answer.trim() : answer)
+        : null;
+    });
+
+    // Queued like notes and completions, so answers written offline sync on reconnect
+    const { error } = await progressSyncService.saveAnswers(exercise.id, day.dateStr, toSave);
+    if (error) {
+      throw new Error('Your reflection answers could not be saved. Please try again.');
+    }
+    setAnswersChanged(false);
+  };
+
+  const updateDetails = (changes) => {
+    if (changes.mood !== undefined) setMood(changes.mood);
+    if (changes.energy !== undefined) setEnergy(changes.energy);
+    if (changes.tags !== undefined) setTags(changes.tags);
+    setDetailsChanged(true);
+  };
+
+  const handleAddTag = (tag) => {
+    updateDetails({ tags: dayMetadata.addTag(tags, tag) });
+    setTagInput('');
+  };
+
+  const saveDetails = async () => {
+    if (!detailsChanged) return;
+
+    const { error } = await progressSyncService.saveDayDetails(exercise.id, day.dateStr, {
+      mood,
+      energy,
+      tags,
+    });
+    if (error) throw error;
+    setDetailsChanged(false);
+  };
+
+  // Mood, tags and reflection answers are saved together when the day is
+  // completed, a practice is logged or the modal is closed
+  const saveChanges = async () => {
+    await saveDetails();
+    await saveAnswers();
+  };
+
+  const handleClose = async () => {
+    if (isLocked || (!detailsChanged && !answersChanged)) {
+      if (refreshOnClose) {
+        onDayUpdated();
+      } else {
+        onClose();
+      }
+      return;
+    }
+
+    try {
+      await saveChanges();
+      onDayUpdated();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to save changes');
+      onClose();
+    }
+  };
+
   useEffect(() => {
     const showSub = Keyboard.addListener('keyboardDidShow', () => {
       setIsKeyboardVisible(true);
@@ -46,14 +259,31 @@ export const DayNotesModal = ({ visible, exercise, day, onClose, onDayUpdated })
     };
   }, []);
 
+  // The day as the user saw it before editing, used to detect conflicting edits on sync
+  const getBaseState = () => ({
+    number_of_completions: day.completions || 0,
+    is_completed: day.isCompleted || false,
+    notes: day.notes || null,
+  });
+
+  // Days outside the owner's late-entry rules, and every day of an archived
+  // group, are shown read-only with no undo or clear
+  const access = day
+    ? entryPolicy.getDayAccess(day.dateStr, entryPolicy.resolve(exercise), exercise.end_date)
+    : null;
+  const isArchived = !!exercise?.groups?.archived_at;
+  const isLocked = isArchived || (!!access && !access.canEdit);
+
   const handleCheck = async () => {
     setLoading(true);
     try {
-      await exerciseProgressService.completeDay(exercise.id, day.dateStr);
-      await exerciseProgressService.upsertProgress(exercise.id, day.dateStr, {
-        notes: notes.trim() || null,
-        is_completed: true,
-      });
+      const { error } = await progressSyncService.completeDay(
+        exercise.id,
+        day.dateStr,
+        notes.trim() || null
+      );
+      if (error) throw error;
+      await saveChanges();
       onDayUpdated();
     } catch (error) {
       Alert.alert('Error', error.message || 'Failed to complete day');
@@ -65,15 +295,51 @@ export const DayNotesModal = ({ visible, exercise, day, onClose, onDayUpdated })
   const handleUndo = async () => {
     setLoading(true);
     try {
-      await exerciseProgressService.clearDay(exercise.id, day.dateStr);
+      // Undo only the most recent practice; a day checked off without any
+      // practices logged is cleared instead
+      const { error } = day.completions > 0
+        ? await progressSyncService.adjustCompletions(exercise.id, day.dateStr, -1, {
+            minFrequency: formatters.getMinFrequency(exercise.frequency_per_day),
+          })
+        : await progressSyncService.clearDay(exercise.id, day.dateStr, getBaseState());
+      if (error) throw error;
       onDayUpdated();
     } catch (error) {
-      Alert.alert('Error', error.message || 'Failed to clear day');
+      Alert.alert('Error', error.message || 'Failed to undo');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleRemoveEvent = (event) => {
+    Alert.alert(
+      'Remove Practice',
+      `Remove the practice logged at ${formatters.formatTime(event.completed_at)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            setLoading(true);
+            try {
+              const { error } = await progressSyncService.adjustCompletions(exercise.id, day.dateStr, -1, {
+                minFrequency: formatters.getMinFrequency(exercise.frequency_per_day),
+                eventId: event.id,
+              });
+              if (error) throw error;
+              onDayUpdated();
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to remove practice');
+            } finally {
+              setLoading(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const handleAddOne = async () => {
     const maxFrequency = formatters.getMaxFrequency(exercise.frequency_per_day);
     if (maxFrequency > 0 && day.completions >= maxFrequency) {
@@ -83,19 +349,26 @@ export const DayNotesModal = ({ visible, exercise, day, onClose, onDayUpdated })
 
     setLoading(true);
     try {
-      // Add one completion
-      const newCompletions = (day.completions || 0) + 1;
-      const minFrequency = formatters.getMinFrequency(exercise.frequency_per_day);
-      // Complete if we've reached at least the minimum frequency
-      const shouldComplete = minFrequency > 0 && newCompletions >= minFrequency;
-      
-      // Update progress with new completion count
-      await exerciseProgressService.upsertProgress(exercise.id, day.dateStr, {
-        notes: notes.trim() || null,
-        number_of_completions: newCompletions,
-        is_completed: shouldComplete,
+      // Save any unsaved notes first so they are not lost when the day refreshes
+      if ((notes.trim() || null) !== (day.notes || null)) {
+        const { error: notesError } = await progressSyncService.saveNotes(
+          exercise.id,
+          day.dateStr,
+          notes.trim() || null,
+          getBaseState()
+        );
+        if (notesError) throw notesError;
+      }
+      await saveChanges();
+
+      // The count is incremented atomically on the server, which also
+      // completes the day once the minimum frequency is reached
+      const { error } = await progressSyncService.adjustCompletions(exercise.id, day.dateStr, 1, {
+        minFrequency: formatters.getMinFrequency(exercise.frequency_per_day),
+        note: practiceNote.trim() || null,
       });
-      
+      if (error) throw error;
+
       onDayUpdated();
     } catch (error) {
       Alert.alert('Error', error.message || 'Failed to add completion');
@@ -104,16 +377,31 @@ export const DayNotesModal = ({ visible, exercise, day, onClose, onDayUpdated })
     }
   };
 
+  const handleToggleShare = async (value) => {
+    setIsShared(value);
+    const { error } = await progressSyncService.setShared(exercise.id, day.dateStr, value);
+    if (error) {
+      setIsShared(!value);
+      Alert.alert('Error', error.message || 'Failed to update sharing');
+      return;
+    }
+    setRefreshOnClose(true);
+  };
+
   const handleSaveNotes = async () => {
     // Save notes without closing the modal or refreshing the parent screen
     // so that blurring the input (e.g. tapping outside) only unfocuses it.
+    if ((notes.trim() || null) === (day.notes || null)) return;
+
     setLoading(true);
     try {
-      await exerciseProgressService.upsertProgress(exercise.id, day.dateStr, {
-        notes: notes.trim() || null,
-        number_of_completions: day.completions || 0,
-        is_completed: day.isCompleted || false,
-      });
+      const { error } = await progressSyncService.saveNotes(
+        exercise.id,
+        day.dateStr,
+        notes.trim() || null,
+        getBaseState()
+      );
+      if (error) throw error;
     } catch (error) {
       Alert.alert('Error', error.message || 'Failed to save notes');
     } finally {
@@ -121,14 +409,88 @@ export const DayNotesModal = ({ visible, exercise, day, onClose, onDayUpdated })
     }
   };
 
+  const renderOptionButton = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.optionButton, selected && styles.optionButtonSelected]}
+      onPress={onPress}
+      disabled={isLocked}
+      activeOpacity={0.8}
+    >
+      <Text style={[styles.optionText, selected && styles.optionTextSelected]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderPrompt = (prompt) => {
+    const answer = answers[prompt.id];
+    // Tapping the selected option again clears the answer
+    const toggle = (value) => setAnswer(prompt.id, answer === value ? null : value);
+
+    return (
+      <View key={prompt.id} style={styles.prompt}>
+        <Text style={styles.promptQuestion}>{prompt.question}</Text>
+        {prompt.type === 'text' && (
+          <TextInput
+            style={styles.promptInput}
+            placeholder="Your answer..."
+            value={answer || ''}
+            onChangeText={(text) => setAnswer(prompt.id, text)}
+            placeholderTextColor={COLORS.inputPlaceholder}
+            editable={!isLocked}
+            maxLength={500}
+          />
+        )}
+        {prompt.type === 'scale' && (
+          <View style={styles.optionRow}>
+            {SCALE_VALUES.map((value) =>
+              renderOptionButton(value, String(value), answer === value, () => toggle(value))
+            )}
+          </View>
+        )}
+        {prompt.type === 'yes_no' && (
+          <View style={styles.optionRow}>
+            {renderOptionButton('yes', 'Yes', answer === true, () => toggle(true))}
+            {renderOptionButton('no', 'No', answer === false, () => toggle(false))}
+          </View>
+        )}
+        {prompt.type === 'choice' && (
+          <View style={styles.optionRow}>
+            {prompt.options.map((option) =>
+              renderOptionButton(option, option, answer === option, () => toggle(option))
+            )}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderLevelPicker = (title, levels, value, onSelect) => (
+    <View style={styles.prompt}>
+      <Text style={styles.levelTitle}>
+        {title}
+        {value ? <Text style={styles.levelValue}> · {dayMetadata.getLevelLabel(levels, value)}</Text> : null}
+      </Text>
+      <View style={styles.optionRow}>
+        {levels.map((level) =>
+          renderOptionButton(level.value, String(level.value), value === level.value, () =>
+            // Tapping the selected level again clears it
+            onSelect(value === level.value ? null : level.value)
+          )
+        )}
+      </View>
+    </View>
+  );
+
   if (!day) return null;
 
+  const unusedSuggestions = tagSuggestions.filter((tag) => !tags.includes(tag)).slice(0, 8);
+
   return (
     <Modal
       visible={visible}
       animationType="slide"
       presentationStyle="pageSheet"
-      onRequestClose={onClose}
+      onRequestClose={handleClose}
     >
       <KeyboardAvoidingView
         style={styles.container}
@@ -138,7 +500,7 @@ export const DayNotesModal = ({ visible, exercise, day, onClose, onDayUpdated })
         <TouchableWithoutFeedback onPress={Keyboard.dismiss} accessible={false}>
           <View style={styles.inner}>
             <View style={styles.header}>
-              <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <TouchableOpacity onPress={handleClose} style={styles.closeButton}>
                 <Text style={styles.closeIcon}>×</Text>
               </TouchableOpacity>
               <View style={styles.titleContainer}>
@@ -148,7 +510,22 @@ export const DayNotesModal = ({ visible, exercise, day, onClose, onDayUpdated })
               <View style={styles.placeholder} />
             </View>
 
-            <View style={styles.content}>
+            <ScrollView
+              style={styles.content}
+              keyboardShouldPersistTaps="handled"
+              showsVerticalScrollIndicator={false}
+            >
+              {isLocked ? (
+                <View style={styles.lockedBanner}>
+                  <Ionicons name="lock-closed-outline" size={18} color={COLORS.black} />
+                  <Text style={styles.lockedText}>{access.reason}</Text>
+                </View>
+              ) : access.isLate && (
+                <Text style={styles.lateNotice}>
+                  Changes to past days are marked as late entries.
+                </Text>
+              )}
+
               <Text style={styles.label}>Notes</Text>
               <TextInput
                 style={styles.notesInput}
@@ -160,47 +537,169 @@ export const DayNotesModal = ({ visible, exercise, day, onClose, onDayUpdated })
                 placeholderTextColor={COLORS.inputPlaceholder}
                 textAlignVertical="top"
                 onBlur={handleSaveNotes}
+                editable={!isLocked}
               />
-            </View>
 
-            <View
-              style={[
-                styles.buttonRow,
-                isKeyboardVisible && styles.buttonRowKeyboard,
-              ]}
-            >
-              <TouchableOpacity
-                style={[styles.actionButton, styles.undoButton]}
-                onPress={handleUndo}
-                disabled={loading}
-                activeOpacity={0.85}
-              >
-                <Ionicons name="arrow-undo" size={20} color={COLORS.white} />
-              </TouchableOpacity>
+              <View style={styles.shareRow}>
+                <View style={styles.shareText}>
+                  <Text style={styles.shareLabel}>Share with instructor</Text>
+                  <Text style={styles.shareHint}>
+                    Your group owner can read this day's notes, mood, tags and answers.
+                  </Text>
+                </View>
+                <Switch
+                  value={isShared}
+                  onValueChange={handleToggleShare}
+                  trackColor={{ true: COLORS.primary }}
+                />
+              </View>
 
-              <TouchableOpacity
-                style={[styles.actionButton, styles.addButton]}
-                onPress={handleAddOne}
-                disabled={
-                  loading ||
-                  (formatters.getMaxFrequency(exercise.frequency_per_day) > 0 &&
-                    day.completions >=
-                      formatters.getMaxFrequency(exercise.frequency_per_day))
-                }
-                activeOpacity={0.85}
-              >
-                <Text style={styles.addButtonText}>+1</Text>
-              </TouchableOpacity>
+              <Text style={[styles.label, styles.sectionLabel]}>How are you feeling?</Text>
+              {renderLevelPicker('Mood', MOOD_LEVELS, mood, (value) => updateDetails({ mood: value }))}
+              {renderLevelPicker('Energy', ENERGY_LEVELS, energy, (value) => updateDetails({ energy: value }))}
+
+              <Text style={styles.levelTitle}>Tags</Text>
+              {tags.length > 0 && (
+                <View style={[styles.optionRow, styles.tagRow]}>
+                  {tags.map((tag) => (
+                    <TouchableOpacity
+                      key={tag}
+                      style={[styles.optionButton, styles.optionButtonSelected, styles.tagChip]}
+                      onPress={() => updateDetails({ tags: tags.filter((item) => item !== tag) })}
+                      disabled={isLocked}
+                      activeOpacity={0.8}
+                    >
+                      <Text style={[styles.optionText, styles.optionTextSelected]}>{tag}</Text>
+                      {!isLocked && <Ionicons name="close" size={14} color={COLORS.white} />}
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+              {!isLocked && (
+                <TextInput
+                  style={styles.promptInput}
+                  placeholder="Add a tag (e.g. work, family)"
+                  value={tagInput}
+                  onChangeText={setTagInput}
+                  onSubmitEditing={() => handleAddTag(tagInput)}
+                  onBlur={() => tagInput.trim() && handleAddTag(tagInput)}
+                  placeholderTextColor={COLORS.inputPlaceholder}
+                  autoCapitalize="none"
+                  returnKeyType="done"
+                />
+              )}
+              {!isLocked && unusedSuggestions.length > 0 && (
+                <View style={[styles.optionRow, styles.suggestionRow]}>
+                  {unusedSuggestions.map((tag) =>
+                    renderOptionButton(tag, `+ ${tag}`, false, () => handleAddTag(tag))
+                  )}
+                </View>
+              )}
+
+              {prompts.length > 0 && (
+                <>
+                  <Text style={[styles.label, styles.sectionLabel]}>Reflection</Text>
+                  {prompts.map(renderPrompt)}
+                </>
+              )}
 
-              <TouchableOpacity
-                style={[styles.actionButton, styles.checkButton]}
-                onPress={handleCheck}
-                disabled={loading}
-                activeOpacity={0.85}
+              <Text style={[styles.label, styles.sectionLabel]}>Comments</Text>
+              {day.progressId ? (
+                <CommentThread
+                  comments={comments}
+                  onSend={handleSendComment}
+                  onDelete={handleDeleteComment}
+                  authorBadges={instructorBadges}
+                  emptyText={
+                    isShared
+                      ? 'No comments yet. Your instructor can reply here.'
+                      : 'No comments yet. Share this day so your instructor can reply.'
+                  }
+                />
+              ) : (
+                <Text style={styles.practiceEmpty}>
+                  Save notes or log a practice to start a conversation about this day.
+                </Text>
+              )}
+
+              <Text style={[styles.label, styles.sectionLabel]}>Practice Log</Text>
+              {eventsUnavailable ? (
+                <Text style={styles.practiceEmpty}>Practice times are unavailable offline</Text>
+              ) : events.length === 0 ? (
+                <Text style={styles.practiceEmpty}>No practices logged yet</Text>
+              ) : (
+                <View style={styles.practiceList}>
+                  {events.map((event) => (
+                    <View key={event.id} style={styles.practiceRow}>
+                      <Text style={styles.practiceTime}>{formatters.formatTime(event.completed_at)}</Text>
+                      <Text style={styles.practiceNote} numberOfLines={1}>
+                        {event.note || ''}
+                      </Text>
+                      {!isLocked && (
+                        <TouchableOpacity
+                          onPress={() => handleRemoveEvent(event)}
+                          disabled={loading}
+                          hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                        >
+                          <Ionicons name="close-circle-outline" size={20} color={COLORS.gray} />
+                        </TouchableOpacity>
+                      )}
+                    </View>
+                  ))}
+                </View>
+              )}
+              {!isLocked && (
+                <TextInput
+                  style={styles.practiceNoteInput}
+                  placeholder="Note for your next practice (optional)"
+                  value={practiceNote}
+                  onChangeText={setPracticeNote}
+                  placeholderTextColor={COLORS.inputPlaceholder}
+                  maxLength={200}
+                />
+              )}
+            </ScrollView>
+
+            {!isLocked && (
+              <View
+                style={[
+                  styles.buttonRow,
+                  isKeyboardVisible && styles.buttonRowKeyboard,
+                ]}
               >
-                <Ionicons name="checkmark" size={20} color={COLORS.white} />
-              </TouchableOpacity>
-            </View>
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.undoButton]}
+                  onPress={handleUndo}
+                  disabled={loading}
+                  activeOpacity={0.85}
+                >
+                  <Ionicons name="arrow-undo" size={20} color={COLORS.white} />
+                </TouchableOpacity>
+
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.addButton]}
+                  onPress={handleAddOne}
+                  disabled={
+                    loading ||
+                    (formatters.getMaxFrequency(exercise.frequency_per_day) > 0 &&
+                      day.completions >=
+                        formatters.getMaxFrequency(exercise.frequency_per_day))
+                  }
+                  activeOpacity={0.85}
+                >
+                  <Text style={styles.addButtonText}>+1</Text>
+                </TouchableOpacity>
+
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.checkButton]}
+                  onPress={handleCheck}
+                  disabled={loading}
+                  activeOpacity={0.85}
+                >
+                  <Ionicons name="checkmark" size={20} color={COLORS.white} />
+                </TouchableOpacity>
+              </View>
+            )}
           </View>
         </TouchableWithoutFeedback>
       </KeyboardAvoidingView>
@@ -254,6 +753,28 @@ const styles = StyleSheet.create({
   content: {
     flex: 1,
   },
+  lockedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: COLORS.background,
+    borderLeftWidth: 4,
+    borderLeftColor: COLORS.warning,
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 16,
+  },
+  lockedText: {
+    flex: 1,
+    fontSize: 14,
+    color: COLORS.black,
+  },
+  lateNotice: {
+    fontSize: 13,
+    color: COLORS.gray,
+    marginBottom: 12,
+  },
   label: {
     fontSize: 16,
     fontWeight: 'bold',
@@ -266,7 +787,129 @@ const styles = StyleSheet.create({
     padding: 12,
     fontSize: 16,
     color: COLORS.black,
-    minHeight: 200,
+    minHeight: 140,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+  },
+  shareRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 12,
+  },
+  shareText: {
+    flex: 1,
+  },
+  shareLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: COLORS.black,
+  },
+  shareHint: {
+    fontSize: 13,
+    color: COLORS.gray,
+    marginTop: 2,
+  },
+  sectionLabel: {
+    marginTop: 20,
+  },
+  prompt: {
+    marginBottom: 16,
+  },
+  levelTitle: {
+    fontSize: 15,
+    color: COLORS.black,
+    marginBottom: 8,
+  },
+  levelValue: {
+    color: COLORS.gray,
+  },
+  tagRow: {
+    marginBottom: 8,
+  },
+  tagChip: {
+    flexDirection: 'row',
+    gap: 4,
+  },
+  suggestionRow: {
+    marginTop: 8,
+  },
+  promptQuestion: {
+    fontSize: 15,
+    color: COLORS.black,
+    marginBottom: 8,
+  },
+  promptInput: {
+    backgroundColor: COLORS.background,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: COLORS.black,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  optionButton: {
+    minWidth: 44,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+    backgroundColor: COLORS.white,
+    alignItems: 'center',
+  },
+  optionButtonSelected: {
+    borderColor: COLORS.primary,
+    backgroundColor: COLORS.primary,
+  },
+  optionText: {
+    fontSize: 14,
+    color: COLORS.black,
+  },
+  optionTextSelected: {
+    color: COLORS.white,
+    fontWeight: '600',
+  },
+  practiceEmpty: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 8,
+  },
+  practiceList: {
+    marginBottom: 8,
+  },
+  practiceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.inputBorder,
+    gap: 12,
+  },
+  practiceTime: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.black,
+    width: 72,
+  },
+  practiceNote: {
+    flex: 1,
+    fontSize: 14,
+    color: COLORS.gray,
+  },
+  practiceNoteInput: {
+    backgroundColor: COLORS.background,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: COLORS.black,
     borderWidth: 1,
     borderColor: COLORS.inputBorder,
   },
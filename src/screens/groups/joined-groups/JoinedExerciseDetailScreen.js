@@ -6,18 +6,24 @@ import {
   TouchableOpacity,
   ScrollView,
   ActivityIndicator,
+  Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { COLORS, SHADOWS } from '../../../constants';
-import { exerciseService, exerciseProgressService, userExerciseCustomizationService } from '../../../services';
-import { BottomTabBar, ScreenHeader } from '../../../components';
+import {
+  progressSyncService,
+  progressCommentService,
+  userExerciseCustomizationService,
+} from '../../../services';
+import { BottomTabBar, ScreenHeader, MoodTrendChart } from '../../../components';
 import { JoinedExerciseMenuModal } from './JoinedExerciseMenuModal';
 import { DayNotesModal } from './DayNotesModal';
-import { formatters } from '../../../utils';
+import { DiscussionModal } from '../DiscussionModal';
+import { formatters, progressStats, dayMetadata, entryPolicy } from '../../../utils';
 
 /**
  * Joined Exercise Detail Screen
- * Shows days of the exercise with completion status
+ * Shows days of the exercise with completion status, a mood trend and tag filtering
  */
 export const JoinedExerciseDetailScreen = ({ navigation, route }) => {
   const { exerciseId, groupId } = route.params || {};
@@ -28,6 +34,11 @@ export const JoinedExerciseDetailScreen = ({ navigation, route }) => {
   const [showMenu, setShowMenu] = useState(false);
   const [selectedDay, setSelectedDay] = useState(null);
   const [showDayModal, setShowDayModal] = useState(false);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [isOffline, setIsOffline] = useState(false);
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [unreadComments, setUnreadComments] = useState({});
+  const [showDiscussion, setShowDiscussion] = useState(false);
 
   useEffect(() => {
     if (exerciseId) {
@@ -35,18 +46,56 @@ export const JoinedExerciseDetailScreen = ({ navigation, route }) => {
     }
   }, [exerciseId]);
 
+  useEffect(() => {
+    // Refresh once queued check-ins reach the server, and surface any conflicts
+    const unsubscribe = progressSyncService.subscribe(({ synced, conflicts, failed }) => {
+      if (synced > 0 || failed.length > 0) {
+        loadExerciseData();
+      }
+      const ownConflicts = conflicts.filter((conflict) => conflict.exerciseId === exerciseId);
+      if (ownConflicts.length > 0) {
+        Alert.alert(
+          'Sync Conflict',
+          `Your offline changes for ${ownConflicts
+            .map((conflict) => formatters.formatDateLong(formatters.parseDateFromDB(conflict.practiceDate)))
+            .join(', ')} replaced changes made on another device.`
+        );
+      }
+      const ownFailures = failed.filter((mutation) => mutation.exerciseId === exerciseId);
+      if (ownFailures.length > 0) {
+        const reasons = [...new Set(ownFailures.map((mutation) => mutation.error))];
+        Alert.alert(
+          'Sync Failed',
+          `Some changes could not be saved and were discarded: ${reasons.join(', ')}`
+        );
+      }
+    });
+    return unsubscribe;
+  }, [exerciseId]);
+
   const loadExerciseData = async () => {
     try {
       setLoading(true);
-      const [exerciseResult, customizationResult, progressResult] = await Promise.all([
-        exerciseService.getExerciseById(exerciseId),
+      const [
+        exerciseResult,
+        customizationResult,
+        progressResult,
+        pending,
+        unreadResult,
+      ] = await Promise.all([
+        progressSyncService.getExercise(exerciseId),
         userExerciseCustomizationService.getCustomization(exerciseId),
-        exerciseProgressService.getProgressByExercise(exerciseId),
+        progressSyncService.getProgressByExercise(exerciseId),
+        progressSyncService.getPendingCount(exerciseId),
+        progressCommentService.getUnreadCounts(exerciseId),
       ]);
 
       if (exerciseResult.data) setExercise(exerciseResult.data);
       if (customizationResult.data) setCustomization(customizationResult.data);
       if (progressResult.data) setProgress(progressResult.data);
+      setIsOffline(progressResult.fromCache);
+      setPendingCount(pending);
+      if (unreadResult.data) setUnreadComments(unreadResult.data);
     } catch (error) {
       console.error('Error loading exercise data:', error);
     } finally {
@@ -113,6 +162,14 @@ export const JoinedExerciseDetailScreen = ({ navigation, route }) => {
         isCompleted: dayProgress?.is_completed || false,
         completions: dayProgress?.number_of_completions || 0,
         notes: dayProgress?.notes || null,
+        isPending: dayProgress?.pending || false,
+        mood: dayProgress?.mood || null,
+        energy: dayProgress?.energy || null,
+        tags: dayProgress?.tags || [],
+        isLate: dayProgress?.is_late || false,
+        isShared: dayProgress?.shared_with_owner || false,
+        progressId: dayProgress?.id || null,
+        unreadComments: (dayProgress?.id && unreadComments[dayProgress.id]) || 0,
       });
       // Move to next day
       currentDate.setDate(currentDate.getDate() + 1);
@@ -175,6 +232,15 @@ export const JoinedExerciseDetailScreen = ({ navigation, route }) => {
   }
 
   const days = getDays();
+  const stats = progressStats.getExerciseStats(days, exercise.frequency_per_day);
+  const tagCounts = dayMetadata.getTagCounts(days);
+  // Fall back to every day if the selected tag was removed from its last day
+  const activeTag = tagCounts.some(({ tag }) => tag === selectedTag) ? selectedTag : null;
+  const visibleDays = dayMetadata.filterDaysByTag(days, activeTag);
+  const moodTrend = dayMetadata.getMoodTrend(visibleDays);
+  const moodSummary = dayMetadata.getMoodSummary(visibleDays);
+  const policy = entryPolicy.resolve(exercise);
+  const policyRules = entryPolicy.describe(policy);
 
   return (
     <View style={styles.container}>
@@ -201,12 +267,119 @@ export const JoinedExerciseDetailScreen = ({ navigation, route }) => {
         <Text style={styles.description}>{exercise.description}</Text>
       )}
 
+      {policyRules.length > 0 && (
+        <View style={styles.policyRow}>
+          <Ionicons name="time-outline" size={16} color={COLORS.gray} />
+          <Text style={styles.policyText}>{policyRules.join(' · ')}</Text>
+        </View>
+      )}
+
+      {exercise.discussion_enabled && (
+        <TouchableOpacity
+          style={styles.discussionButton}
+          onPress={() => setShowDiscussion(true)}
+          activeOpacity={0.7}
+        >
+          <Ionicons name="chatbubbles-outline" size={20} color={COLORS.primary} />
+          <Text style={styles.discussionText}>
+            {exercise.discussion_locked ? 'Discussion (locked)' : 'Discussion'}
+          </Text>
+          <Ionicons name="chevron-forward" size={20} color={COLORS.gray} />
+        </TouchableOpacity>
+      )}
+
+      {(pendingCount > 0 || isOffline) && (
+        <View style={styles.syncBanner}>
+          <Ionicons name="cloud-offline-outline" size={18} color={COLORS.black} />
+          <Text style={styles.syncBannerText}>
+            {pendingCount > 0
+              ? `${pendingCount} ${pendingCount === 1 ? 'change' : 'changes'} waiting to sync`
+              : 'Offline - showing saved progress'}
+          </Text>
+        </View>
+      )}
+
       <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+        <View style={styles.statsCard}>
+          <View style={styles.statsRow}>
+            <View style={styles.statItem}>
+              <Text style={styles.statValue}>{stats.currentStreak}</Text>
+              <Text style={styles.statLabel}>Current streak</Text>
+            </View>
+            <View style={styles.statItem}>
+              <Text style={styles.statValue}>{stats.longestStreak}</Text>
+              <Text style={styles.statLabel}>Longest streak</Text>
+            </View>
+            <View style={styles.statItem}>
+              <Text style={styles.statValue}>{stats.completionRate}%</Text>
+              <Text style={styles.statLabel}>Completed</Text>
+            </View>
+          </View>
+          <View style={styles.statsDivider} />
+          <Text style={styles.statsDetail}>
+            {stats.completedDays} of {stats.totalDays} days completed
+            {' · '}
+            {stats.daysRemaining} {stats.daysRemaining === 1 ? 'day' : 'days'} remaining
+          </Text>
+          {stats.maxFrequency > 0 && (
+            <Text style={styles.statsDetail}>
+              Average {stats.averageCompletions.toFixed(1)} per day
+              {' '}(target {stats.minFrequency === stats.maxFrequency
+                ? stats.minFrequency
+                : `${stats.minFrequency}-${stats.maxFrequency}`})
+            </Text>
+          )}
+        </View>
+
+        {moodTrend.length > 0 && (
+          <View style={styles.statsCard}>
+            <Text style={styles.cardTitle}>Mood & Energy</Text>
+            <MoodTrendChart points={moodTrend} />
+            <View style={styles.statsDivider} />
+            <Text style={styles.statsDetail}>
+              Average mood {moodSummary.averageMood ?? '–'}
+              {' · '}
+              energy {moodSummary.averageEnergy ?? '–'}
+            </Text>
+            {moodSummary.moodWhenCompleted !== null && moodSummary.moodWhenMissed !== null && (
+              <Text style={styles.statsDetail}>
+                Mood {moodSummary.moodWhenCompleted} on completed days vs {moodSummary.moodWhenMissed} on other days
+              </Text>
+            )}
+          </View>
+        )}
+
+        {tagCounts.length > 0 && (
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            style={styles.tagFilter}
+            contentContainerStyle={styles.tagFilterContent}
+          >
+            {[{ tag: null, count: days.length }, ...tagCounts].map(({ tag, count }) => {
+              const isSelected = activeTag === tag;
+              return (
+                <TouchableOpacity
+                  key={tag || 'all'}
+                  style={[styles.tagChip, isSelected && styles.tagChipSelected]}
+                  onPress={() => setSelectedTag(tag)}
+                  activeOpacity={0.8}
+                >
+                  <Text style={[styles.tagChipText, isSelected && styles.tagChipTextSelected]}>
+                    {tag || 'All days'} ({count})
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+        )}
+
         <View style={styles.daysCard}>
-          {days.map((day, index) => {
+          {visibleDays.map((day, index) => {
             const isFirst = index === 0;
-            const isLast = index === days.length - 1;
+            const isLast = index === visibleDays.length - 1;
             const showCheckmark = day.isCompleted;
+            const isLocked = !entryPolicy.getDayAccess(day.dateStr, policy, exercise.end_date).canEdit;
             const maxFrequency = formatters.getMaxFrequency(exercise.frequency_per_day) || 1;
             const progressPercent = maxFrequency > 1 && day.completions > 0 
               ? Math.min((day.completions / maxFrequency) * 100, 100) 
@@ -239,7 +412,47 @@ export const JoinedExerciseDetailScreen = ({ navigation, route }) => {
                   <Text style={styles.dayText}>
                     <Text style={styles.dayNumber}>Day {day.dayNumber}</Text> - {formatters.formatDateLong(day.date)}
                   </Text>
+                  {day.tags.length > 0 && (
+                    <Text style={styles.dayTags} numberOfLines={1}>
+                      {day.tags.join(' · ')}
+                    </Text>
+                  )}
                 </View>
+                {day.isLate && (
+                  <View style={styles.lateBadge}>
+                    <Text style={styles.lateBadgeText}>Late</Text>
+                  </View>
+                )}
+                {day.unreadComments > 0 && (
+                  <View style={styles.unreadBadge}>
+                    <Ionicons name="chatbubble" size={12} color={COLORS.white} />
+                    <Text style={styles.unreadBadgeText}>{day.unreadComments}</Text>
+                  </View>
+                )}
+                {day.isShared && (
+                  <Ionicons
+                    name="share-social-outline"
+                    size={16}
+                    color={COLORS.gray}
+                    style={styles.pendingIcon}
+                  />
+                )}
+                {isLocked && (
+                  <Ionicons
+                    name="lock-closed-outline"
+                    size={16}
+                    color={COLORS.gray}
+                    style={styles.pendingIcon}
+                  />
+                )}
+                {day.isPending && (
+                  <Ionicons
+                    name="cloud-upload-outline"
+                    size={18}
+                    color={COLORS.gray}
+                    style={styles.pendingIcon}
+                  />
+                )}
                 {showCheckmark && (
                   <View style={styles.checkmarkContainer}>
                     <Ionicons name="checkmark" size={20} color={COLORS.white} />
@@ -253,6 +466,13 @@ export const JoinedExerciseDetailScreen = ({ navigation, route }) => {
 
       <BottomTabBar navigation={navigation} />
 
+      <DiscussionModal
+        visible={showDiscussion}
+        exercise={exercise}
+        canModerate={false}
+        onClose={() => setShowDiscussion(false)}
+      />
+
       <JoinedExerciseMenuModal
         visible={showMenu}
         exercise={exercise}
@@ -265,6 +485,7 @@ export const JoinedExerciseDetailScreen = ({ navigation, route }) => {
           visible={showDayModal}
           exercise={exercise}
           day={selectedDay}
+          tagSuggestions={tagCounts.map(({ tag }) => tag)}
           onClose={() => {
             setShowDayModal(false);
             setSelectedDay(null);
@@ -304,10 +525,123 @@ const styles = StyleSheet.create({
     paddingHorizontal: 24,
     marginBottom: 24,
   },
+  policyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 24,
+    marginBottom: 16,
+  },
+  policyText: {
+    fontSize: 13,
+    color: COLORS.gray,
+  },
+  discussionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: COLORS.white,
+    borderRadius: 12,
+    padding: 12,
+    marginHorizontal: 24,
+    marginBottom: 16,
+    ...SHADOWS.light,
+  },
+  discussionText: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.black,
+  },
+  syncBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: COLORS.white,
+    borderLeftWidth: 4,
+    borderLeftColor: COLORS.warning,
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginHorizontal: 24,
+    marginBottom: 16,
+  },
+  syncBannerText: {
+    fontSize: 14,
+    color: COLORS.black,
+  },
   content: {
     flex: 1,
     paddingHorizontal: 24,
   },
+  statsCard: {
+    backgroundColor: COLORS.white,
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    ...SHADOWS.light,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  statItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: COLORS.primary,
+  },
+  statLabel: {
+    fontSize: 12,
+    color: COLORS.gray,
+    marginTop: 4,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: COLORS.black,
+    marginBottom: 12,
+  },
+  statsDivider: {
+    height: 1,
+    backgroundColor: COLORS.lightGray,
+    marginVertical: 12,
+  },
+  statsDetail: {
+    fontSize: 14,
+    color: COLORS.black,
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+  tagFilter: {
+    marginBottom: 16,
+  },
+  tagFilterContent: {
+    gap: 8,
+  },
+  tagChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 999,
+    backgroundColor: COLORS.white,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+  },
+  tagChipSelected: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  tagChipText: {
+    fontSize: 14,
+    color: COLORS.black,
+  },
+  tagChipTextSelected: {
+    color: COLORS.white,
+    fontWeight: '600',
+  },
   daysCard: {
     backgroundColor: COLORS.white,
     borderRadius: 16,
@@ -359,6 +693,44 @@ const styles = StyleSheet.create({
   dayNumber: {
     fontWeight: 'bold',
   },
+  dayTags: {
+    fontSize: 12,
+    color: COLORS.gray,
+    marginTop: 2,
+  },
+  pendingIcon: {
+    marginLeft: 12,
+    zIndex: 1,
+  },
+  unreadBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginLeft: 12,
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    borderRadius: 999,
+    backgroundColor: COLORS.secondary,
+    zIndex: 1,
+  },
+  unreadBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: COLORS.white,
+  },
+  lateBadge: {
+    marginLeft: 12,
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    borderRadius: 999,
+    backgroundColor: COLORS.warning,
+    zIndex: 1,
+  },
+  lateBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: COLORS.white,
+  },
   checkmarkContainer: {
     width: 24,
     height: 24,
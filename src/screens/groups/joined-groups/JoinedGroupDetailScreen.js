@@ -9,9 +9,10 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { COLORS, SHADOWS } from '../../../constants';
-import { groupService, exerciseService } from '../../../services';
+import { groupService, exerciseService, announcementService } from '../../../services';
 import { formatters } from '../../../utils';
 import { BottomTabBar } from '../../../components';
+import { AnnouncementsModal } from '../AnnouncementsModal';
 
 /**
  * Joined Group Detail Screen
@@ -22,13 +23,35 @@ export const JoinedGroupDetailScreen = ({ navigation, route }) => {
   const [group, setGroup] = useState(null);
   const [exercises, setExercises] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [pinnedAnnouncements, setPinnedAnnouncements] = useState([]);
+  const [unreadAnnouncements, setUnreadAnnouncements] = useState(0);
+  const [showAnnouncements, setShowAnnouncements] = useState(false);
 
   useEffect(() => {
     if (groupId) {
       loadGroupData();
+      loadAnnouncements();
     }
   }, [groupId]);
 
+  const loadAnnouncements = async () => {
+    const [announcementsResult, unreadResult] = await Promise.all([
+      announcementService.getAnnouncements(groupId),
+      announcementService.getUnreadCounts(groupId),
+    ]);
+    if (announcementsResult.data) {
+      setPinnedAnnouncements(announcementsResult.data.filter((announcement) => announcement.pinned));
+    }
+    if (unreadResult.data) {
+      setUnreadAnnouncements(unreadResult.data[groupId] || 0);
+    }
+  };
+
+  const handleAnnouncementsClose = () => {
+    setShowAnnouncements(false);
+    loadAnnouncements();
+  };
+
   const loadGroupData = async () => {
     try {
       setLoading(true);
@@ -107,7 +130,45 @@ export const JoinedGroupDetailScreen = ({ navigation, route }) => {
         <Text style={styles.groupCodeValue}>{group.group_code}</Text>
       </View>
 
+      {group.archived_at && (
+        <View style={styles.archivedBanner}>
+          <Ionicons name="archive-outline" size={18} color={COLORS.black} />
+          <Text style={styles.archivedText}>
+            This group was archived on {formatters.formatDateShort(group.archived_at)}. You can read your progress but not add to it.
+          </Text>
+        </View>
+      )}
+
+      <TouchableOpacity
+        style={styles.announcementsBar}
+        onPress={() => setShowAnnouncements(true)}
+        activeOpacity={0.7}
+      >
+        <Ionicons name="megaphone-outline" size={20} color={COLORS.black} />
+        <Text style={styles.announcementsText}>Announcements</Text>
+        {unreadAnnouncements > 0 && (
+          <View style={styles.unreadBadge}>
+            <Text style={styles.unreadBadgeText}>{unreadAnnouncements}</Text>
+          </View>
+        )}
+        <Ionicons name="chevron-forward" size={20} color={COLORS.gray} />
+      </TouchableOpacity>
+
       <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+        {pinnedAnnouncements.map((announcement) => (
+          <TouchableOpacity
+            key={announcement.id}
+            style={styles.pinnedCard}
+            onPress={() => setShowAnnouncements(true)}
+            activeOpacity={0.7}
+          >
+            <Ionicons name="pin" size={16} color={COLORS.primary} />
+            <Text style={styles.pinnedText} numberOfLines={3}>
+              {announcement.body}
+            </Text>
+          </TouchableOpacity>
+        ))}
+
         {exercises.length === 0 ? (
           <View style={styles.emptyContainer}>
             <Text style={styles.emptyText}>No exercises yet!</Text>
@@ -166,6 +227,13 @@ export const JoinedGroupDetailScreen = ({ navigation, route }) => {
       </ScrollView>
 
       <BottomTabBar navigation={navigation} />
+
+      <AnnouncementsModal
+        visible={showAnnouncements}
+        group={group}
+        canPost={false}
+        onClose={handleAnnouncementsClose}
+      />
     </View>
   );
 };
@@ -197,6 +265,69 @@ const styles = StyleSheet.create({
   placeholder: {
     width: 40,
   },
+  announcementsBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: COLORS.white,
+    borderRadius: 12,
+    padding: 12,
+    marginHorizontal: 24,
+    marginBottom: 16,
+    ...SHADOWS.light,
+  },
+  announcementsText: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.black,
+  },
+  unreadBadge: {
+    minWidth: 20,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    borderRadius: 999,
+    backgroundColor: COLORS.secondary,
+    alignItems: 'center',
+  },
+  unreadBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: COLORS.white,
+  },
+  pinnedCard: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+    backgroundColor: COLORS.white,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    padding: 16,
+    marginBottom: 16,
+  },
+  pinnedText: {
+    flex: 1,
+    fontSize: 14,
+    color: COLORS.black,
+    lineHeight: 20,
+  },
+  archivedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: COLORS.white,
+    borderRadius: 12,
+    padding: 12,
+    marginHorizontal: 24,
+    marginBottom: 16,
+    ...SHADOWS.light,
+  },
+  archivedText: {
+    flex: 1,
+    fontSize: 13,
+    color: COLORS.black,
+  },
   groupCodeContainer: {
     flexDirection: 'row',
     paddingHorizontal: 24,
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -13,17 +13,41 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { COLORS, SHADOWS } from '../../constants';
-import { userService } from '../../services';
+import { userService, groupService } from '../../services';
+import { TransferOwnershipModal } from '../groups/created-groups';
 
 const CONFIRMATION_TEXT = 'DELETE';
 
 /**
  * Delete Account Modal
- * Simple popup modal for confirming account deletion
+ * Simple popup modal for confirming account deletion.
+ * Groups the user owns are deleted with the account, so each can be transferred first.
  */
 export const DeleteAccountModal = ({ visible, onClose }) => {
   const [confirmationText, setConfirmationText] = useState('');
   const [loading, setLoading] = useState(false);
+  const [ownedGroups, setOwnedGroups] = useState([]);
+  const [transferGroup, setTransferGroup] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      loadOwnedGroups();
+    }
+  }, [visible]);
+
+  const loadOwnedGroups = async () => {
+    const { data, error } = await groupService.getCreatedGroups(true);
+    if (error) {
+      console.error('Error loading owned groups:', error);
+      return;
+    }
+    setOwnedGroups(data || []);
+  };
+
+  const handleTransferred = () => {
+    setTransferGroup(null);
+    loadOwnedGroups();
+  };
 
   const handleDelete = async () => {
     if (confirmationText !== CONFIRMATION_TEXT) {
@@ -70,82 +94,110 @@ export const DeleteAccountModal = ({ visible, onClose }) => {
   };
 
   return (
-    <Modal
-      visible={visible}
-      transparent={true}
-      animationType="fade"
-      onRequestClose={handleClose}
-    >
-      <TouchableOpacity
-        style={styles.overlay}
-        activeOpacity={1}
-        onPress={handleClose}
-        disabled={loading}
+    <>
+      <Modal
+        visible={visible && !transferGroup}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={handleClose}
       >
-        <KeyboardAvoidingView
-          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
-          style={styles.keyboardView}
+        <TouchableOpacity
+          style={styles.overlay}
+          activeOpacity={1}
+          onPress={handleClose}
+          disabled={loading}
         >
-          <TouchableOpacity
-            activeOpacity={1}
-            onPress={(e) => e.stopPropagation()}
-            style={styles.modalContent}
+          <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+            style={styles.keyboardView}
           >
-            <View style={styles.header}>
-              <Ionicons name="warning" size={32} color={COLORS.error} />
-              <Text style={styles.title}>Delete Account</Text>
-            </View>
-
-            <Text style={styles.message}>
-              Are you sure you want to delete your account? This action cannot be undone and will permanently delete all your data.
-            </Text>
-
-            <View style={styles.inputContainer}>
-              <Text style={styles.label}>
-                Type <Text style={styles.confirmationLabel}>{CONFIRMATION_TEXT}</Text> to confirm:
+            <TouchableOpacity
+              activeOpacity={1}
+              onPress={(e) => e.stopPropagation()}
+              style={styles.modalContent}
+            >
+              <View style={styles.header}>
+                <Ionicons name="warning" size={32} color={COLORS.error} />
+                <Text style={styles.title}>Delete Account</Text>
+              </View>
+
+              <Text style={styles.message}>
+                Are you sure you want to delete your account? This action cannot be undone and will permanently delete all your data.
               </Text>
-              <TextInput
-                style={styles.input}
-                value={confirmationText}
-                onChangeText={setConfirmationText}
-                placeholder={`Type "${CONFIRMATION_TEXT}"`}
-                placeholderTextColor={COLORS.inputPlaceholder}
-                autoCapitalize="characters"
-                editable={!loading}
-              />
-            </View>
-
-            <View style={styles.buttonContainer}>
-              <TouchableOpacity
-                style={[styles.button, styles.cancelButton]}
-                onPress={handleClose}
-                disabled={loading}
-                activeOpacity={0.7}
-              >
-                <Text style={styles.cancelButtonText}>Cancel</Text>
-              </TouchableOpacity>
-
-              <TouchableOpacity
-                style={[
-                  styles.button,
-                  styles.deleteButton,
-                  (loading || confirmationText !== CONFIRMATION_TEXT) && styles.deleteButtonDisabled,
-                ]}
-                onPress={handleDelete}
-                disabled={loading || confirmationText !== CONFIRMATION_TEXT}
-                activeOpacity={0.85}
-              >
-                {loading ? (
-                  <ActivityIndicator color={COLORS.white} />
-                ) : (
-                  <Text style={styles.deleteButtonText}>Delete</Text>
-                )}
-              </TouchableOpacity>
-            </View>
-          </TouchableOpacity>
-        </KeyboardAvoidingView>
-      </TouchableOpacity>
-    </Modal>
+
+              {ownedGroups.length > 0 && (
+                <View style={styles.ownedGroups}>
+                  <Text style={styles.ownedGroupsText}>
+                    Groups you own are deleted with your account, including everyone's progress in them. Transfer a group to keep it going:
+                  </Text>
+                  {ownedGroups.map((group) => (
+                    <View key={group.id} style={styles.ownedGroupRow}>
+                      <Text style={styles.ownedGroupName} numberOfLines={1}>{group.name}</Text>
+                      <TouchableOpacity
+                        onPress={() => setTransferGroup(group)}
+                        disabled={loading}
+                      >
+                        <Text style={styles.transferText}>Transfer</Text>
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                </View>
+              )}
+
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>
+                  Type <Text style={styles.confirmationLabel}>{CONFIRMATION_TEXT}</Text> to confirm:
+                </Text>
+                <TextInput
+                  style={styles.input}
+                  value={confirmationText}
+                  onChangeText={setConfirmationText}
+                  placeholder={`Type "${CONFIRMATION_TEXT}"`}
+                  placeholderTextColor={COLORS.inputPlaceholder}
+                  autoCapitalize="characters"
+                  editable={!loading}
+                />
+              </View>
+
+              <View style={styles.buttonContainer}>
+                <TouchableOpacity
+                  style={[styles.button, styles.cancelButton]}
+                  onPress={handleClose}
+                  disabled={loading}
+                  activeOpacity={0.7}
+                >
+                  <Text style={styles.cancelButtonText}>Cancel</Text>
+                </TouchableOpacity>
+
+                <TouchableOpacity
+                  style={[
+                    styles.button,
+                    styles.deleteButton,
+                    (loading || confirmationText !== CONFIRMATION_TEXT) && styles.deleteButtonDisabled,
+                  ]}
+                  onPress={handleDelete}
+                  disabled={loading || confirmationText !== CONFIRMATION_TEXT}
+                  activeOpacity={0.85}
+                >
+                  {loading ? (
+                    <ActivityIndicator color={COLORS.white} />
+                  ) : (
+                    <Text style={styles.deleteButtonText}>Delete</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </TouchableOpacity>
+          </KeyboardAvoidingView>
+        </TouchableOpacity>
+      </Modal>
+
+      <TransferOwnershipModal
+        visible={!!transferGroup}
+        group={transferGroup}
+        onClose={() => setTransferGroup(null)}
+        onTransferred={handleTransferred}
+      />
+    </>
   );
 };
 
@@ -185,6 +237,38 @@ const styles = StyleSheet.create({
     lineHeight: 20,
     marginBottom: 20,
   },
+  ownedGroups: {
+    backgroundColor: COLORS.background,
+    borderWidth: 1,
+    borderColor: COLORS.error,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 20,
+  },
+  ownedGroupsText: {
+    fontSize: 14,
+    color: COLORS.black,
+    lineHeight: 20,
+    marginBottom: 8,
+  },
+  ownedGroupRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  ownedGroupName: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.black,
+    marginRight: 12,
+  },
+  transferText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
   inputContainer: {
     marginBottom: 20,
   },
@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../constants';
+import { exportService } from '../../services';
+import { exportFormatters, formatters } from '../../utils';
+
+const EXPORT_FORMATS = [
+  {
+    key: 'md',
+    icon: 'document-text-outline',
+    label: 'Markdown',
+    description: 'Plain text with headings, good for notes apps',
+  },
+  {
+    key: 'csv',
+    icon: 'grid-outline',
+    label: 'CSV',
+    description: 'One row per day, opens in spreadsheets',
+  },
+  {
+    key: 'pdf',
+    icon: 'print-outline',
+    label: 'PDF',
+    description: 'Printable journal for your archive',
+  },
+];
+
+/**
+ * Export Journal Modal
+ * Exports every note the user has written, grouped by group and exercise
+ */
+export const ExportJournalModal = ({ visible, user, onClose }) => {
+  const [exportingFormat, setExportingFormat] = useState(null);
+
+  const handleExport = async (format) => {
+    setExportingFormat(format);
+    try {
+      const { data: entries, error } = await exportService.getJournalEntries();
+      if (error) {
+        Alert.alert('Error', error.message || 'Failed to load your notes');
+        return;
+      }
+
+      if (entries.length === 0) {
+        Alert.alert('No Notes', 'You have not written any notes yet.');
+        return;
+      }
+
+      const fileName = `reflection-journal-${formatters.formatDateForDB(new Date())}`;
+      const { error: shareError } = format === 'pdf'
+        ? await exportService.sharePDF(exportFormatters.journalToHTML(entries, user?.name), fileName)
+        : await exportService.shareTextFile(
+            format === 'md'
+              ? exportFormatters.journalToMarkdown(entries, user?.name)
+              : exportFormatters.journalToCSV(entries),
+            fileName,
+            format
+          );
+
+      if (shareError) {
+        Alert.alert('Error', shareError.message || 'Failed to export journal');
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to export journal');
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeIcon}>×</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Export Journal</Text>
+          <View style={styles.placeholder} />
+        </View>
+
+        <Text style={styles.subtitle}>
+          Export every note you have written, grouped by group and exercise.
+        </Text>
+
+        {EXPORT_FORMATS.map((format) => (
+          <TouchableOpacity
+            key={format.key}
+            style={styles.formatOption}
+            onPress={() => handleExport(format.key)}
+            disabled={exportingFormat !== null}
+            activeOpacity={0.7}
+          >
+            <Ionicons name={format.icon} size={24} color={COLORS.primary} />
+            <View style={styles.formatText}>
+              <Text style={styles.formatLabel}>{format.label}</Text>
+              <Text style={styles.formatDescription}>{format.description}</Text>
+            </View>
+            {exportingFormat === format.key ? (
+              <ActivityIndicator color={COLORS.primary} />
+            ) : (
+              <Ionicons name="share-outline" size={20} color={COLORS.gray} />
+            )}
+          </TouchableOpacity>
+        ))}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.white,
+    padding: 24,
+    paddingTop: 60,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 24,
+  },
+  closeButton: {
+    width: 40,
+    padding: 4,
+  },
+  closeIcon: {
+    fontSize: 36,
+    color: COLORS.secondary,
+    fontWeight: '300',
+    lineHeight: 36,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: COLORS.black,
+    flex: 1,
+    textAlign: 'center',
+  },
+  placeholder: {
+    width: 40,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: COLORS.gray,
+    marginBottom: 24,
+  },
+  formatOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+    marginBottom: 12,
+    gap: 16,
+  },
+  formatText: {
+    flex: 1,
+  },
+  formatLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.black,
+  },
+  formatDescription: {
+    fontSize: 13,
+    color: COLORS.gray,
+    marginTop: 2,
+  },
+});
@@ -0,0 +1,305 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../constants';
+import { notesSearchService, progressSyncService } from '../../services';
+import { BottomTabBar, ScreenHeader, Card } from '../../components';
+import { DayNotesModal } from '../groups/joined-groups';
+import { formatters, notesSearch } from '../../utils';
+
+const SEARCH_DELAY_MS = 400;
+
+/**
+ * Notes Search Screen
+ * Full-text search across everything the user has written in their days' notes
+ */
+export const NotesSearchScreen = ({ navigation }) => {
+  const [query, setQuery] = useState('');
+  const [exercises, setExercises] = useState({});
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searched, setSearched] = useState(false);
+  const [isOffline, setIsOffline] = useState(false);
+  const [selectedExercise, setSelectedExercise] = useState(null);
+  const [selectedDay, setSelectedDay] = useState(null);
+  const latestQuery = useRef('');
+
+  useEffect(() => {
+    loadExercises();
+  }, []);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      latestQuery.current = '';
+      setResults([]);
+      setSearched(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => runSearch(query), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const loadExercises = async () => {
+    const { data, fromCache } = await notesSearchService.getExercises();
+    if (data) setExercises(data);
+    if (fromCache) setIsOffline(true);
+  };
+
+  const runSearch = async (text) => {
+    latestQuery.current = text;
+    setSearching(true);
+    const { data, error, fromCache } = await notesSearchService.search(text, exercises);
+    // Ignore results for a query the user has already changed
+    if (latestQuery.current !== text) return;
+
+    setSearching(false);
+    setSearched(true);
+    setIsOffline(fromCache);
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to search notes');
+      return;
+    }
+    setResults(data || []);
+  };
+
+  const handleOpenResult = async (result) => {
+    const entry = exercises[result.exerciseId];
+    if (!entry) {
+      Alert.alert('Unavailable', 'This exercise is no longer available.');
+      return;
+    }
+
+    const { data: rows } = await progressSyncService.getProgressByExercise(result.exerciseId);
+    const row = (rows || []).find((progressRow) => progressRow.practice_date === result.practiceDate);
+    const date = formatters.parseDateFromDB(result.practiceDate);
+    const start = formatters.parseDateFromDB(entry.exercise.start_date);
+
+    setSelectedExercise(entry.exercise);
+    setSelectedDay({
+      date,
+      dateStr: result.practiceDate,
+      dayNumber: Math.round((date - start) / (24 * 60 * 60 * 1000)) + 1,
+      isCompleted: row?.is_completed || false,
+      completions: row?.number_of_completions || 0,
+      notes: row?.notes || null,
+      mood: row?.mood || null,
+      energy: row?.energy || null,
+      tags: row?.tags || [],
+      isShared: row?.shared_with_owner || false,
+      progressId: row?.id || result.progressId,
+      unreadComments: 0,
+    });
+  };
+
+  const handleCloseDay = () => {
+    setSelectedDay(null);
+    setSelectedExercise(null);
+  };
+
+  const handleDayUpdated = () => {
+    handleCloseDay();
+    if (query.trim()) runSearch(query);
+  };
+
+  const renderSnippet = (snippet) => (
+    <Text style={styles.snippet}>
+      {notesSearch.parseSnippet(snippet).map((part, index) => (
+        <Text key={index} style={part.highlight ? styles.highlight : null}>
+          {part.text}
+        </Text>
+      ))}
+    </Text>
+  );
+
+  const renderResult = (result) => (
+    <TouchableOpacity
+      key={`${result.exerciseId}-${result.practiceDate}`}
+      onPress={() => handleOpenResult(result)}
+      activeOpacity={0.7}
+    >
+      <Card>
+        <View style={styles.resultHeader}>
+          <View style={styles.resultInfo}>
+            <Text style={styles.resultTitle} numberOfLines={1}>{result.exerciseTitle}</Text>
+            {!!result.groupName && (
+              <Text style={styles.resultGroup} numberOfLines={1}>{result.groupName}</Text>
+            )}
+          </View>
+          <Text style={styles.resultDate}>
+            {formatters.formatDate(formatters.parseDateFromDB(result.practiceDate))}
+          </Text>
+        </View>
+        {renderSnippet(result.snippet)}
+      </Card>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <ScreenHeader
+        title="Search Notes"
+        onBack={() => navigation.goBack()}
+        iconColor={COLORS.secondary}
+      />
+
+      <View style={styles.searchContainer}>
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search what you wrote..."
+          value={query}
+          onChangeText={setQuery}
+          onSubmitEditing={() => query.trim() && runSearch(query)}
+          returnKeyType="search"
+          autoCorrect={false}
+          placeholderTextColor={COLORS.inputPlaceholder}
+        />
+        <Ionicons
+          name="search"
+          size={20}
+          color={COLORS.gray}
+          style={styles.searchIcon}
+        />
+      </View>
+
+      {isOffline && (
+        <View style={styles.offlineBanner}>
+          <Ionicons name="cloud-offline-outline" size={18} color={COLORS.black} />
+          <Text style={styles.offlineBannerText}>Offline - searching notes saved on this device</Text>
+        </View>
+      )}
+
+      <ScrollView
+        style={styles.content}
+        showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+      >
+        {searching && results.length === 0 ? (
+          <ActivityIndicator color={COLORS.primary} style={styles.loader} />
+        ) : !query.trim() ? (
+          <Text style={styles.emptyText}>
+            Find earlier reflections by the words you used, like a situation or a person.
+          </Text>
+        ) : searched && results.length === 0 ? (
+          <Text style={styles.emptyText}>No notes match "{query.trim()}"</Text>
+        ) : (
+          results.map(renderResult)
+        )}
+        <View style={styles.bottomSpacer} />
+      </ScrollView>
+
+      {selectedDay && selectedExercise && (
+        <DayNotesModal
+          visible
+          exercise={selectedExercise}
+          day={selectedDay}
+          onClose={handleCloseDay}
+          onDayUpdated={handleDayUpdated}
+        />
+      )}
+
+      <BottomTabBar navigation={navigation} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+    paddingTop: 70,
+  },
+  searchContainer: {
+    position: 'relative',
+    marginHorizontal: 24,
+    marginBottom: 16,
+  },
+  searchInput: {
+    backgroundColor: COLORS.white,
+    borderRadius: 12,
+    padding: 12,
+    paddingRight: 40,
+    fontSize: 16,
+    color: COLORS.black,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+  },
+  searchIcon: {
+    position: 'absolute',
+    right: 12,
+    top: 12,
+  },
+  offlineBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: COLORS.white,
+    borderLeftWidth: 4,
+    borderLeftColor: COLORS.warning,
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginHorizontal: 24,
+    marginBottom: 12,
+  },
+  offlineBannerText: {
+    fontSize: 14,
+    color: COLORS.black,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 24,
+  },
+  loader: {
+    marginTop: 24,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: COLORS.gray,
+    textAlign: 'center',
+    marginTop: 24,
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 12,
+    marginBottom: 8,
+  },
+  resultInfo: {
+    flex: 1,
+  },
+  resultTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.black,
+  },
+  resultGroup: {
+    fontSize: 13,
+    color: COLORS.gray,
+    marginTop: 2,
+  },
+  resultDate: {
+    fontSize: 13,
+    color: COLORS.gray,
+  },
+  snippet: {
+    fontSize: 14,
+    color: COLORS.black,
+    lineHeight: 20,
+  },
+  highlight: {
+    fontWeight: 'bold',
+    backgroundColor: 'rgba(3, 102, 22, 0.15)',
+  },
+  bottomSpacer: {
+    height: 120,
+  },
+});
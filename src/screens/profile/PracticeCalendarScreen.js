@@ -0,0 +1,561 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../constants';
+import { groupService, exerciseService, exerciseProgressService } from '../../services';
+import { BottomTabBar, ScreenHeader, Card } from '../../components';
+import { formatters, progressStats } from '../../utils';
+
+// Intensity levels 0 (no practice) to 4 (busiest day), shades of the primary green
+const HEATMAP_COLORS = [
+  COLORS.background,
+  'rgba(3, 102, 22, 0.25)',
+  'rgba(3, 102, 22, 0.5)',
+  'rgba(3, 102, 22, 0.75)',
+  COLORS.primary,
+];
+
+const WEEKDAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+/**
+ * Build the weeks of a month as rows of 7 dates, padded with nulls
+ * @param {number} year
+ * @param {number} month - 0-based month
+ * @returns {Array} Array of weeks, each an array of Date|null
+ */
+const getMonthWeeks = (year, month) => {
+  const weeks = [];
+  let week = new Array(new Date(year, month, 1).getDay()).fill(null);
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+  for (let day = 1; day <= daysInMonth; day += 1) {
+    week.push(new Date(year, month, day));
+    if (week.length === 7) {
+      weeks.push(week);
+      week = [];
+    }
+  }
+  if (week.length > 0) {
+    weeks.push([...week, ...new Array(7 - week.length).fill(null)]);
+  }
+  return weeks;
+};
+
+/**
+ * Practice Calendar Screen
+ * Heatmap of the user's practice across every joined group, by month or year
+ */
+export const PracticeCalendarScreen = ({ navigation }) => {
+  const [loading, setLoading] = useState(true);
+  const [viewMode, setViewMode] = useState('month');
+  const [cursor, setCursor] = useState(() => {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), 1);
+  });
+  const [dailyTotals, setDailyTotals] = useState({});
+  const [exerciseLookup, setExerciseLookup] = useState({});
+  const [progressByDate, setProgressByDate] = useState({});
+  const [selectedDate, setSelectedDate] = useState(null);
+
+  useEffect(() => {
+    loadPractice();
+  }, []);
+
+  const loadPractice = async () => {
+    try {
+      setLoading(true);
+      // Archived groups are part of the member's practice history
+      const { data: groups, error: groupsError } = await groupService.getJoinedGroups(true);
+      if (groupsError) {
+        console.error('Error loading groups:', groupsError);
+        return;
+      }
+
+      const exerciseResults = await Promise.all(
+        (groups || []).map((group) => exerciseService.getExercisesByGroup(group.id))
+      );
+
+      const lookup = {};
+      exerciseResults.forEach(({ data }, index) => {
+        (data || []).forEach((exercise) => {
+          lookup[exercise.id] = { exercise, group: groups[index] };
+        });
+      });
+
+      const { data: progressRows, error: progressError } =
+        await exerciseProgressService.getProgressForExercises(Object.keys(lookup));
+      if (progressError) {
+        console.error('Error loading progress:', progressError);
+        return;
+      }
+
+      const byDate = {};
+      (progressRows || []).forEach((row) => {
+        byDate[row.practice_date] = [...(byDate[row.practice_date] || []), row];
+      });
+
+      setExerciseLookup(lookup);
+      setProgressByDate(byDate);
+      setDailyTotals(progressStats.getDailyTotals(progressRows || []));
+    } catch (error) {
+      console.error('Error loading practice calendar:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isInPeriod = (dateStr) => {
+    const date = formatters.parseDateFromDB(dateStr);
+    if (date.getFullYear() !== cursor.getFullYear()) return false;
+    return viewMode === 'year' || date.getMonth() === cursor.getMonth();
+  };
+
+  const periodDates = Object.keys(dailyTotals).filter(isInPeriod);
+  const maxCompletions = Math.max(0, ...periodDates.map((date) => dailyTotals[date].completions));
+  const periodCompletions = periodDates.reduce((sum, date) => sum + dailyTotals[date].completions, 0);
+
+  const getLongestPeriodStreak = () => {
+    const start = new Date(cursor.getFullYear(), viewMode === 'year' ? 0 : cursor.getMonth(), 1);
+    const end = viewMode === 'year'
+      ? new Date(cursor.getFullYear(), 11, 31)
+      : new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0);
+
+    const days = [];
+    for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
+      days.push({ isCompleted: !!dailyTotals[formatters.formatDateForDB(date)] });
+    }
+    return progressStats.getLongestStreak(days);
+  };
+
+  const shiftPeriod = (direction) => {
+    setSelectedDate(null);
+    setCursor((prev) => viewMode === 'year'
+      ? new Date(prev.getFullYear() + direction, prev.getMonth(), 1)
+      : new Date(prev.getFullYear(), prev.getMonth() + direction, 1));
+  };
+
+  const getCellColor = (date) => {
+    const totals = dailyTotals[formatters.formatDateForDB(date)];
+    return HEATMAP_COLORS[progressStats.getIntensityLevel(totals?.completions, maxCompletions)];
+  };
+
+  const renderMonth = () => {
+    const weeks = getMonthWeeks(cursor.getFullYear(), cursor.getMonth());
+    const todayStr = formatters.formatDateForDB(new Date());
+
+    return (
+      <Card>
+        <View style={styles.weekRow}>
+          {WEEKDAY_LABELS.map((label, index) => (
+            <Text key={index} style={styles.weekdayLabel}>{label}</Text>
+          ))}
+        </View>
+        {weeks.map((week, weekIndex) => (
+          <View key={weekIndex} style={styles.weekRow}>
+            {week.map((date, dayIndex) => {
+              if (!date) return <View key={dayIndex} style={styles.dayCell} />;
+              const dateStr = formatters.formatDateForDB(date);
+              const level = progressStats.getIntensityLevel(
+                dailyTotals[dateStr]?.completions,
+                maxCompletions
+              );
+              return (
+                <TouchableOpacity
+                  key={dayIndex}
+                  style={[
+                    styles.dayCell,
+                    { backgroundColor: getCellColor(date) },
+                    dateStr === todayStr && styles.todayCell,
+                    dateStr === selectedDate && styles.selectedCell,
+                  ]}
+                  onPress={() => setSelectedDate(dateStr === selectedDate ? null : dateStr)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.dayNumber, level >= 3 && styles.dayNumberDark]}>
+                    {date.getDate()}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        ))}
+      </Card>
+    );
+  };
+
+  const renderYear = () => (
+    <View style={styles.yearGrid}>
+      {Array.from({ length: 12 }, (_, month) => {
+        const monthStart = new Date(cursor.getFullYear(), month, 1);
+        return (
+          <TouchableOpacity
+            key={month}
+            style={styles.miniMonth}
+            onPress={() => {
+              setCursor(monthStart);
+              setViewMode('month');
+            }}
+            activeOpacity={0.8}
+          >
+            <Text style={styles.miniMonthTitle}>
+              {monthStart.toLocaleDateString('en-US', { month: 'short' })}
+            </Text>
+            {getMonthWeeks(cursor.getFullYear(), month).map((week, weekIndex) => (
+              <View key={weekIndex} style={styles.miniWeekRow}>
+                {week.map((date, dayIndex) => (
+                  <View
+                    key={dayIndex}
+                    style={[
+                      styles.miniCell,
+                      date && { backgroundColor: getCellColor(date) },
+                    ]}
+                  />
+                ))}
+              </View>
+            ))}
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderSelectedDay = () => {
+    if (!selectedDate) return null;
+    const rows = (progressByDate[selectedDate] || []).filter(
+      (row) => row.number_of_completions > 0 || row.is_completed
+    );
+
+    return (
+      <Card>
+        <Text style={styles.sectionTitle}>
+          {formatters.formatDateLongWithYear(formatters.parseDateFromDB(selectedDate))}
+        </Text>
+        {rows.length === 0 ? (
+          <Text style={styles.emptyText}>No practice logged</Text>
+        ) : (
+          rows.map((row) => {
+            const entry = exerciseLookup[row.exercise_id];
+            return (
+              <TouchableOpacity
+                key={row.id}
+                style={styles.practiceRow}
+                onPress={() => navigation.navigate('JoinedExerciseDetail', {
+                  exerciseId: row.exercise_id,
+                  groupId: entry?.group.id,
+                })}
+                activeOpacity={0.7}
+              >
+                <View style={styles.practiceInfo}>
+                  <Text style={styles.practiceTitle} numberOfLines={1}>
+                    {entry?.exercise.title || 'Exercise'}
+                  </Text>
+                  <Text style={styles.practiceGroup} numberOfLines={1}>
+                    {entry?.group.name}
+                  </Text>
+                </View>
+                <Text style={styles.practiceCount}>
+                  {row.number_of_completions > 0 ? `${row.number_of_completions}x` : ''}
+                </Text>
+                {row.is_completed && (
+                  <Ionicons name="checkmark-circle" size={20} color={COLORS.primary} />
+                )}
+              </TouchableOpacity>
+            );
+          })
+        )}
+      </Card>
+    );
+  };
+
+  const periodTitle = viewMode === 'year'
+    ? String(cursor.getFullYear())
+    : cursor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+  return (
+    <View style={styles.container}>
+      <ScreenHeader
+        title="My Practice"
+        onBack={() => navigation.goBack()}
+        iconColor={COLORS.secondary}
+      />
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={styles.contentContainer}
+        showsVerticalScrollIndicator={false}
+      >
+        <View style={styles.toggleRow}>
+          {['month', 'year'].map((mode) => (
+            <TouchableOpacity
+              key={mode}
+              style={[styles.toggleOption, viewMode === mode && styles.toggleOptionActive]}
+              onPress={() => {
+                setSelectedDate(null);
+                setViewMode(mode);
+              }}
+              activeOpacity={0.8}
+            >
+              <Text style={[styles.toggleText, viewMode === mode && styles.toggleTextActive]}>
+                {mode === 'month' ? 'Month' : 'Year'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <View style={styles.periodRow}>
+          <TouchableOpacity onPress={() => shiftPeriod(-1)} style={styles.periodButton}>
+            <Ionicons name="chevron-back" size={22} color={COLORS.black} />
+          </TouchableOpacity>
+          <Text style={styles.periodTitle}>{periodTitle}</Text>
+          <TouchableOpacity onPress={() => shiftPeriod(1)} style={styles.periodButton}>
+            <Ionicons name="chevron-forward" size={22} color={COLORS.black} />
+          </TouchableOpacity>
+        </View>
+
+        {loading ? (
+          <ActivityIndicator size="large" color={COLORS.primary} style={styles.loader} />
+        ) : (
+          <>
+            <Card>
+              <View style={styles.statsRow}>
+                <View style={styles.statItem}>
+                  <Text style={styles.statValue}>{periodDates.length}</Text>
+                  <Text style={styles.statLabel}>Active days</Text>
+                </View>
+                <View style={styles.statsDivider} />
+                <View style={styles.statItem}>
+                  <Text style={styles.statValue}>{periodCompletions}</Text>
+                  <Text style={styles.statLabel}>Practices</Text>
+                </View>
+                <View style={styles.statsDivider} />
+                <View style={styles.statItem}>
+                  <Text style={styles.statValue}>{getLongestPeriodStreak()}</Text>
+                  <Text style={styles.statLabel}>Best streak</Text>
+                </View>
+              </View>
+            </Card>
+
+            {viewMode === 'month' ? renderMonth() : renderYear()}
+
+            <View style={styles.legendRow}>
+              <Text style={styles.legendText}>Less</Text>
+              {HEATMAP_COLORS.map((color, index) => (
+                <View key={index} style={[styles.legendCell, { backgroundColor: color }]} />
+              ))}
+              <Text style={styles.legendText}>More</Text>
+            </View>
+
+            {renderSelectedDay()}
+          </>
+        )}
+      </ScrollView>
+
+      <BottomTabBar navigation={navigation} activeScreen="Profile" />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+    paddingTop: 70,
+  },
+  content: {
+    paddingHorizontal: 24,
+  },
+  contentContainer: {
+    paddingBottom: 120,
+  },
+  loader: {
+    marginTop: 40,
+  },
+  toggleRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 16,
+  },
+  toggleOption: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: COLORS.inputBorder,
+    alignItems: 'center',
+    backgroundColor: COLORS.white,
+  },
+  toggleOptionActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  toggleText: {
+    fontSize: 16,
+    color: COLORS.black,
+    fontWeight: '500',
+  },
+  toggleTextActive: {
+    color: COLORS.white,
+  },
+  periodRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  periodButton: {
+    padding: 4,
+  },
+  periodTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: COLORS.black,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  statItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: COLORS.primary,
+  },
+  statLabel: {
+    fontSize: 12,
+    color: COLORS.gray,
+    marginTop: 2,
+  },
+  statsDivider: {
+    width: 1,
+    height: 32,
+    backgroundColor: COLORS.lightGray,
+  },
+  weekRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  weekdayLabel: {
+    width: 36,
+    textAlign: 'center',
+    fontSize: 12,
+    fontWeight: '600',
+    color: COLORS.gray,
+  },
+  dayCell: {
+    width: 36,
+    height: 36,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  todayCell: {
+    borderWidth: 2,
+    borderColor: COLORS.secondary,
+  },
+  selectedCell: {
+    borderWidth: 2,
+    borderColor: COLORS.black,
+  },
+  dayNumber: {
+    fontSize: 13,
+    color: COLORS.black,
+  },
+  dayNumberDark: {
+    color: COLORS.white,
+    fontWeight: '600',
+  },
+  yearGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  miniMonth: {
+    width: '31%',
+    backgroundColor: COLORS.white,
+    borderRadius: 12,
+    padding: 8,
+    marginBottom: 12,
+  },
+  miniMonthTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: COLORS.black,
+    marginBottom: 4,
+  },
+  miniWeekRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 2,
+  },
+  miniCell: {
+    width: 10,
+    height: 10,
+    borderRadius: 2,
+  },
+  legendRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    gap: 4,
+    marginBottom: 16,
+  },
+  legendCell: {
+    width: 14,
+    height: 14,
+    borderRadius: 3,
+    borderWidth: 1,
+    borderColor: COLORS.lightGray,
+  },
+  legendText: {
+    fontSize: 12,
+    color: COLORS.gray,
+    marginHorizontal: 4,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: COLORS.black,
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: COLORS.gray,
+  },
+  practiceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.background,
+    gap: 8,
+  },
+  practiceInfo: {
+    flex: 1,
+  },
+  practiceTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: COLORS.black,
+  },
+  practiceGroup: {
+    fontSize: 13,
+    color: COLORS.gray,
+    marginTop: 2,
+  },
+  practiceCount: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+});
@@ -13,6 +13,7 @@ import { COLORS, SHADOWS } from '../../constants';
 import { userService, authService } from '../../services';
 import { EditProfileModal } from './EditProfileModal';
 import { DeleteAccountModal } from './DeleteAccountModal';
+import { ExportJournalModal } from './ExportJournalModal';
 import { BottomTabBar } from '../../components';
 
 /**
@@ -23,6 +24,7 @@ export const ProfileScreen = ({ navigation }) => {
   const [user, setUser] = useState(null);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
 
   const loadUser = useCallback(async () => {
     try {
@@ -45,6 +47,18 @@ export const ProfileScreen = ({ navigation }) => {
     setShowEditModal(true);
   };
 
+  const handlePracticeCalendar = () => {
+    navigation.navigate('PracticeCalendar');
+  };
+
+  const handleSearchNotes = () => {
+    navigation.navigate('NotesSearch');
+  };
+
+  const handleExportJournal = () => {
+    setShowExportModal(true);
+  };
+
   const handleNotifications = () => {
     navigation.navigate('NotificationSettings');
   };
@@ -107,6 +121,39 @@ export const ProfileScreen = ({ navigation }) => {
 
         <View style={styles.divider} />
 
+        <TouchableOpacity
+          style={styles.menuItem}
+          onPress={handlePracticeCalendar}
+          activeOpacity={0.7}
+        >
+          <Ionicons name="calendar-outline" size={20} color={COLORS.black} />
+          <Text style={styles.menuItemText}>My Practice</Text>
+        </TouchableOpacity>
+
+        <View style={styles.divider} />
+
+        <TouchableOpacity
+          style={styles.menuItem}
+          onPress={handleSearchNotes}
+          activeOpacity={0.7}
+        >
+          <Ionicons name="search-outline" size={20} color={COLORS.black} />
+          <Text style={styles.menuItemText}>Search My Notes</Text>
+        </TouchableOpacity>
+
+        <View style={styles.divider} />
+
+        <TouchableOpacity
+          style={styles.menuItem}
+          onPress={handleExportJournal}
+          activeOpacity={0.7}
+        >
+          <Ionicons name="download-outline" size={20} color={COLORS.black} />
+          <Text style={styles.menuItemText}>Export Journal</Text>
+        </TouchableOpacity>
+
+        <View style={styles.divider} />
+
         <TouchableOpacity
           style={styles.menuItem}
           onPress={handleNotifications}
@@ -159,6 +206,12 @@ export const ProfileScreen = ({ navigation }) => {
         onProfileUpdated={handleProfileUpdated}
       />
 
+      <ExportJournalModal
+        visible={showExportModal}
+        user={user}
+        onClose={() => setShowExportModal(false)}
+      />
+
       <DeleteAccountModal
         visible={showDeleteModal}
         onClose={() => setShowDeleteModal(false)}
@@ -5,7 +5,10 @@
 export { ProfileScreen } from './ProfileScreen';
 export { EditProfileModal } from './EditProfileModal';
 export { DeleteAccountModal } from './DeleteAccountModal';
+export { ExportJournalModal } from './ExportJournalModal';
 export { ReportIssueScreen } from './ReportIssueScreen';
 export { ReportIssueSuccessModal } from './ReportIssueSuccessModal';
 export { NotificationSettingsScreen } from './NotificationSettingsScreen';
+export { PracticeCalendarScreen } from './PracticeCalendarScreen';
+export { NotesSearchScreen } from './NotesSearchScreen';
 
@@ -0,0 +1,164 @@
+import { supabase } from './supabase';
+
+/**
+ * Announcement Service
+ * Handles announcements from a group's owner to its members
+ *
+ * Tables: group_announcements, group_announcement_reads
+ * Every member can read a group's announcements; only the owner can post, pin or delete.
+ */
+
+export const announcementService = {
+  /**
+   * Get a group's announcements, pinned first, then newest first
+   * @param {string} groupId - Group ID
+   * @returns {object} { data, error } - rows include authorName
+   */
+  getAnnouncements: async (groupId) => {
+    try {
+      const { data, error } = await supabase
+        .from('group_announcements')
+        .select('*, users(name)')
+        .eq('group_id', groupId)
+        .order('pinned', { ascending: false })
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      const announcements = (data || []).map((announcement) => ({
+        ...announcement,
+        authorName: announcement.users?.name || 'Unknown',
+      }));
+      return { data: announcements, error: null };
+    } catch (error) {
+      console.error('Get announcements error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Post an announcement (owner only)
+   * @param {string} groupId - Group ID
+   * @param {string} body - Announcement text
+   * @param {boolean} [pinned=false] - Keep it at the top of the list
+   * @returns {object} { data, error }
+   */
+  createAnnouncement: async (groupId, body, pinned = false) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const text = (body || '').trim();
+      if (!text) throw new Error('Announcement cannot be empty');
+
+      const { data, error } = await supabase
+        .from('group_announcements')
+        .insert([{
+          group_id: groupId,
+          author_id: user.id,
+          body: text,
+          pinned,
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Create announcement error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Pin or unpin an announcement (owner only)
+   * @param {string} announcementId - Announcement ID
+   * @param {boolean} pinned
+   * @returns {object} { error }
+   */
+  setPinned: async (announcementId, pinned) => {
+    try {
+      const { error } = await supabase
+        .from('group_announcements')
+        .update({ pinned })
+        .eq('id', announcementId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Pin announcement error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Delete an announcement (owner only)
+   * @param {string} announcementId - Announcement ID
+   * @returns {object} { error }
+   */
+  deleteAnnouncement: async (announcementId) => {
+    try {
+      const { error } = await supabase
+        .from('group_announcements')
+        .delete()
+        .eq('id', announcementId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Delete announcement error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Mark a group's announcements as read by the current user
+   * @param {string} groupId - Group ID
+   * @returns {object} { error }
+   */
+  markRead: async (groupId) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { error } = await supabase
+        .from('group_announcement_reads')
+        .upsert({
+          group_id: groupId,
+          user_id: user.id,
+          last_read_at: new Date().toISOString(),
+        }, {
+          onConflict: 'group_id,user_id',
+        });
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Mark announcements read error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Count unread announcements in the current user's groups
+   * @param {string|null} [groupId] - Only count this group
+   * @returns {object} { data, error } - data maps group_id to unread count
+   */
+  getUnreadCounts: async (groupId = null) => {
+    try {
+      const { data, error } = await supabase
+        .rpc('get_unread_announcement_counts', { group_id_param: groupId });
+
+      if (error) throw error;
+
+      const counts = {};
+      (data || []).forEach((row) => {
+        counts[row.group_id] = row.unread_count;
+      });
+      return { data: counts, error: null };
+    } catch (error) {
+      console.error('Get unread announcement counts error:', error.message);
+      return { data: null, error };
+    }
+  },
+};
@@ -1,4 +1,6 @@
 import { auth } from './supabase';
+import { progressSyncService } from './progressSyncService';
+import { notesSearchService } from './notesSearchService';
 
 /**
  * Authentication Service
@@ -99,12 +101,13 @@ export const authService = {
   },
 
   /**
-   * Sign out the current user
+   * Sign out the current user and remove their cached progress from the device
    */
   signOut: async () => {
     try {
       const { error } = await auth.signOut();
       if (error) throw error;
+      await Promise.all([progressSyncService.clearLocalData(), notesSearchService.clearCache()]);
       return { error: null };
     } catch (error) {
       console.error('Sign out error:', error.message);
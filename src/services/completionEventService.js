@@ -0,0 +1,147 @@
+import { supabase } from './supabase';
+import { groupMemberService } from './groupMemberService';
+import { GROUP_PERMISSIONS } from '../utils';
+
+/**
+ * Completion Event Service
+ * Handles the timestamped log of individual practices
+ *
+ * Table: exercise_completion_events
+ * The daily count in exercise_progress is derived from these events by the
+ * log_exercise_completion / remove_exercise_completion database functions.
+ */
+
+export const completionEventService = {
+  /**
+   * Log one practice for a day
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @param {string|null} [note] - Optional note for this practice
+   * @param {string} [completedAt] - ISO time of the practice (defaults to now on the server)
+   * @returns {object} { data, error }
+   */
+  logCompletion: async (exerciseId, practiceDate, note = null, completedAt = null) => {
+    try {
+      const { data, error } = await supabase
+        .rpc('log_exercise_completion', {
+          exercise_id_param: exerciseId,
+          practice_date_param: practiceDate,
+          note_param: note,
+          completed_at_param: completedAt,
+        });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Log completion error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Get the current user's practices for a day, oldest first
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @returns {object} { data, error }
+   */
+  getEventsByDate: async (exerciseId, practiceDate) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { data, error } = await supabase
+        .from('exercise_completion_events')
+        .select('*')
+        .eq('exercise_id', exerciseId)
+        .eq('user_id', user.id)
+        .eq('practice_date', practiceDate)
+        .order('completed_at', { ascending: true });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get completion events error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Get every member's practices for an exercise (owner, or a facilitator who views progress)
+   * @param {string} exerciseId - Exercise ID
+   * @returns {object} { data, error }
+   */
+  getMemberEventsByExercise: async (exerciseId) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      // Verify user can view progress in the exercise's group
+      const { data: exercise } = await supabase
+        .from('exercises')
+        .select('group_id')
+        .eq('id', exerciseId)
+        .single();
+
+      const { data: allowed } = exercise
+        ? await groupMemberService.hasPermission(exercise.group_id, GROUP_PERMISSIONS.VIEW_PROGRESS)
+        : { data: false };
+
+      if (!allowed) {
+        throw new Error('Only group owners and facilitators can view member practice times');
+      }
+
+      // Practice notes are only returned for days the member shared
+      const { data, error } = await supabase
+        .rpc('get_member_completion_events', { exercise_id_param: exerciseId });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get member completion events error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Remove a single practice
+   * @param {string} eventId - Completion event ID
+   * @returns {object} { data, error } - data is the day's updated progress row
+   */
+  removeCompletion: async (eventId) => {
+    try {
+      const { data, error } = await supabase
+        .rpc('remove_exercise_completion', {
+          event_id_param: eventId,
+        });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Remove completion error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Remove the most recent practice of a day
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @returns {object} { data, error } - data is the day's updated progress row
+   */
+  removeLastCompletion: async (exerciseId, practiceDate) => {
+    try {
+      const { data, error } = await supabase
+        .rpc('adjust_exercise_completions', {
+          exercise_id_param: exerciseId,
+          practice_date_param: practiceDate,
+          delta_param: -1,
+        });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Remove last completion error:', error.message);
+      return { data: null, error };
+    }
+  },
+};
@@ -0,0 +1,163 @@
+import { supabase } from './supabase';
+
+/**
+ * Discussion Service
+ * Handles the optional discussion thread on an exercise
+ *
+ * Table: exercise_discussion_posts (exercises.discussion_enabled, exercises.discussion_locked)
+ * Members post, reply and edit or delete their own posts. Anyone who can manage
+ * the group's exercises moderates: hide or delete any post and lock the thread.
+ */
+
+export const discussionService = {
+  /**
+   * Get an exercise's posts, oldest first. Hidden posts are only returned to
+   * their author and moderators.
+   * @param {string} exerciseId - Exercise ID
+   * @returns {object} { data, error } - rows include authorName and isOwn
+   */
+  getPosts: async (exerciseId) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { data, error } = await supabase
+        .from('exercise_discussion_posts')
+        .select('*, users(name)')
+        .eq('exercise_id', exerciseId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      const posts = (data || []).map((post) => ({
+        ...post,
+        authorName: post.users?.name || 'Unknown',
+        isOwn: post.author_id === user.id,
+      }));
+      return { data: posts, error: null };
+    } catch (error) {
+      console.error('Get discussion posts error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Add a post or a reply
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} body - Post text
+   * @param {string|null} [parentId] - Post being replied to
+   * @returns {object} { data, error }
+   */
+  addPost: async (exerciseId, body, parentId = null) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const text = (body || '').trim();
+      if (!text) throw new Error('Post cannot be empty');
+
+      const { data, error } = await supabase
+        .from('exercise_discussion_posts')
+        .insert([{
+          exercise_id: exerciseId,
+          author_id: user.id,
+          parent_id: parentId,
+          body: text,
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Add discussion post error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Change the text of one of the current user's posts
+   * @param {string} postId - Post ID
+   * @param {string} body - New text
+   * @returns {object} { error }
+   */
+  editPost: async (postId, body) => {
+    try {
+      const text = (body || '').trim();
+      if (!text) throw new Error('Post cannot be empty');
+
+      const { error } = await supabase
+        .from('exercise_discussion_posts')
+        .update({ body: text, edited_at: new Date().toISOString() })
+        .eq('id', postId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Edit discussion post error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Delete a post (own posts, or any post for moderators). Replies to it are removed too.
+   * @param {string} postId - Post ID
+   * @returns {object} { error }
+   */
+  deletePost: async (postId) => {
+    try {
+      const { error } = await supabase
+        .from('exercise_discussion_posts')
+        .delete()
+        .eq('id', postId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Delete discussion post error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Hide a post from members or show it again (moderators only)
+   * @param {string} postId - Post ID
+   * @param {boolean} hidden
+   * @returns {object} { error }
+   */
+  setHidden: async (postId, hidden) => {
+    try {
+      const { error } = await supabase
+        .from('exercise_discussion_posts')
+        .update({ hidden })
+        .eq('id', postId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Hide discussion post error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Lock or unlock an exercise's discussion (moderators only)
+   * @param {string} exerciseId - Exercise ID
+   * @param {boolean} locked
+   * @returns {object} { error }
+   */
+  setLocked: async (exerciseId, locked) => {
+    try {
+      const { error } = await supabase
+        .from('exercises')
+        .update({ discussion_locked: locked })
+        .eq('id', exerciseId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Lock discussion error:', error.message);
+      return { error };
+    }
+  },
+};
@@ -1,4 +1,6 @@
 import { supabase } from './supabase';
+import { groupMemberService } from './groupMemberService';
+import { GROUP_PERMISSIONS } from '../utils';
 
 /**
  * Exercise Progress Service
@@ -33,6 +35,72 @@ export const exerciseProgressService = {
     }
   },
 
+  /**
+   * Get the current user's progress across several exercises
+   * @param {Array} exerciseIds - Exercise IDs
+   * @returns {object} { data, error }
+   */
+  getProgressForExercises: async (exerciseIds) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      if (!exerciseIds || exerciseIds.length === 0) {
+        return { data: [], error: null };
+      }
+
+      const { data, error } = await supabase
+        .from('exercise_progress')
+        .select('*')
+        .in('exercise_id', exerciseIds)
+        .eq('user_id', user.id)
+        .order('practice_date', { ascending: true });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get progress for exercises error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Get every member's progress for an exercise (owner, or a facilitator who views progress)
+   * Notes, mood, energy and tags are only filled in on days the member shared.
+   * @param {string} exerciseId - Exercise ID
+   * @returns {object} { data, error }
+   */
+  getMemberProgressByExercise: async (exerciseId) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      // Verify user can view progress in the exercise's group
+      const { data: exercise } = await supabase
+        .from('exercises')
+        .select('group_id')
+        .eq('id', exerciseId)
+        .single();
+
+      const { data: allowed } = exercise
+        ? await groupMemberService.hasPermission(exercise.group_id, GROUP_PERMISSIONS.VIEW_PROGRESS)
+        : { data: false };
+
+      if (!allowed) {
+        throw new Error('Only group owners and facilitators can view member progress');
+      }
+
+      const { data, error } = await supabase
+        .rpc('get_member_progress', { exercise_ids_param: [exerciseId] });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get member progress error:', error.message);
+      return { data: null, error };
+    }
+  },
+
   /**
    * Get progress for a specific date
    * @param {string} exerciseId - Exercise ID
@@ -64,7 +132,7 @@ export const exerciseProgressService = {
    * Create or update progress for a date
    * @param {string} exerciseId - Exercise ID
    * @param {string} practiceDate - Date in YYYY-MM-DD format
-   * @param {object} progressData - Progress data (number_of_completions, is_completed, notes)
+   * @param {object} progressData - Progress data (number_of_completions, is_completed, notes, completed_at)
    * @returns {object} { data, error }
    */
   upsertProgress: async (exerciseId, practiceDate, progressData) => {
@@ -79,7 +147,8 @@ export const exerciseProgressService = {
       };
 
       if (updateData.is_completed) {
-        updateData.completed_at = new Date().toISOString();
+        // Callers replaying offline changes pass the original completion time
+        updateData.completed_at = progressData.completed_at || new Date().toISOString();
       } else {
         updateData.completed_at = null;
       }
@@ -107,11 +176,53 @@ export const exerciseProgressService = {
 
   /**
    * Complete a day
+   * Only touches is_completed/completed_at (and notes when given) so the
+   * completion count is never overwritten.
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @param {object} options - Optional { notes, completed_at }
+   * @returns {object} { data, error }
+   */
+  completeDay: async (exerciseId, practiceDate, options = {}) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const row = {
+        user_id: user.id,
+        exercise_id: exerciseId,
+        practice_date: practiceDate,
+        is_completed: true,
+        completed_at: options.completed_at || new Date().toISOString(),
+      };
+      if (options.notes !== undefined) {
+        row.notes = options.notes;
+      }
+
+      const { data, error } = await supabase
+        .from('exercise_progress')
+        .upsert(row, {
+          onConflict: 'user_id,exercise_id,practice_date',
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Complete day error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Save notes for a day without changing completion state
    * @param {string} exerciseId - Exercise ID
    * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @param {string|null} notes - Notes text
    * @returns {object} { data, error }
    */
-  completeDay: async (exerciseId, practiceDate) => {
+  saveNotes: async (exerciseId, practiceDate, notes) => {
     try {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('User not authenticated');
@@ -122,8 +233,7 @@ export const exerciseProgressService = {
           user_id: user.id,
           exercise_id: exerciseId,
           practice_date: practiceDate,
-          is_completed: true,
-          completed_at: new Date().toISOString(),
+          notes: notes || null,
         }, {
           onConflict: 'user_id,exercise_id,practice_date',
         })
@@ -133,43 +243,98 @@ export const exerciseProgressService = {
       if (error) throw error;
       return { data, error: null };
     } catch (error) {
-      console.error('Complete day error:', error.message);
+      console.error('Save notes error:', error.message);
       return { data: null, error };
     }
   },
 
   /**
-   * Add one completion to a day
+   * Save a day's mood, energy and tags without changing completion state
    * @param {string} exerciseId - Exercise ID
    * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @param {object} details - { mood, energy, tags }; mood and energy are 1-5 or null
    * @returns {object} { data, error }
    */
-  addCompletion: async (exerciseId, practiceDate) => {
+  saveDayDetails: async (exerciseId, practiceDate, details) => {
     try {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('User not authenticated');
 
-      // Get current progress
-      const { data: current } = await exerciseProgressService.getProgressByDate(exerciseId, practiceDate);
-      const currentCompletions = current?.number_of_completions || 0;
+      const { data, error } = await supabase
+        .from('exercise_progress')
+        .upsert({
+          user_id: user.id,
+          exercise_id: exerciseId,
+          practice_date: practiceDate,
+          mood: details.mood || null,
+          energy: details.energy || null,
+          tags: details.tags || [],
+        }, {
+          onConflict: 'user_id,exercise_id,practice_date',
+        })
+        .select()
+        .single();
 
-      const updateData = {
-        user_id: user.id,
-        exercise_id: exerciseId,
-        practice_date: practiceDate,
-        number_of_completions: currentCompletions + 1,
-        is_completed: current?.is_completed || false,
-        notes: current?.notes || null,
-      };
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Save day details error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Share a day's reflection with the group owner, or stop sharing it
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @param {boolean} shared
+   * @returns {object} { data, error }
+   */
+  setShared: async (exerciseId, practiceDate, shared) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
 
       const { data, error } = await supabase
         .from('exercise_progress')
-        .upsert(updateData, {
+        .upsert({
+          user_id: user.id,
+          exercise_id: exerciseId,
+          practice_date: practiceDate,
+          shared_with_owner: shared,
+          shared_at: shared ? new Date().toISOString() : null,
+        }, {
           onConflict: 'user_id,exercise_id,practice_date',
         })
         .select()
         .single();
 
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Set shared error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Add one completion to a day
+   * Logged as a completion event in the database, which also enforces the
+   * maximum of the exercise's frequency range. See completionEventService
+   * for notes, listing and removing individual completions.
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @returns {object} { data, error }
+   */
+  addCompletion: async (exerciseId, practiceDate) => {
+    try {
+      const { data, error } = await supabase
+        .rpc('adjust_exercise_completions', {
+          exercise_id_param: exerciseId,
+          practice_date_param: practiceDate,
+          delta_param: 1,
+        });
+
       if (error) throw error;
       return { data, error: null };
     } catch (error) {
@@ -179,7 +344,7 @@ export const exerciseProgressService = {
   },
 
   /**
-   * Clear/undo a day
+   * Clear/undo a day (its completion events are removed with it)
    * @param {string} exerciseId - Exercise ID
    * @param {string} practiceDate - Date in YYYY-MM-DD format
    * @returns {object} { error }
@@ -1,4 +1,6 @@
 import { supabase } from './supabase';
+import { groupMemberService } from './groupMemberService';
+import { GROUP_PERMISSIONS } from '../utils';
 
 /**
  * Exercise Service
@@ -8,7 +10,7 @@ import { supabase } from './supabase';
 export const exerciseService = {
   /**
    * Create a new exercise
-   * @param {object} exerciseData - Exercise data (group_id, title, description, instructions, start_date, end_date, frequency_per_day)
+   * @param {object} exerciseData - Exercise data (group_id, title, description, instructions, start_date, end_date, frequency_per_day, reflection_prompts, entry_policy)
    * @returns {object} { data, error }
    */
   createExercise: async (exerciseData) => {
@@ -39,6 +41,8 @@ export const exerciseService = {
           end_date: exerciseData.end_date,
           frequency_per_day: exerciseData.frequency_per_day,
           number_of_days: exerciseData.number_of_days,
+          reflection_prompts: exerciseData.reflection_prompts || [],
+          entry_policy: exerciseData.entry_policy || null,
           display_order: nextOrder,
           created_by: user.id,
         }])
@@ -88,15 +92,14 @@ export const exerciseService = {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('User not authenticated');
 
-      // Verify user is group owner
-      const { data: group } = await supabase
-        .from('groups')
-        .select('owner_id')
-        .eq('id', groupId)
-        .single();
+      // Verify user is the group owner or a facilitator who manages exercises
+      const { data: allowed } = await groupMemberService.hasPermission(
+        groupId,
+        GROUP_PERMISSIONS.MANAGE_EXERCISES
+      );
 
-      if (!group || group.owner_id !== user.id) {
-        throw new Error('Only group owners can reorder exercises');
+      if (!allowed) {
+        throw new Error('Only group owners and facilitators can reorder exercises');
       }
 
       // Update each exercise's display_order
@@ -123,7 +126,8 @@ export const exerciseService = {
   },
 
   /**
-   * Get exercise by ID
+   * Get exercise by ID, with its group's owner, entry policy and archive state
+   * (groups.owner_id, groups.entry_policy, groups.archived_at)
    * @param {string} exerciseId - Exercise ID
    * @returns {object} { data, error }
    */
@@ -131,7 +135,7 @@ export const exerciseService = {
     try {
       const { data, error } = await supabase
         .from('exercises')
-        .select('*')
+        .select('*, groups(owner_id, entry_policy, archived_at)')
         .eq('id', exerciseId)
         .single();
 
@@ -0,0 +1,88 @@
+import { supabase } from './supabase';
+
+/**
+ * Exercise Template Service
+ * Handles the current user's personal exercise library
+ *
+ * Table: exercise_templates
+ * Templates belong to a user rather than a group and hold everything about an
+ * exercise except its dates, which are chosen when it is added to a group.
+ */
+
+export const exerciseTemplateService = {
+  /**
+   * Get the current user's templates, by title
+   * @returns {object} { data, error }
+   */
+  getTemplates: async () => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { data, error } = await supabase
+        .from('exercise_templates')
+        .select('*')
+        .eq('owner_id', user.id)
+        .order('title', { ascending: true });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get templates error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Save a copy of an exercise to the library
+   * @param {object} exercise - Exercise (title, description, instructions, frequency_per_day, number_of_days, reflection_prompts, entry_policy)
+   * @returns {object} { data, error }
+   */
+  saveExerciseAsTemplate: async (exercise) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { data, error } = await supabase
+        .from('exercise_templates')
+        .insert([{
+          owner_id: user.id,
+          title: exercise.title,
+          description: exercise.description,
+          instructions: exercise.instructions,
+          frequency_per_day: exercise.frequency_per_day,
+          number_of_days: exercise.number_of_days,
+          reflection_prompts: exercise.reflection_prompts || [],
+          entry_policy: exercise.entry_policy || null,
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Save template error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Remove a template from the library (exercises created from it are kept)
+   * @param {string} templateId - Template ID
+   * @returns {object} { error }
+   */
+  deleteTemplate: async (templateId) => {
+    try {
+      const { error } = await supabase
+        .from('exercise_templates')
+        .delete()
+        .eq('id', templateId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Delete template error:', error.message);
+      return { error };
+    }
+  },
+};
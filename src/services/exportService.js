@@ -0,0 +1,188 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { supabase } from './supabase';
+import { groupMemberService } from './groupMemberService';
+import { GROUP_PERMISSIONS, teams } from '../utils';
+
+/**
+ * Export Service
+ * Collects data for exports and hands the generated files to the system share sheet
+ */
+
+/**
+ * Make a string safe to use as a file name
+ * @param {string} name
+ * @returns {string}
+ */
+const toFileName = (name) => name.replace(/[^a-z0-9-_]+/gi, '-').replace(/^-+|-+$/g, '') || 'export';
+
+/**
+ * Open the share sheet for a local file
+ * @param {string} uri - Local file URI
+ * @param {string} mimeType
+ * @param {string} uti - iOS uniform type identifier
+ */
+const shareUri = async (uri, mimeType, uti) => {
+  const available = await Sharing.isAvailableAsync();
+  if (!available) throw new Error('Sharing is not available on this device');
+  await Sharing.shareAsync(uri, { mimeType, UTI: uti, dialogTitle: 'Share export' });
+};
+
+export const exportService = {
+  /**
+   * Get every day the current user wrote notes on, with its group and exercise
+   * @returns {object} { data, error } - data: [{ groupName, exerciseTitle, practiceDate, notes, completions, isCompleted }]
+   */
+  getJournalEntries: async () => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { data, error } = await supabase
+        .from('exercise_progress')
+        .select('practice_date, notes, number_of_completions, is_completed, exercises(title, groups(name))')
+        .eq('user_id', user.id)
+        .not('notes', 'is', null)
+        .order('practice_date', { ascending: true });
+
+      if (error) throw error;
+
+      const entries = (data || [])
+        .filter((row) => row.notes && row.notes.trim().length > 0)
+        .map((row) => ({
+          groupName: row.exercises?.groups?.name || 'Unknown group',
+          exerciseTitle: row.exercises?.title || 'Unknown exercise',
+          practiceDate: row.practice_date,
+          notes: row.notes,
+          completions: row.number_of_completions || 0,
+          isCompleted: row.is_completed,
+        }));
+
+      return { data: entries, error: null };
+    } catch (error) {
+      console.error('Get journal entries error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Get everything needed to export a group's progress (owner, or a facilitator who views progress)
+   * @param {string} groupId - Group ID
+   * @param {object} [options]
+   * @param {string|null} [options.teamId] - Only export one team (a team ID or NO_TEAM)
+   * @returns {object} { data, error } - data: { group, members: [{ user_id, name }], exercises, progress }
+   */
+  getGroupProgress: async (groupId, { teamId = null } = {}) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { data: group, error: groupError } = await supabase
+        .from('groups')
+        .select('*')
+        .eq('id', groupId)
+        .single();
+
+      if (groupError) throw groupError;
+      const { data: allowed } = await groupMemberService.hasPermission(
+        groupId,
+        GROUP_PERMISSIONS.VIEW_PROGRESS
+      );
+      if (!allowed) {
+        throw new Error('Only group owners and facilitators can export progress');
+      }
+
+      const [membersResult, exercisesResult] = await Promise.all([
+        supabase
+          .from('group_members')
+          .select('user_id, role, team_id, users(name)')
+          .eq('group_id', groupId)
+          .eq('role', 'member'),
+        supabase
+          .from('exercises')
+          .select('*')
+          .eq('group_id', groupId)
+          .order('display_order', { ascending: true, nullsFirst: false })
+          .order('created_at', { ascending: false }),
+      ]);
+
+      if (membersResult.error) throw membersResult.error;
+      if (exercisesResult.error) throw exercisesResult.error;
+
+      const exercises = exercisesResult.data || [];
+      let progress = [];
+      if (exercises.length > 0) {
+        // Notes are only included for days members shared with the owner
+        const { data: progressRows, error: progressError } = await supabase
+          .rpc('get_member_progress', {
+            exercise_ids_param: exercises.map((exercise) => exercise.id),
+          });
+
+        if (progressError) throw progressError;
+        progress = progressRows || [];
+      }
+
+      const members = (membersResult.data || [])
+        .filter((member) => teams.matchesFilter(member.team_id, teamId))
+        .map((member) => ({ user_id: member.user_id, name: member.users?.name || 'Unknown' }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      return { data: { group, members, exercises, progress }, error: null };
+    } catch (error) {
+      console.error('Get group progress error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Write a text file and open the share sheet
+   * @param {string} content - File contents
+   * @param {string} name - File name without extension
+   * @param {'md'|'csv'} format
+   * @returns {object} { error }
+   */
+  shareTextFile: async (content, name, format) => {
+    try {
+      const types = {
+        md: { mimeType: 'text/markdown', uti: 'net.daringfireball.markdown' },
+        csv: { mimeType: 'text/csv', uti: 'public.comma-separated-values-text' },
+      };
+      const type = types[format];
+      if (!type) throw new Error(`Unsupported export format: ${format}`);
+
+      const uri = `${FileSystem.cacheDirectory}${toFileName(name)}.${format}`;
+      await FileSystem.writeAsStringAsync(uri, content, {
+        encoding: FileSystem.EncodingType.UTF8,
+      });
+      await shareUri(uri, type.mimeType, type.uti);
+      return { error: null };
+    } catch (error) {
+      console.error('Share file error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Render HTML to a PDF and open the share sheet
+   * @param {string} html - Printable HTML document
+   * @param {string} name - File name without extension
+   * @returns {object} { error }
+   */
+  sharePDF: async (html, name) => {
+    try {
+      const { uri: printedUri } = await Print.printToFileAsync({ html });
+
+      // Give the file a readable name instead of the generated one
+      const uri = `${FileSystem.cacheDirectory}${toFileName(name)}.pdf`;
+      await FileSystem.deleteAsync(uri, { idempotent: true });
+      await FileSystem.moveAsync({ from: printedUri, to: uri });
+
+      await shareUri(uri, 'application/pdf', 'com.adobe.pdf');
+      return { error: null };
+    } catch (error) {
+      console.error('Share PDF error:', error.message);
+      return { error };
+    }
+  },
+};
@@ -7,52 +7,29 @@ import { supabase } from './supabase';
 
 export const groupMemberService = {
   /**
-   * Join a group using group code
+   * Join a group using its code
+   * The code's expiry, use limit and whether joining is closed are checked by the
+   * database. Groups that require approval create a pending join request instead.
    * @param {string} groupCode - 5-digit group code
-   * @returns {object} { data, error }
+   * @returns {object} { data, error, groupId, groupName, status } - status is 'joined' or 'pending'
    */
   joinGroup: async (groupCode) => {
     try {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('User not authenticated');
 
-      // First, find the group by code using security definer function
-      // This bypasses RLS to allow looking up groups by code without being a member
-      const { data: groupId, error: functionError } = await supabase
-        .rpc('get_group_id_by_code', { group_code_param: groupCode });
-
-      if (functionError || !groupId) {
-        console.error('Group lookup error:', functionError);
-        throw new Error('Invalid group code');
-      }
-
-      const group = { id: groupId };
-
-      // Check if already a member
-      const { data: existingMember } = await supabase
-        .from('group_members')
-        .select('id')
-        .eq('group_id', group.id)
-        .eq('user_id', user.id)
-        .single();
-
-      if (existingMember) {
-        throw new Error('You are already a member of this group');
-      }
-
-      // Join the group
       const { data, error } = await supabase
-        .from('group_members')
-        .insert([{
-          group_id: group.id,
-          user_id: user.id,
-          role: 'member',
-        }])
-        .select()
+        .rpc('join_group_by_code', { group_code_param: groupCode })
         .single();
 
       if (error) throw error;
-      return { data, error: null, groupId: group.id };
+      return {
+        data,
+        error: null,
+        groupId: data.group_id,
+        groupName: data.group_name,
+        status: data.status,
+      };
     } catch (error) {
       console.error('Join group error:', error.message);
       return { data: null, error };
@@ -185,7 +162,7 @@ export const groupMemberService = {
   },
 
   /**
-   * Remove a member from a group (owner only)
+   * Remove a member from a group (owner, or a facilitator who manages members)
    * @param {string} groupId - Group ID
    * @param {string} userId - User ID to remove
    * @returns {object} { error }
@@ -206,10 +183,66 @@ export const groupMemberService = {
     }
   },
 
+  /**
+   * Get pending join requests for a group (owner, or a facilitator who manages members)
+   * @param {string} groupId - Group ID
+   * @returns {object} { data, error } - [{ id, user_id, name, requested_at }], oldest first
+   */
+  getJoinRequests: async (groupId) => {
+    try {
+      const { data, error } = await supabase
+        .rpc('get_join_requests', { group_id_param: groupId });
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('Get join requests error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Approve a join request, adding the person as a member (owner, or a facilitator who manages members)
+   * @param {string} requestId - Join request ID
+   * @returns {object} { error }
+   */
+  approveJoinRequest: async (requestId) => {
+    try {
+      const { error } = await supabase
+        .rpc('approve_join_request', { request_id_param: requestId });
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Approve join request error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Decline a join request (owner, or a facilitator who manages members)
+   * @param {string} requestId - Join request ID
+   * @returns {object} { error }
+   */
+  declineJoinRequest: async (requestId) => {
+    try {
+      const { error } = await supabase
+        .from('group_join_requests')
+        .delete()
+        .eq('id', requestId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Decline join request error:', error.message);
+      return { error };
+    }
+  },
+
   /**
    * Get user's role in a group
    * @param {string} groupId - Group ID
-   * @returns {object} { data, error }
+   * @returns {object} { data, error } - data: { role, permissions, team_id }
    */
   getUserRole: async (groupId) => {
     try {
@@ -218,7 +251,7 @@ export const groupMemberService = {
 
       const { data, error } = await supabase
         .from('group_members')
-        .select('role')
+        .select('role, permissions, team_id')
         .eq('group_id', groupId)
         .eq('user_id', user.id)
         .single();
@@ -230,4 +263,72 @@ export const groupMemberService = {
       return { data: null, error };
     }
   },
+
+  /**
+   * Get the owner and facilitators of a group
+   * @param {string} groupId - Group ID
+   * @returns {object} { data, error } - data: [{ user_id, role, permissions }]
+   */
+  getStaff: async (groupId) => {
+    try {
+      const { data, error } = await supabase
+        .from('group_members')
+        .select('user_id, role, permissions')
+        .eq('group_id', groupId)
+        .in('role', ['owner', 'facilitator']);
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('Get group staff error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Check whether the current user has a permission in a group
+   * Owners have every permission; facilitators only the ones they were given.
+   * @param {string} groupId - Group ID
+   * @param {string} permission - One of GROUP_PERMISSIONS
+   * @returns {object} { data, error } - data is true or false
+   */
+  hasPermission: async (groupId, permission) => {
+    try {
+      const { data, error } = await supabase
+        .rpc('has_group_permission', {
+          group_id_param: groupId,
+          permission_param: permission,
+        });
+
+      if (error) throw error;
+      return { data: !!data, error: null };
+    } catch (error) {
+      console.error('Check group permission error:', error.message);
+      return { data: false, error };
+    }
+  },
+
+  /**
+   * Make a member a facilitator or a regular member (owner only)
+   * @param {string} memberId - group_members row ID
+   * @param {string} role - 'facilitator' or 'member'
+   * @param {Array<string>} permissions - Facilitator permissions (ignored for members)
+   * @returns {object} { data, error } - data is the updated membership
+   */
+  setMemberRole: async (memberId, role, permissions = []) => {
+    try {
+      const { data, error } = await supabase
+        .rpc('set_member_role', {
+          member_id_param: memberId,
+          role_param: role,
+          permissions_param: permissions,
+        });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Set member role error:', error.message);
+      return { data: null, error };
+    }
+  },
 };
@@ -1,4 +1,5 @@
 import { supabase } from './supabase';
+import { cohortDates } from '../utils';
 
 /**
  * Group Service
@@ -60,6 +61,89 @@ export const groupService = {
     }
   },
 
+  /**
+   * Duplicate a group for a new cohort: a new group with its own code and copies of
+   * every exercise, with all dates moved so the schedule begins on startDate.
+   * Members, progress and join settings are not copied.
+   * @param {string} groupId - Group to copy
+   * @param {object} options - { name, start_date } for the new group
+   * @returns {object} { data, error } - data is the new group
+   */
+  duplicateGroup: async (groupId, { name, start_date }) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const [{ data: source, error: sourceError }, { data: exercises, error: exercisesError }] =
+        await Promise.all([
+          supabase.from('groups').select('*').eq('id', groupId).single(),
+          supabase
+            .from('exercises')
+            .select('*')
+            .eq('group_id', groupId)
+            .order('display_order', { ascending: true, nullsFirst: false })
+            .order('created_at', { ascending: false }),
+        ]);
+
+      if (sourceError) throw sourceError;
+      if (exercisesError) throw exercisesError;
+
+      const offset = cohortDates.getOffsetDays(cohortDates.getScheduleStart(source, exercises), start_date);
+
+      const { data: group, error: createError } = await groupService.createGroup({
+        name,
+        description: source.description,
+        start_date,
+        end_date: cohortDates.shiftDate(source.end_date, offset),
+      });
+
+      if (createError) throw createError;
+
+      try {
+        const { error: settingsError } = await supabase
+          .from('groups')
+          .update({
+            entry_policy: source.entry_policy,
+            requires_approval: source.requires_approval,
+          })
+          .eq('id', group.id);
+
+        if (settingsError) throw settingsError;
+
+        const copies = cohortDates.shiftExercises(exercises, offset).map((exercise, index) => ({
+          group_id: group.id,
+          title: exercise.title,
+          description: exercise.description,
+          instructions: exercise.instructions,
+          start_date: exercise.start_date,
+          end_date: exercise.end_date,
+          frequency_per_day: exercise.frequency_per_day,
+          number_of_days: exercise.number_of_days,
+          reflection_prompts: exercise.reflection_prompts || [],
+          entry_policy: exercise.entry_policy,
+          discussion_enabled: exercise.discussion_enabled || false,
+          // Exercises were read in display order, so renumbering keeps that order
+          display_order: index + 1,
+          created_by: user.id,
+        }));
+
+        if (copies.length > 0) {
+          const { error: insertError } = await supabase.from('exercises').insert(copies);
+          if (insertError) throw insertError;
+        }
+      } catch (copyError) {
+        // Don't leave a half-copied group behind
+        await supabase.from('groups').delete().eq('id', group.id);
+        throw copyError;
+      }
+
+      return { data: group, error: null };
+    } catch (error) {
+      console.error('Duplicate group error:', error.message);
+      return { data: null, error };
+    }
+  },
+
   /**
    * Get group by ID
    * @param {string} groupId - Group ID
@@ -142,18 +226,24 @@ export const groupService = {
 
   /**
    * Get groups created by current user
+   * @param {boolean} [includeArchived=false] - Also return archived groups
    * @returns {object} { data, error }
    */
-  getCreatedGroups: async () => {
+  getCreatedGroups: async (includeArchived = false) => {
     try {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('User not authenticated');
 
-      const { data, error } = await supabase
+      let query = supabase
         .from('groups')
         .select('*')
-        .eq('owner_id', user.id)
-        .order('created_at', { ascending: false });
+        .eq('owner_id', user.id);
+
+      if (!includeArchived) {
+        query = query.is('archived_at', null);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
 
       if (error) throw error;
       return { data, error: null };
@@ -164,10 +254,38 @@ export const groupService = {
   },
 
   /**
-   * Get groups joined by current user (not owned)
+   * Get active groups the current user helps run as a facilitator
+   * @returns {object} { data, error } - each group has my_permissions from the membership
+   */
+  getFacilitatedGroups: async () => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { data, error } = await supabase
+        .from('group_members')
+        .select('permissions, groups(*)')
+        .eq('user_id', user.id)
+        .eq('role', 'facilitator');
+
+      if (error) throw error;
+      const groups = (data || [])
+        .filter((membership) => membership.groups && !membership.groups.archived_at)
+        .map((membership) => ({ ...membership.groups, my_permissions: membership.permissions }))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+      return { data: groups, error: null };
+    } catch (error) {
+      console.error('Get facilitated groups error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Get groups joined by current user as a member (not owned or facilitated)
+   * @param {boolean} [includeArchived=false] - Also return archived groups, e.g. for journal history
    * @returns {object} { data, error }
    */
-  getJoinedGroups: async () => {
+  getJoinedGroups: async (includeArchived = false) => {
     try {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('User not authenticated');
@@ -176,7 +294,8 @@ export const groupService = {
       const { data: memberships, error: memberError } = await supabase
         .from('group_members')
         .select('group_id')
-        .eq('user_id', user.id);
+        .eq('user_id', user.id)
+        .eq('role', 'member');
 
       if (memberError) throw memberError;
 
@@ -187,12 +306,17 @@ export const groupService = {
       const groupIds = memberships.map(m => m.group_id);
 
       // Then get the groups (excluding ones user owns)
-      const { data, error } = await supabase
+      let query = supabase
         .from('groups')
         .select('*')
         .in('id', groupIds)
-        .neq('owner_id', user.id)
-        .order('created_at', { ascending: false });
+        .neq('owner_id', user.id);
+
+      if (!includeArchived) {
+        query = query.is('archived_at', null);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
 
       if (error) throw error;
       return { data, error: null };
@@ -202,6 +326,45 @@ export const groupService = {
     }
   },
 
+  /**
+   * Get archived groups the current user owns, facilitates or joined
+   * @returns {object} { data, error } - each group has my_role from the membership, most recently archived first
+   */
+  getArchivedGroups: async () => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { data: memberships, error: memberError } = await supabase
+        .from('group_members')
+        .select('group_id, role')
+        .eq('user_id', user.id);
+
+      if (memberError) throw memberError;
+
+      if (!memberships || memberships.length === 0) {
+        return { data: [], error: null };
+      }
+
+      const { data, error } = await supabase
+        .from('groups')
+        .select('*')
+        .in('id', memberships.map(m => m.group_id))
+        .not('archived_at', 'is', null)
+        .order('archived_at', { ascending: false });
+
+      if (error) throw error;
+      const roles = Object.fromEntries(memberships.map(m => [m.group_id, m.role]));
+      return {
+        data: data.map((group) => ({ ...group, my_role: roles[group.id] })),
+        error: null,
+      };
+    } catch (error) {
+      console.error('Get archived groups error:', error.message);
+      return { data: null, error };
+    }
+  },
+
   /**
    * Update group
    * @param {string} groupId - Group ID
@@ -225,6 +388,63 @@ export const groupService = {
     }
   },
 
+  /**
+   * Archive a group: it leaves the active lists and becomes read-only, but nothing is deleted (owner only)
+   * @param {string} groupId - Group ID
+   * @returns {object} { data, error }
+   */
+  archiveGroup: (groupId) =>
+    groupService.updateGroup(groupId, { archived_at: new Date().toISOString() }),
+
+  /**
+   * Restore an archived group (owner only)
+   * @param {string} groupId - Group ID
+   * @returns {object} { data, error }
+   */
+  restoreGroup: (groupId) => groupService.updateGroup(groupId, { archived_at: null }),
+
+  /**
+   * Hand a group to one of its members (owner only)
+   * The new owner gets the owner role; the current owner takes the new owner's previous role.
+   * @param {string} groupId - Group ID
+   * @param {string} newOwnerId - User ID of an existing member
+   * @returns {object} { error }
+   */
+  transferOwnership: async (groupId, newOwnerId) => {
+    try {
+      const { error } = await supabase
+        .rpc('transfer_group_ownership', {
+          group_id_param: groupId,
+          new_owner_id_param: newOwnerId,
+        });
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Transfer ownership error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Replace a group's code with a new one, so the old code stops working (owner only)
+   * Resets the code's use count.
+   * @param {string} groupId - Group ID
+   * @returns {object} { data, error } - data is the new code
+   */
+  regenerateGroupCode: async (groupId) => {
+    try {
+      const { data, error } = await supabase
+        .rpc('regenerate_group_code', { group_id_param: groupId });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Regenerate group code error:', error.message);
+      return { data: null, error };
+    }
+  },
+
   /**
    * Delete group
    * @param {string} groupId - Group ID
@@ -9,8 +9,18 @@ export { userService } from './userService';
 export { groupService } from './groupService';
 export { groupMemberService } from './groupMemberService';
 export { exerciseService } from './exerciseService';
+export { exerciseTemplateService } from './exerciseTemplateService';
 export { exerciseProgressService } from './exerciseProgressService';
+export { completionEventService } from './completionEventService';
+export { reflectionResponseService } from './reflectionResponseService';
+export { progressCommentService } from './progressCommentService';
+export { announcementService } from './announcementService';
+export { discussionService } from './discussionService';
+export { teamService } from './teamService';
+export { progressSyncService } from './progressSyncService';
+export { notesSearchService } from './notesSearchService';
 export { userExerciseCustomizationService } from './userExerciseCustomizationService';
 export { issueReportService } from './issueReportService';
+export { exportService } from './exportService';
 export { notificationService } from './notificationService';
 export { exampleService } from './exampleService';
@@ -0,0 +1,154 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './supabase';
+import { groupService } from './groupService';
+import { exerciseService } from './exerciseService';
+import { progressSyncService } from './progressSyncService';
+import { notesSearch } from '../utils';
+
+/**
+ * Notes Search Service
+ * Searches the current user's notes across every joined group.
+ *
+ * Uses the search_my_notes database function (Postgres full-text search).
+ * When the server cannot be reached, searches the progress cached on this
+ * device instead, using the exercise list saved by the last online load.
+ * That list is stored per user, like the progress cache.
+ */
+
+const EXERCISES_CACHE_KEY = 'notesSearchExercises';
+
+/**
+ * Storage key of the signed-in user's exercise list
+ * @returns {string|null} null when nobody is signed in
+ */
+const getCacheKey = async () => {
+  try {
+    const { data } = await supabase.auth.getSession();
+    const userId = data?.session?.user?.id;
+    return userId ? `${EXERCISES_CACHE_KEY}:${userId}` : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * PostgREST errors carry a code and are real rejections; anything else is
+ * treated as the device being offline.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isOfflineError = (error) => !!error && !error.code;
+
+export const notesSearchService = {
+  /**
+   * Get the exercises of every joined group (archived ones included), keyed by exercise ID
+   * Each exercise gets `groups` ({ owner_id, entry_policy, archived_at }) like exerciseService.getExerciseById.
+   * @returns {object} { data, error, fromCache } - data maps exercise ID to { exercise, group }
+   */
+  getExercises: async () => {
+    try {
+      const { data: groups, error: groupsError } = await groupService.getJoinedGroups(true);
+      if (groupsError) throw groupsError;
+
+      const results = await Promise.all(
+        (groups || []).map((group) => exerciseService.getExercisesByGroup(group.id))
+      );
+
+      const lookup = {};
+      results.forEach(({ data, error }, index) => {
+        if (error) throw error;
+        const group = groups[index];
+        (data || []).forEach((exercise) => {
+          lookup[exercise.id] = {
+            exercise: {
+              ...exercise,
+              groups: {
+                owner_id: group.owner_id,
+                entry_policy: group.entry_policy,
+                archived_at: group.archived_at,
+              },
+            },
+            group: { id: group.id, name: group.name },
+          };
+        });
+      });
+
+      const cacheKey = await getCacheKey();
+      if (cacheKey) await AsyncStorage.setItem(cacheKey, JSON.stringify(lookup));
+      return { data: lookup, error: null, fromCache: false };
+    } catch (error) {
+      const cacheKey = await getCacheKey();
+      if (isOfflineError(error) && cacheKey) {
+        const stored = await AsyncStorage.getItem(cacheKey).catch(() => null);
+        if (stored) {
+          return { data: JSON.parse(stored), error: null, fromCache: true };
+        }
+      }
+      console.error('Get searchable exercises error:', error.message);
+      return { data: null, error, fromCache: false };
+    }
+  },
+
+  /**
+   * Search the current user's notes
+   * @param {string} query - Words to look for; "quoted phrases", "or" and "-word" work online
+   * @param {object} exercises - Lookup from getExercises, used for offline results
+   * @returns {object} { data, error, fromCache } - data is a list of
+   *   { progressId, exerciseId, exerciseTitle, groupId, groupName, practiceDate, snippet }
+   */
+  search: async (query, exercises = {}) => {
+    const text = (query || '').trim();
+    if (!text) return { data: [], error: null, fromCache: false };
+
+    try {
+      const { data, error } = await supabase
+        .rpc('search_my_notes', { query_text: text });
+
+      if (error) throw error;
+
+      const hits = (data || []).map((row) => ({
+        progressId: row.progress_id,
+        exerciseId: row.exercise_id,
+        exerciseTitle: row.exercise_title,
+        groupId: row.group_id,
+        groupName: row.group_name,
+        practiceDate: row.practice_date,
+        snippet: row.snippet,
+      }));
+      return { data: hits, error: null, fromCache: false };
+    } catch (error) {
+      if (!isOfflineError(error)) {
+        console.error('Search notes error:', error.message);
+        return { data: null, error, fromCache: false };
+      }
+
+      const rows = await progressSyncService.getCachedProgress(Object.keys(exercises));
+      const hits = notesSearch.searchRows(rows, text).map(({ row, snippet }) => ({
+        progressId: row.id || null,
+        exerciseId: row.exercise_id,
+        exerciseTitle: exercises[row.exercise_id]?.exercise.title || 'Exercise',
+        groupId: exercises[row.exercise_id]?.group.id || null,
+        groupName: exercises[row.exercise_id]?.group.name || '',
+        practiceDate: row.practice_date,
+        snippet,
+      }));
+      return { data: hits, error: null, fromCache: true };
+    }
+  },
+
+  /**
+   * Remove every saved exercise list from the device. Call on sign-out.
+   * @returns {object} { error }
+   */
+  clearCache: async () => {
+    try {
+      const keys = await AsyncStorage.getAllKeys();
+      const cached = keys.filter((key) => key.startsWith(EXERCISES_CACHE_KEY));
+      if (cached.length > 0) await AsyncStorage.multiRemove(cached);
+      return { error: null };
+    } catch (error) {
+      console.error('Clear notes search cache error:', error.message);
+      return { error };
+    }
+  },
+};
@@ -177,11 +177,12 @@ export const notificationService = {
       const groupIds = memberships.map(m => m.group_id);
       const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
 
-      // Get all exercises in user's groups that are active today
+      // Get all exercises in user's groups that are active today (archived groups excluded)
       const { data: exercises, error: exercisesError } = await supabase
         .from('exercises')
-        .select('*')
+        .select('*, groups!inner(archived_at)')
         .in('group_id', groupIds)
+        .is('groups.archived_at', null)
         .lte('start_date', today)
         .gte('end_date', today);
 
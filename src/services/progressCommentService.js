@@ -0,0 +1,146 @@
+import { supabase } from './supabase';
+
+/**
+ * Progress Comment Service
+ * Handles comments between a member and the group owner on a single day's progress
+ *
+ * Tables: progress_comments, progress_comment_reads
+ * Only the member whose day it is and the group owner (for shared days) can take part.
+ */
+
+export const progressCommentService = {
+  /**
+   * Get a day's comments, oldest first
+   * @param {string} progressId - exercise_progress ID
+   * @returns {object} { data, error } - rows include authorName and isOwn
+   */
+  getComments: async (progressId) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { data, error } = await supabase
+        .from('progress_comments')
+        .select('*, users(name)')
+        .eq('progress_id', progressId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      const comments = (data || []).map((comment) => ({
+        ...comment,
+        authorName: comment.users?.name || 'Unknown',
+        isOwn: comment.author_id === user.id,
+      }));
+      return { data: comments, error: null };
+    } catch (error) {
+      console.error('Get comments error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Add a comment or a reply
+   * @param {string} progressId - exercise_progress ID
+   * @param {string} body - Comment text
+   * @param {string|null} [parentId] - Comment being replied to
+   * @returns {object} { data, error }
+   */
+  addComment: async (progressId, body, parentId = null) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const text = (body || '').trim();
+      if (!text) throw new Error('Comment cannot be empty');
+
+      const { data, error } = await supabase
+        .from('progress_comments')
+        .insert([{
+          progress_id: progressId,
+          author_id: user.id,
+          parent_id: parentId,
+          body: text,
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Add comment error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Delete one of the current user's comments (replies to it are removed too)
+   * @param {string} commentId - Comment ID
+   * @returns {object} { error }
+   */
+  deleteComment: async (commentId) => {
+    try {
+      const { error } = await supabase
+        .from('progress_comments')
+        .delete()
+        .eq('id', commentId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Delete comment error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Mark a day's comments as read by the current user
+   * @param {string} progressId - exercise_progress ID
+   * @returns {object} { error }
+   */
+  markRead: async (progressId) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { error } = await supabase
+        .from('progress_comment_reads')
+        .upsert({
+          progress_id: progressId,
+          user_id: user.id,
+          last_read_at: new Date().toISOString(),
+        }, {
+          onConflict: 'progress_id,user_id',
+        });
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Mark comments read error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Count unread comments per day of an exercise
+   * @param {string} exerciseId - Exercise ID
+   * @returns {object} { data, error } - data maps progress_id to unread count
+   */
+  getUnreadCounts: async (exerciseId) => {
+    try {
+      const { data, error } = await supabase
+        .rpc('get_unread_comment_counts', { exercise_id_param: exerciseId });
+
+      if (error) throw error;
+
+      const counts = {};
+      (data || []).forEach((row) => {
+        counts[row.progress_id] = row.unread_count;
+      });
+      return { data: counts, error: null };
+    } catch (error) {
+      console.error('Get unread comment counts error:', error.message);
+      return { data: null, error };
+    }
+  },
+};
@@ -0,0 +1,784 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { supabase } from './supabase';
+import { exerciseService } from './exerciseService';
+import { exerciseProgressService } from './exerciseProgressService';
+import { completionEventService } from './completionEventService';
+import { reflectionResponseService } from './reflectionResponseService';
+
+/**
+ * Progress Sync Service
+ * Records exercise progress locally first and replays it to Supabase
+ * once the device is back online.
+ *
+ * Queue entries are stored in AsyncStorage so check-ins survive app restarts.
+ * Entries are operations rather than snapshots: 'increment' (+1/-1 completion),
+ * 'complete', 'notes', 'details' (mood, energy and tags), 'answers' (reflection prompt
+ * answers), 'share' and 'clear'. Increments replay through the atomic database
+ * function so they never overwrite each other. Notes and clears carry the day's
+ * state as the user last saw it (`base`); if the server row no longer matches
+ * on replay, the change is still applied but reported as a conflict.
+ *
+ * The queue and the progress and exercise caches are stored per user, so someone
+ * signing in on the same device never replays or sees another account's changes.
+ */
+
+const QUEUE_KEY_PREFIX = 'progressSyncQueue';
+const CACHE_KEY_PREFIX = 'progressCache:';
+const EXERCISE_CACHE_KEY_PREFIX = 'exerciseCache:';
+
+const listeners = new Set();
+let currentUserId = null;
+let currentFlush = null;
+let nextFlush = null;
+let netInfoUnsubscribe = null;
+let queueSequence = 0;
+
+// Every read-modify-write of the queue runs on this chain, one at a time
+let queueLock = Promise.resolve();
+
+/**
+ * Run a task that reads and writes the queue once every earlier task has finished
+ * @param {function} task - Async function
+ * @returns {Promise} The task's result
+ */
+const withQueueLock = (task) => {
+  const run = queueLock.then(task, task);
+  queueLock = run.catch(() => {});
+  return run;
+};
+
+// Messages of failed fetches on React Native, Node and browsers
+const NETWORK_ERROR_PATTERN = /network request failed|fetch failed|failed to fetch|networkerror|load failed/i;
+
+/**
+ * Check whether a failed request is worth retrying later.
+ * Only failures to reach the server count; rejections by the database and
+ * errors raised by the services themselves would fail again on every replay.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isRetryableError = (error) =>
+  !!error &&
+  (error.name === 'AuthRetryableFetchError' || NETWORK_ERROR_PATTERN.test(error.message || ''));
+
+/**
+ * Get the signed-in user's ID from the stored session
+ * The last known ID is kept while a session lookup fails offline, and dropped
+ * once the session is gone.
+ * @returns {string|null}
+ */
+const getUserId = async () => {
+  try {
+    const { data, error } = await supabase.auth.getSession();
+    if (!error) currentUserId = data?.session?.user?.id || null;
+  } catch (error) {
+    console.error('Read session error:', error.message);
+  }
+  return currentUserId;
+};
+
+const readQueue = async (userId) => {
+  if (!userId) return [];
+  try {
+    const stored = await AsyncStorage.getItem(`${QUEUE_KEY_PREFIX}:${userId}`);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Read sync queue error:', error.message);
+    return [];
+  }
+};
+
+const writeQueue = async (userId, queue) => {
+  if (!userId) throw new Error('User not authenticated');
+  await AsyncStorage.setItem(`${QUEUE_KEY_PREFIX}:${userId}`, JSON.stringify(queue));
+};
+
+const readCache = async (userId, exerciseId) => {
+  if (!userId) return [];
+  try {
+    const stored = await AsyncStorage.getItem(`${CACHE_KEY_PREFIX}${userId}:${exerciseId}`);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Read progress cache error:', error.message);
+    return [];
+  }
+};
+
+const writeCache = async (userId, exerciseId, rows) => {
+  if (!userId) return;
+  try {
+    await AsyncStorage.setItem(`${CACHE_KEY_PREFIX}${userId}:${exerciseId}`, JSON.stringify(rows));
+  } catch (error) {
+    console.error('Write progress cache error:', error.message);
+  }
+};
+
+const readExerciseCache = async (userId, exerciseId) => {
+  if (!userId) return null;
+  try {
+    const stored = await AsyncStorage.getItem(`${EXERCISE_CACHE_KEY_PREFIX}${userId}:${exerciseId}`);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Read exercise cache error:', error.message);
+    return null;
+  }
+};
+
+const writeExerciseCache = async (userId, exerciseId, exercise) => {
+  if (!userId) return;
+  try {
+    await AsyncStorage.setItem(
+      `${EXERCISE_CACHE_KEY_PREFIX}${userId}:${exerciseId}`,
+      JSON.stringify(exercise)
+    );
+  } catch (error) {
+    console.error('Write exercise cache error:', error.message);
+  }
+};
+
+const notify = (event) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Sync listener error:', error.message);
+    }
+  });
+};
+
+/**
+ * Apply one queued mutation to a day's row
+ * Mirrors adjust_exercise_completions so the optimistic view matches the server.
+ * @param {object|undefined} row - Current row for the day
+ * @param {object} mutation
+ * @returns {object}
+ */
+const applyMutation = (row, mutation) => {
+  const next = {
+    number_of_completions: 0,
+    is_completed: false,
+    notes: null,
+    ...(row || {}),
+    exercise_id: mutation.exerciseId,
+    practice_date: mutation.practiceDate,
+    pending: true,
+  };
+
+  if (mutation.type === 'increment') {
+    const { delta, minFrequency } = mutation.payload;
+    next.number_of_completions = Math.max(0, (next.number_of_completions || 0) + delta);
+    const reachedMinimum = minFrequency > 0 && next.number_of_completions >= minFrequency;
+    next.is_completed = delta > 0
+      ? next.is_completed || reachedMinimum
+      : next.is_completed && (!minFrequency || reachedMinimum);
+  } else if (mutation.type === 'complete') {
+    next.is_completed = true;
+    next.completed_at = mutation.payload.completed_at;
+    if (mutation.payload.notes !== undefined) next.notes = mutation.payload.notes;
+  } else if (mutation.type === 'notes') {
+    next.notes = mutation.payload.notes;
+  } else if (mutation.type === 'details') {
+    Object.assign(next, mutation.payload);
+  } else if (mutation.type === 'share') {
+    next.shared_with_owner = mutation.payload.shared;
+  } else if (mutation.type === 'upsert') {
+    Object.assign(next, mutation.payload);
+  }
+
+  return next;
+};
+
+/**
+ * Apply queued mutations on top of progress rows so the UI reflects unsynced changes
+ * @param {Array} rows - Progress rows for one exercise
+ * @param {Array} queue - Pending mutations
+ * @param {string} exerciseId
+ * @returns {Array}
+ */
+const applyPending = (rows, queue, exerciseId) => {
+  const byDate = new Map(rows.map((row) => [row.practice_date, row]));
+
+  queue
+    .filter((mutation) => mutation.exerciseId === exerciseId)
+    .forEach((mutation) => {
+      if (mutation.type === 'clear') {
+        byDate.delete(mutation.practiceDate);
+        return;
+      }
+      byDate.set(mutation.practiceDate, applyMutation(byDate.get(mutation.practiceDate), mutation));
+    });
+
+  return Array.from(byDate.values()).sort((a, b) =>
+    a.practice_date.localeCompare(b.practice_date)
+  );
+};
+
+/**
+ * Compare the server row with the state the user edited from
+ * Notes edits only conflict on notes; clears conflict on any change.
+ * @param {object|null} serverRow
+ * @param {object} mutation
+ * @returns {boolean} True if someone else changed the day in the meantime
+ */
+const hasConflict = (serverRow, mutation) => {
+  const { base } = mutation;
+  if (!base) return false;
+
+  const notesChanged = (serverRow?.notes || null) !== (base.notes || null);
+  if (mutation.type === 'notes') return notesChanged;
+
+  return (
+    notesChanged ||
+    (serverRow?.number_of_completions || 0) !== (base.number_of_completions || 0) ||
+    (serverRow?.is_completed || false) !== (base.is_completed || false)
+  );
+};
+
+/**
+ * Send a single mutation to Supabase
+ * @param {object} mutation
+ * @returns {object} { error }
+ */
+const sendMutation = async (mutation) => {
+  const { exerciseId, practiceDate, payload } = mutation;
+
+  switch (mutation.type) {
+    case 'increment':
+      // Logged with the time the user practised, not when it synced
+      if (payload.delta > 0) {
+        return completionEventService.logCompletion(exerciseId, practiceDate, payload.note, payload.completedAt);
+      }
+      return payload.eventId
+        ? completionEventService.removeCompletion(payload.eventId)
+        : completionEventService.removeLastCompletion(exerciseId, practiceDate);
+    case 'complete':
+      return exerciseProgressService.completeDay(exerciseId, practiceDate, payload);
+    case 'notes':
+      return exerciseProgressService.saveNotes(exerciseId, practiceDate, payload.notes);
+    case 'details':
+      return exerciseProgressService.saveDayDetails(exerciseId, practiceDate, payload);
+    case 'share':
+      return exerciseProgressService.setShared(exerciseId, practiceDate, payload.shared);
+    case 'answers':
+      return reflectionResponseService.saveResponses(exerciseId, practiceDate, payload.answers);
+    case 'clear':
+      return exerciseProgressService.clearDay(exerciseId, practiceDate);
+    case 'upsert':
+      // Snapshot entries queued by earlier app versions
+      return exerciseProgressService.upsertProgress(exerciseId, practiceDate, payload);
+    default:
+      return { error: { code: 'unknown_operation', message: `Unknown sync operation: ${mutation.type}` } };
+  }
+};
+
+/**
+ * Replay a single mutation against Supabase
+ * @param {object} mutation
+ * @returns {object} { error, conflict }
+ */
+const replayMutation = async (mutation) => {
+  let conflict = null;
+
+  if (mutation.type === 'notes' || mutation.type === 'clear') {
+    const { data: serverRow, error: fetchError } = await exerciseProgressService.getProgressByDate(
+      mutation.exerciseId,
+      mutation.practiceDate
+    );
+    if (fetchError) return { error: fetchError, conflict: null };
+
+    if (hasConflict(serverRow, mutation)) {
+      conflict = {
+        exerciseId: mutation.exerciseId,
+        practiceDate: mutation.practiceDate,
+        server: serverRow,
+        local: mutation.type === 'clear' ? null : mutation.payload,
+        queuedAt: mutation.queuedAt,
+      };
+    }
+  }
+
+  const { error } = await sendMutation(mutation);
+  return { error, conflict };
+};
+
+/**
+ * Add a mutation to the queue.
+ * A clear drops earlier changes to the same day and a notes, details or share
+ * edit replaces an earlier edit of the same kind; answers are merged into earlier
+ * unsent answers for the day. Increments and completions are always kept in order.
+ * @param {object} mutation
+ * @returns {string} The queue entry's ID
+ */
+const enqueue = (mutation) => withQueueLock(async () => {
+  const userId = await getUserId();
+  const queue = await readQueue(userId);
+  const isSameDay = (item) =>
+    item.exerciseId === mutation.exerciseId && item.practiceDate === mutation.practiceDate;
+
+  let replaced = [];
+  if (mutation.type === 'clear') {
+    replaced = queue.filter(isSameDay);
+  } else if (['notes', 'details', 'share', 'answers'].includes(mutation.type)) {
+    replaced = queue.filter((item) => isSameDay(item) && item.type === mutation.type);
+  }
+  const remaining = queue.filter((item) => !replaced.includes(item));
+
+  // Unsent answers for the day are combined so no other prompt's answer is dropped
+  const payload = mutation.type === 'answers'
+    ? {
+        answers: Object.assign(
+          {},
+          ...replaced.map((item) => item.payload.answers),
+          mutation.payload.answers
+        ),
+      }
+    : mutation.payload;
+
+  // The sequence keeps ids unique when two changes are queued in the same millisecond
+  const id = `${mutation.exerciseId}:${mutation.practiceDate}:${Date.now()}:${(queueSequence += 1)}`;
+  remaining.push({
+    ...mutation,
+    payload,
+    id,
+    // Keep the oldest base so conflicts are detected against what the server had
+    base: replaced.length > 0 && replaced[0].base ? replaced[0].base : mutation.base,
+    queuedAt: new Date().toISOString(),
+  });
+  await writeQueue(userId, remaining);
+  return id;
+});
+
+/**
+ * Replay the queue once; see progressSyncService.flushQueue
+ * @returns {object} { pendingCount, synced, conflicts, failed }
+ */
+const replayQueue = async () => {
+  const conflicts = [];
+  const failed = [];
+  let synced = 0;
+  // Keep writing to the queue this flush read, even if the session changes meanwhile
+  const userId = await getUserId();
+
+  try {
+    const queue = await readQueue(userId);
+    if (queue.length === 0) {
+      return { pendingCount: 0, synced: 0, conflicts, failed };
+    }
+
+    const netState = await NetInfo.fetch();
+    if (!netState.isConnected || netState.isInternetReachable === false) {
+      notify({ pendingCount: queue.length, synced: 0, conflicts, failed });
+      return { pendingCount: queue.length, synced: 0, conflicts, failed };
+    }
+
+    // Replaying without the queue owner's session would fail every entry as
+    // "User not authenticated" and drop it, so wait until they are signed in again
+    const { data: authData, error: authError } = await supabase.auth.getUser();
+    if (authError || authData?.user?.id !== userId) {
+      notify({ pendingCount: queue.length, synced: 0, conflicts, failed });
+      return { pendingCount: queue.length, synced: 0, conflicts, failed };
+    }
+
+    const processedIds = new Set();
+    for (const mutation of queue) {
+      const { error, conflict } = await replayMutation(mutation);
+
+      if (error && isRetryableError(error)) {
+        break;
+      }
+
+      if (error) {
+        // The server rejected the change; it will never succeed, so drop it and report it
+        failed.push({ ...mutation, error: error.message });
+      } else {
+        synced += 1;
+        if (conflict) conflicts.push(conflict);
+      }
+      processedIds.add(mutation.id);
+    }
+
+    // Re-read in case new mutations were queued while replaying
+    const remaining = await withQueueLock(async () => {
+      const latest = await readQueue(userId);
+      const rest = latest.filter((mutation) => !processedIds.has(mutation.id));
+      await writeQueue(userId, rest);
+      return rest;
+    });
+
+    const result = { pendingCount: remaining.length, synced, conflicts, failed };
+    notify(result);
+    return result;
+  } catch (error) {
+    console.error('Flush sync queue error:', error.message);
+    const queue = await readQueue(userId);
+    return { pendingCount: queue.length, synced, conflicts, failed };
+  }
+};
+
+/**
+ * Queue a mutation and try to sync it straight away
+ * @param {object} mutation
+ * @returns {object} { queued }
+ */
+const queueAndFlush = async (mutation) => {
+  const id = await enqueue(mutation);
+  await progressSyncService.flushQueue();
+  // The pass that picked this entry up sent it, dropped it as rejected, or
+  // stopped on a network failure first; only the last leaves it queued
+  const queue = await readQueue(await getUserId());
+  return { queued: queue.some((item) => item.id === id) };
+};
+
+export const progressSyncService = {
+  /**
+   * Start watching connectivity and replay the queue whenever the device reconnects
+   * Call once early in the app lifecycle.
+   */
+  start: () => {
+    if (netInfoUnsubscribe) return;
+    netInfoUnsubscribe = NetInfo.addEventListener((state) => {
+      if (state.isConnected && state.isInternetReachable !== false) {
+        progressSyncService.flushQueue();
+      }
+    });
+  },
+
+  /**
+   * Stop watching connectivity
+   */
+  stop: () => {
+    if (netInfoUnsubscribe) {
+      netInfoUnsubscribe();
+      netInfoUnsubscribe = null;
+    }
+  },
+
+  /**
+   * Subscribe to sync events
+   * @param {function} listener - Called with { pendingCount, synced, conflicts, failed }
+   * @returns {function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * Get progress for an exercise, falling back to the local cache when offline.
+   * Pending local changes are merged in and flagged with `pending: true`.
+   * @param {string} exerciseId - Exercise ID
+   * @returns {object} { data, error, fromCache }
+   */
+  getProgressByExercise: async (exerciseId) => {
+    const userId = await getUserId();
+    const queue = await readQueue(userId);
+    const { data, error } = await exerciseProgressService.getProgressByExercise(exerciseId);
+
+    if (!error) {
+      await writeCache(userId, exerciseId, data || []);
+      return { data: applyPending(data || [], queue, exerciseId), error: null, fromCache: false };
+    }
+
+    // Only a rejection by the server itself skips the cache; the services report
+    // a session lookup that failed offline as "User not authenticated"
+    if (error.code) {
+      return { data: null, error, fromCache: false };
+    }
+
+    const cached = await readCache(userId, exerciseId);
+    return { data: applyPending(cached, queue, exerciseId), error: null, fromCache: true };
+  },
+
+  /**
+   * Get an exercise with its group's owner, entry policy and archive state,
+   * falling back to the copy cached by the last online load when offline
+   * @param {string} exerciseId - Exercise ID
+   * @returns {object} { data, error, fromCache }
+   */
+  getExercise: async (exerciseId) => {
+    const userId = await getUserId();
+    const { data, error } = await exerciseService.getExerciseById(exerciseId);
+
+    if (!error) {
+      await writeExerciseCache(userId, exerciseId, data);
+      return { data, error: null, fromCache: false };
+    }
+
+    const cached = error.code ? null : await readExerciseCache(userId, exerciseId);
+    if (!cached) return { data: null, error, fromCache: false };
+    return { data: cached, error: null, fromCache: true };
+  },
+
+  /**
+   * Log (1) or undo (-1) a completion, the most recent one unless an event is given.
+   * Saved locally first, then synced when possible. The server rejects logs past
+   * the exercise's maximum frequency.
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @param {number} delta - 1 or -1
+   * @param {object} options - { minFrequency, note, eventId }; minFrequency drives the
+   *   optimistic completed state and eventId picks the practice a -1 removes
+   * @returns {object} { queued, error }
+   */
+  adjustCompletions: async (exerciseId, practiceDate, delta, options = {}) => {
+    try {
+      // Rejections (e.g. maximum reached on another device) are reported to subscribers
+      const { queued } = await queueAndFlush({
+        type: 'increment',
+        exerciseId,
+        practiceDate,
+        payload: {
+          delta,
+          minFrequency: options.minFrequency || 0,
+          note: delta > 0 ? options.note || null : null,
+          eventId: delta < 0 ? options.eventId || null : null,
+          completedAt: new Date().toISOString(),
+        },
+        base: null,
+      });
+      return { queued, error: null };
+    } catch (error) {
+      console.error('Adjust completions error:', error.message);
+      return { queued: false, error };
+    }
+  },
+
+  /**
+   * Mark a day completed without touching its completion count.
+   * Saved locally first, then synced when possible.
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @param {string|null} [notes] - Notes to save with the completion
+   * @returns {object} { queued, error }
+   */
+  completeDay: async (exerciseId, practiceDate, notes) => {
+    try {
+      const { queued } = await queueAndFlush({
+        type: 'complete',
+        exerciseId,
+        practiceDate,
+        payload: {
+          notes: notes === undefined ? undefined : notes || null,
+          // Preserve when the user actually completed the day, not when it synced
+          completed_at: new Date().toISOString(),
+        },
+        base: null,
+      });
+      return { queued, error: null };
+    } catch (error) {
+      console.error('Complete day error:', error.message);
+      return { queued: false, error };
+    }
+  },
+
+  /**
+   * Save a day's notes. Saved locally first, then synced when possible.
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @param {string|null} notes - Notes text
+   * @param {object} base - The day's state before this change, for conflict detection
+   * @returns {object} { queued, error }
+   */
+  saveNotes: async (exerciseId, practiceDate, notes, base) => {
+    try {
+      const { queued } = await queueAndFlush({
+        type: 'notes',
+        exerciseId,
+        practiceDate,
+        payload: { notes: notes || null },
+        base,
+      });
+      return { queued, error: null };
+    } catch (error) {
+      console.error('Save notes error:', error.message);
+      return { queued: false, error };
+    }
+  },
+
+  /**
+   * Save a day's mood, energy and tags. Saved locally first, then synced when possible.
+   * The latest edit wins; these are not checked for conflicts.
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @param {object} details - { mood, energy, tags }
+   * @returns {object} { queued, error }
+   */
+  saveDayDetails: async (exerciseId, practiceDate, details) => {
+    try {
+      const { queued } = await queueAndFlush({
+        type: 'details',
+        exerciseId,
+        practiceDate,
+        payload: {
+          mood: details.mood || null,
+          energy: details.energy || null,
+          tags: details.tags || [],
+        },
+        base: null,
+      });
+      return { queued, error: null };
+    } catch (error) {
+      console.error('Save day details error:', error.message);
+      return { queued: false, error };
+    }
+  },
+
+  /**
+   * Save answers to a day's reflection prompts. Saved locally first, then synced
+   * when possible. Answers not yet sent are merged, so answering one prompt
+   * offline never drops another.
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @param {object} answers - Map of prompt_id to answer; null removes an answer
+   * @returns {object} { queued, error }
+   */
+  saveAnswers: async (exerciseId, practiceDate, answers) => {
+    try {
+      const { queued } = await queueAndFlush({
+        type: 'answers',
+        exerciseId,
+        practiceDate,
+        payload: { answers },
+        base: null,
+      });
+      return { queued, error: null };
+    } catch (error) {
+      console.error('Save answers error:', error.message);
+      return { queued: false, error };
+    }
+  },
+
+  /**
+   * Get reflection answers for a day that are still waiting to sync
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @returns {object} Map of prompt_id to answer
+   */
+  getPendingAnswers: async (exerciseId, practiceDate) => {
+    const queue = await readQueue(await getUserId());
+    return queue
+      .filter((mutation) =>
+        mutation.type === 'answers' &&
+        mutation.exerciseId === exerciseId &&
+        mutation.practiceDate === practiceDate
+      )
+      .reduce((merged, mutation) => ({ ...merged, ...mutation.payload.answers }), {});
+  },
+
+  /**
+   * Share a day with the group owner, or stop sharing it.
+   * Saved locally first, then synced when possible.
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @param {boolean} shared
+   * @returns {object} { queued, error }
+   */
+  setShared: async (exerciseId, practiceDate, shared) => {
+    try {
+      const { queued } = await queueAndFlush({
+        type: 'share',
+        exerciseId,
+        practiceDate,
+        payload: { shared },
+        base: null,
+      });
+      return { queued, error: null };
+    } catch (error) {
+      console.error('Set shared error:', error.message);
+      return { queued: false, error };
+    }
+  },
+
+  /**
+   * Clear a day. Saved locally first, then synced when possible.
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @param {object} base - The day's state before this change, for conflict detection
+   * @returns {object} { queued, error }
+   */
+  clearDay: async (exerciseId, practiceDate, base) => {
+    try {
+      const { queued } = await queueAndFlush({ type: 'clear', exerciseId, practiceDate, payload: null, base });
+      return { queued, error: null };
+    } catch (error) {
+      console.error('Clear day error:', error.message);
+      return { queued: false, error };
+    }
+  },
+
+  /**
+   * Replay queued mutations in order. Stops at the first network failure so
+   * later changes are never applied before earlier ones; any other failure is
+   * reported in `failed` and the change is dropped. A call made while a flush
+   * is running waits for one more pass after it, so changes queued meanwhile
+   * are sent without waiting for the next reconnect.
+   * @returns {object} { pendingCount, synced, conflicts, failed }
+   */
+  flushQueue: () => {
+    if (!currentFlush) {
+      currentFlush = replayQueue().finally(() => {
+        currentFlush = null;
+      });
+      return currentFlush;
+    }
+
+    // Everyone who asks during a flush shares the next pass
+    if (!nextFlush) {
+      nextFlush = currentFlush.then(() => {
+        nextFlush = null;
+        return progressSyncService.flushQueue();
+      });
+    }
+    return nextFlush;
+  },
+
+  /**
+   * Get the locally cached progress of several exercises, with pending changes merged in
+   * Only exercises opened on this device have a cache.
+   * @param {Array<string>} exerciseIds - Exercise IDs
+   * @returns {Array} Progress rows
+   */
+  getCachedProgress: async (exerciseIds) => {
+    const userId = await getUserId();
+    const queue = await readQueue(userId);
+    const cached = await Promise.all(exerciseIds.map((exerciseId) => readCache(userId, exerciseId)));
+    return cached.flatMap((rows, index) => applyPending(rows, queue, exerciseIds[index]));
+  },
+
+  /**
+   * Get the number of changes waiting to sync
+   * @param {string} [exerciseId] - Limit the count to one exercise
+   * @returns {number}
+   */
+  getPendingCount: async (exerciseId) => {
+    const queue = await readQueue(await getUserId());
+    return exerciseId
+      ? queue.filter((mutation) => mutation.exerciseId === exerciseId).length
+      : queue.length;
+  },
+
+  /**
+   * Remove cached progress and exercises from the device. Call on sign-out.
+   * Every user's cache goes, along with the shared queue and cache of older app
+   * versions; each user's own queue stays so their unsynced changes replay the
+   * next time they sign in.
+   * @returns {object} { error }
+   */
+  clearLocalData: async () => {
+    try {
+      currentUserId = null;
+      const keys = await AsyncStorage.getAllKeys();
+      const stale = keys.filter((key) =>
+        key === QUEUE_KEY_PREFIX ||
+        key.startsWith(CACHE_KEY_PREFIX) ||
+        key.startsWith(EXERCISE_CACHE_KEY_PREFIX)
+      );
+      if (stale.length > 0) await AsyncStorage.multiRemove(stale);
+      return { error: null };
+    } catch (error) {
+      console.error('Clear sync data error:', error.message);
+      return { error };
+    }
+  },
+};
@@ -0,0 +1,134 @@
+import { supabase } from './supabase';
+
+/**
+ * Reflection Response Service
+ * Handles members' answers to an exercise's reflection prompts
+ *
+ * Table: exercise_progress_responses (one row per progress day and prompt)
+ */
+
+export const reflectionResponseService = {
+  /**
+   * Get the current user's answers for a day
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @returns {object} { data, error } - data maps prompt_id to answer
+   */
+  getResponsesByDate: async (exerciseId, practiceDate) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { data, error } = await supabase
+        .from('exercise_progress_responses')
+        .select('prompt_id, answer, exercise_progress!inner(exercise_id, practice_date, user_id)')
+        .eq('exercise_progress.exercise_id', exerciseId)
+        .eq('exercise_progress.practice_date', practiceDate)
+        .eq('exercise_progress.user_id', user.id);
+
+      if (error) throw error;
+
+      const answers = {};
+      (data || []).forEach((row) => {
+        answers[row.prompt_id] = row.answer;
+      });
+      return { data: answers, error: null };
+    } catch (error) {
+      console.error('Get responses error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Get answers for several progress days, e.g. days members shared with the group owner
+   * @param {Array<string>} progressIds - exercise_progress IDs
+   * @returns {object} { data, error } - data maps progress_id to { prompt_id: answer }
+   */
+  getResponsesForProgress: async (progressIds) => {
+    try {
+      if (progressIds.length === 0) return { data: {}, error: null };
+
+      const { data, error } = await supabase
+        .from('exercise_progress_responses')
+        .select('progress_id, prompt_id, answer')
+        .in('progress_id', progressIds);
+
+      if (error) throw error;
+
+      const responses = {};
+      (data || []).forEach((row) => {
+        responses[row.progress_id] = { ...responses[row.progress_id], [row.prompt_id]: row.answer };
+      });
+      return { data: responses, error: null };
+    } catch (error) {
+      console.error('Get responses for progress error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Save the current user's answers for a day
+   * Creates the day's progress row if needed. Prompts answered with null are cleared.
+   * @param {string} exerciseId - Exercise ID
+   * @param {string} practiceDate - Date in YYYY-MM-DD format
+   * @param {object} answers - Map of prompt_id to answer (string, number or boolean)
+   * @returns {object} { error }
+   */
+  saveResponses: async (exerciseId, practiceDate, answers) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      // Only the key columns are sent so an existing day's progress is left untouched
+      const { data: progress, error: progressError } = await supabase
+        .from('exercise_progress')
+        .upsert({
+          user_id: user.id,
+          exercise_id: exerciseId,
+          practice_date: practiceDate,
+        }, {
+          onConflict: 'user_id,exercise_id,practice_date',
+        })
+        .select('id')
+        .single();
+
+      if (progressError) throw progressError;
+
+      const entries = Object.entries(answers);
+      const answered = entries
+        .filter(([, answer]) => answer !== null && answer !== undefined)
+        .map(([promptId, answer]) => ({
+          progress_id: progress.id,
+          prompt_id: promptId,
+          answer,
+          updated_at: new Date().toISOString(),
+        }));
+      const clearedIds = entries
+        .filter(([, answer]) => answer === null || answer === undefined)
+        .map(([promptId]) => promptId);
+
+      if (answered.length > 0) {
+        const { error } = await supabase
+          .from('exercise_progress_responses')
+          .upsert(answered, { onConflict: 'progress_id,prompt_id' });
+
+        if (error) throw error;
+      }
+
+      if (clearedIds.length > 0) {
+        const { error } = await supabase
+          .from('exercise_progress_responses')
+          .delete()
+          .eq('progress_id', progress.id)
+          .in('prompt_id', clearedIds);
+
+        if (error) throw error;
+      }
+
+      return { error: null };
+    } catch (error) {
+      console.error('Save responses error:', error.message);
+      return { error };
+    }
+  },
+};
@@ -0,0 +1,146 @@
+import { supabase } from './supabase';
+import { teams } from '../utils';
+
+/**
+ * Team Service
+ * Handles teams (small circles) within a group
+ *
+ * Tables: group_teams, group_members.team_id
+ * Every member can see a group's teams. The owner and facilitators who manage
+ * members create, rename and delete teams and assign members to them.
+ */
+
+export const teamService = {
+  /**
+   * Get a group's teams, ordered by name
+   * @param {string} groupId - Group ID
+   * @returns {object} { data, error }
+   */
+  getTeams: async (groupId) => {
+    try {
+      const { data, error } = await supabase
+        .from('group_teams')
+        .select('*')
+        .eq('group_id', groupId)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('Get teams error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Create a team
+   * @param {string} groupId - Group ID
+   * @param {string} name - Team name, unique within the group
+   * @returns {object} { data, error }
+   */
+  createTeam: async (groupId, name) => {
+    try {
+      const teamName = (name || '').trim();
+      if (!teamName) throw new Error('Team name is required');
+
+      const { data, error } = await supabase
+        .from('group_teams')
+        .insert([{ group_id: groupId, name: teamName }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Create team error:', error.message);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Rename a team
+   * @param {string} teamId - Team ID
+   * @param {string} name - New name
+   * @returns {object} { error }
+   */
+  renameTeam: async (teamId, name) => {
+    try {
+      const teamName = (name || '').trim();
+      if (!teamName) throw new Error('Team name is required');
+
+      const { error } = await supabase
+        .from('group_teams')
+        .update({ name: teamName })
+        .eq('id', teamId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Rename team error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Delete a team. Its members stay in the group without a team.
+   * @param {string} teamId - Team ID
+   * @returns {object} { error }
+   */
+  deleteTeam: async (teamId) => {
+    try {
+      const { error } = await supabase
+        .from('group_teams')
+        .delete()
+        .eq('id', teamId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Delete team error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Put members into teams in one step
+   * @param {string} groupId - Group ID
+   * @param {Array<{member_id: string, team_id: string|null}>} assignments - group_members row IDs
+   *   and their new team; a null team_id removes the member from their team
+   * @returns {object} { error }
+   */
+  assignMembers: async (groupId, assignments) => {
+    try {
+      const { error } = await supabase
+        .rpc('set_member_teams', {
+          group_id_param: groupId,
+          assignments_param: assignments,
+        });
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Assign teams error:', error.message);
+      return { error };
+    }
+  },
+
+  /**
+   * Get the team of every member of a group
+   * @param {string} groupId - Group ID
+   * @returns {object} { data, error } - data maps user_id to team_id (null when unassigned)
+   */
+  getMemberTeams: async (groupId) => {
+    try {
+      const { data, error } = await supabase
+        .from('group_members')
+        .select('user_id, team_id')
+        .eq('group_id', groupId);
+
+      if (error) throw error;
+      return { data: teams.getMemberTeams(data), error: null };
+    } catch (error) {
+      console.error('Get member teams error:', error.message);
+      return { data: null, error };
+    }
+  },
+};
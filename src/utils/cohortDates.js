@@ -0,0 +1,63 @@
+import { formatters } from './formatters';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cohort Date Utilities
+ * Shift a group's schedule to a new start date when it is duplicated for the
+ * next cohort. Dates are "YYYY-MM-DD" strings as stored in the database.
+ */
+
+export const cohortDates = {
+  /**
+   * The date a group's schedule starts from: its start_date, or else its earliest exercise
+   * @param {object} group
+   * @param {Array<object>} exercises
+   * @returns {string|null}
+   */
+  getScheduleStart: (group, exercises) => {
+    if (group?.start_date) return group.start_date;
+    const starts = (exercises || []).map((exercise) => exercise.start_date).filter(Boolean).sort();
+    return starts[0] || null;
+  },
+
+  /**
+   * Whole days from one date to another
+   * @param {string} fromDateStr
+   * @param {string} toDateStr
+   * @returns {number} Negative when toDateStr is earlier
+   */
+  getOffsetDays: (fromDateStr, toDateStr) => {
+    const from = formatters.parseDateFromDB(fromDateStr);
+    const to = formatters.parseDateFromDB(toDateStr);
+    if (!from || !to) return 0;
+    // Rounded so a daylight saving change in between does not lose a day
+    return Math.round((to - from) / DAY_MS);
+  },
+
+  /**
+   * Move a date by a number of days
+   * @param {string} dateStr
+   * @param {number} days
+   * @returns {string|null}
+   */
+  shiftDate: (dateStr, days) => {
+    const date = formatters.parseDateFromDB(dateStr);
+    if (!date) return null;
+    date.setDate(date.getDate() + days);
+    return formatters.formatDateForDB(date);
+  },
+
+  /**
+   * Copy exercises with their dates moved by the same number of days
+   * @param {Array<object>} exercises
+   * @param {number} days
+   * @returns {Array<object>} Same order, each with shifted start_date and end_date
+   */
+  shiftExercises: (exercises, days) =>
+    (exercises || []).map((exercise) => ({
+      ...exercise,
+      start_date: cohortDates.shiftDate(exercise.start_date, days),
+      end_date: cohortDates.shiftDate(exercise.end_date, days),
+    })),
+};
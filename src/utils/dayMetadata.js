@@ -0,0 +1,121 @@
+/**
+ * Day Metadata Utilities
+ * Mood, energy and tags members record alongside a day's notes
+ * (exercise_progress.mood, energy and tags)
+ */
+
+export const MOOD_LEVELS = [
+  { value: 1, label: 'Very low' },
+  { value: 2, label: 'Low' },
+  { value: 3, label: 'Okay' },
+  { value: 4, label: 'Good' },
+  { value: 5, label: 'Great' },
+];
+
+export const ENERGY_LEVELS = [
+  { value: 1, label: 'Drained' },
+  { value: 2, label: 'Tired' },
+  { value: 3, label: 'Steady' },
+  { value: 4, label: 'Energised' },
+  { value: 5, label: 'Buzzing' },
+];
+
+const MAX_TAG_LENGTH = 24;
+const MAX_TAGS = 10;
+
+/**
+ * Average of a list of numbers, rounded to one decimal place
+ * @param {Array<number>} values
+ * @returns {number|null} null when there are no values
+ */
+const average = (values) => {
+  if (values.length === 0) return null;
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return Math.round((total / values.length) * 10) / 10;
+};
+
+export const dayMetadata = {
+  /**
+   * Normalise a tag so "Work " and "work" are the same tag
+   * @param {string} tag
+   * @returns {string} Empty string if nothing is left
+   */
+  normalizeTag: (tag) => (tag || '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH),
+
+  /**
+   * Add a tag to a list, ignoring blanks, duplicates and anything past the limit
+   * @param {Array<string>} tags
+   * @param {string} tag
+   * @returns {Array<string>}
+   */
+  addTag: (tags, tag) => {
+    const normalized = dayMetadata.normalizeTag(tag);
+    if (!normalized || tags.includes(normalized) || tags.length >= MAX_TAGS) return tags;
+    return [...tags, normalized];
+  },
+
+  /**
+   * Get the label for a mood or energy value
+   * @param {Array} levels - MOOD_LEVELS or ENERGY_LEVELS
+   * @param {number} value
+   * @returns {string}
+   */
+  getLevelLabel: (levels, value) => levels.find((level) => level.value === value)?.label || '',
+
+  /**
+   * Count how often each tag is used, most used first
+   * @param {Array} days - Day objects with tags
+   * @returns {Array} [{ tag, count }]
+   */
+  getTagCounts: (days) => {
+    const counts = {};
+    days.forEach((day) => {
+      (day.tags || []).forEach((tag) => {
+        counts[tag] = (counts[tag] || 0) + 1;
+      });
+    });
+    return Object.entries(counts)
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  },
+
+  /**
+   * Keep only days with the given tag
+   * @param {Array} days - Day objects with tags
+   * @param {string|null} tag - null keeps every day
+   * @returns {Array}
+   */
+  filterDaysByTag: (days, tag) => {
+    if (!tag) return days;
+    return days.filter((day) => (day.tags || []).includes(tag));
+  },
+
+  /**
+   * Days with a mood or energy rating, in order, for the trend chart
+   * @param {Array} days - Ordered day objects with mood and energy
+   * @returns {Array} [{ dateStr, dayNumber, mood, energy }]
+   */
+  getMoodTrend: (days) => days
+    .filter((day) => day.mood || day.energy)
+    .map((day) => ({
+      dateStr: day.dateStr,
+      dayNumber: day.dayNumber,
+      mood: day.mood || null,
+      energy: day.energy || null,
+    })),
+
+  /**
+   * Compare mood and energy on completed days against days that were not completed
+   * @param {Array} days - Day objects with mood, energy and isCompleted
+   * @returns {object} { averageMood, averageEnergy, moodWhenCompleted, moodWhenMissed }
+   */
+  getMoodSummary: (days) => {
+    const rated = days.filter((day) => day.mood);
+    return {
+      averageMood: average(rated.map((day) => day.mood)),
+      averageEnergy: average(days.filter((day) => day.energy).map((day) => day.energy)),
+      moodWhenCompleted: average(rated.filter((day) => day.isCompleted).map((day) => day.mood)),
+      moodWhenMissed: average(rated.filter((day) => !day.isCompleted).map((day) => day.mood)),
+    };
+  },
+};
@@ -0,0 +1,82 @@
+import { formatters } from './formatters';
+
+/**
+ * Entry Policy Utilities
+ * Owner rules for which days members can record progress on.
+ * Stored as JSON in groups.entry_policy (defaults) and exercises.entry_policy
+ * (override, null uses the group's rules).
+ */
+
+export const DEFAULT_ENTRY_POLICY = {
+  block_future: false,
+  late_window_days: null,
+  lock_after_end: false,
+};
+
+export const entryPolicy = {
+  /**
+   * Get the rules that apply to an exercise
+   * @param {object} exercise - Exercise, optionally with groups.entry_policy and groups.archived_at joined in
+   * @returns {object} { block_future, late_window_days, lock_after_end, archived }
+   */
+  resolve: (exercise) => ({
+    ...DEFAULT_ENTRY_POLICY,
+    ...(exercise?.entry_policy || exercise?.groups?.entry_policy || {}),
+    archived: !!exercise?.groups?.archived_at,
+  }),
+
+  /**
+   * Check whether a member can record progress on a day
+   * @param {string} dateStr - Day in YYYY-MM-DD format
+   * @param {object} policy - Resolved policy
+   * @param {string} endDate - Exercise end date in YYYY-MM-DD format
+   * @param {string} [today] - Today in YYYY-MM-DD format (defaults to the device's date)
+   * @returns {object} { canEdit, reason, isLate }
+   */
+  getDayAccess: (dateStr, policy, endDate, today = formatters.formatDateForDB(new Date())) => {
+    const isLate = dateStr < today;
+
+    if (policy.archived) {
+      return { canEdit: false, reason: 'This group is archived. Its days can be read but not changed.', isLate };
+    }
+    if (policy.lock_after_end && endDate && today > endDate) {
+      return { canEdit: false, reason: 'This exercise has ended and its days are locked.', isLate };
+    }
+    if (policy.block_future && dateStr > today) {
+      return { canEdit: false, reason: 'Future days cannot be recorded yet.', isLate };
+    }
+    if (policy.late_window_days !== null && policy.late_window_days !== undefined) {
+      const earliest = formatters.parseDateFromDB(today);
+      earliest.setDate(earliest.getDate() - policy.late_window_days);
+      if (dateStr < formatters.formatDateForDB(earliest)) {
+        const days = policy.late_window_days;
+        return {
+          canEdit: false,
+          reason: days === 0
+            ? 'Only today can be recorded.'
+            : `Days can only be recorded up to ${days} ${days === 1 ? 'day' : 'days'} late.`,
+          isLate,
+        };
+      }
+    }
+    return { canEdit: true, reason: null, isLate };
+  },
+
+  /**
+   * Describe a policy in short phrases for owners and members
+   * @param {object} policy
+   * @returns {Array<string>} Empty when no rules are set
+   */
+  describe: (policy) => {
+    if (policy.archived) return ['Group archived, read only'];
+    const rules = [];
+    if (policy.block_future) rules.push('No future days');
+    if (policy.late_window_days !== null && policy.late_window_days !== undefined) {
+      rules.push(policy.late_window_days === 0
+        ? 'Today only'
+        : `Up to ${policy.late_window_days} ${policy.late_window_days === 1 ? 'day' : 'days'} late`);
+    }
+    if (policy.lock_after_end) rules.push('Locked after the end date');
+    return rules;
+  },
+};
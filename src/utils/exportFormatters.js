@@ -0,0 +1,321 @@
+import { formatters } from './formatters';
+
+/**
+ * Export Formatter Utilities
+ * Turn progress data into Markdown, CSV and printable HTML documents
+ */
+
+/**
+ * Quote a value for CSV when it contains a delimiter, quote or line break.
+ * Text that a spreadsheet would run as a formula (starting with =, +, -, @,
+ * tab or carriage return) is prefixed with an apostrophe so it stays text.
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHTML = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Describe a day's practice, e.g. "3 completions, completed"
+ * @param {object} entry - Journal entry
+ * @returns {string}
+ */
+const describePractice = (entry) => {
+  const parts = [];
+  if (entry.completions > 0) {
+    parts.push(`${entry.completions} completion${entry.completions === 1 ? '' : 's'}`);
+  }
+  if (entry.isCompleted) parts.push('completed');
+  return parts.join(', ');
+};
+
+/**
+ * List the YYYY-MM-DD dates of an exercise up to and including a cutoff date
+ * @param {object} exercise - Exercise with start_date and end_date
+ * @param {string} throughDate - Last date to include (YYYY-MM-DD)
+ * @returns {Array} Date strings
+ */
+const getExerciseDates = (exercise, throughDate) => {
+  const dates = [];
+  const lastDate = exercise.end_date < throughDate ? exercise.end_date : throughDate;
+  const current = formatters.parseDateFromDB(exercise.start_date);
+  const last = formatters.parseDateFromDB(lastDate);
+  while (current <= last) {
+    dates.push(formatters.formatDateForDB(current));
+    current.setDate(current.getDate() + 1);
+  }
+  return dates;
+};
+
+/**
+ * Index progress rows by member, exercise and date
+ * @param {Array} progress - exercise_progress rows
+ * @returns {Map} key `${user_id}:${exercise_id}:${practice_date}` to row
+ */
+const indexProgress = (progress) => new Map(
+  progress.map((row) => [`${row.user_id}:${row.exercise_id}:${row.practice_date}`, row])
+);
+
+export const exportFormatters = {
+  /**
+   * Build a CSV document
+   * @param {Array} headers - Column headings
+   * @param {Array} rows - Arrays of cell values, one per row
+   * @returns {string}
+   */
+  toCSV: (headers, rows) => {
+    return [headers, ...rows]
+      .map((row) => row.map(escapeCSVValue).join(','))
+      .join('\r\n');
+  },
+
+  /**
+   * Group journal entries by group, then exercise, each sorted by date
+   * @param {Array} entries - { groupName, exerciseTitle, practiceDate, notes, completions, isCompleted }
+   * @returns {Array} [{ groupName, exercises: [{ title, entries }] }]
+   */
+  groupJournalEntries: (entries) => {
+    const groups = new Map();
+    entries.forEach((entry) => {
+      if (!groups.has(entry.groupName)) groups.set(entry.groupName, new Map());
+      const exercises = groups.get(entry.groupName);
+      if (!exercises.has(entry.exerciseTitle)) exercises.set(entry.exerciseTitle, []);
+      exercises.get(entry.exerciseTitle).push(entry);
+    });
+
+    return Array.from(groups.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([groupName, exercises]) => ({
+        groupName,
+        exercises: Array.from(exercises.entries())
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([title, exerciseEntries]) => ({
+            title,
+            entries: [...exerciseEntries].sort((a, b) =>
+              a.practiceDate.localeCompare(b.practiceDate)
+            ),
+          })),
+      }));
+  },
+
+  /**
+   * Build the reflection journal as Markdown
+   * @param {Array} entries - Journal entries
+   * @param {string} [authorName] - Shown under the title
+   * @returns {string}
+   */
+  journalToMarkdown: (entries, authorName) => {
+    const lines = ['# Reflection Journal', ''];
+    if (authorName) lines.push(`**${authorName}**`, '');
+    lines.push(`Exported ${formatters.formatDateLongWithYear(new Date())}`, '');
+
+    exportFormatters.groupJournalEntries(entries).forEach((group) => {
+      lines.push(`## ${group.groupName}`, '');
+      group.exercises.forEach((exercise) => {
+        lines.push(`### ${exercise.title}`, '');
+        exercise.entries.forEach((entry) => {
+          const practice = describePractice(entry);
+          const date = formatters.formatDateLong(formatters.parseDateFromDB(entry.practiceDate));
+          lines.push(`**${date}**${practice ? ` (${practice})` : ''}`, '');
+          lines.push(entry.notes.trim(), '');
+        });
+      });
+    });
+
+    return lines.join('\n');
+  },
+
+  /**
+   * Build the reflection journal as CSV, one row per day with notes
+   * @param {Array} entries - Journal entries
+   * @returns {string}
+   */
+  journalToCSV: (entries) => {
+    const rows = [];
+    exportFormatters.groupJournalEntries(entries).forEach((group) => {
+      group.exercises.forEach((exercise) => {
+        exercise.entries.forEach((entry) => {
+          rows.push([
+            group.groupName,
+            exercise.title,
+            entry.practiceDate,
+            formatters.formatDateLong(formatters.parseDateFromDB(entry.practiceDate)),
+            entry.completions,
+            entry.isCompleted ? 'Yes' : 'No',
+            entry.notes.trim(),
+          ]);
+        });
+      });
+    });
+
+    return exportFormatters.toCSV(
+      ['Group', 'Exercise', 'Date', 'Day', 'Completions', 'Completed', 'Notes'],
+      rows
+    );
+  },
+
+  /**
+   * Build the group's daily progress as CSV, one row per member × exercise × day.
+   * Covers each exercise's days up to `throughDate`, plus any other day a member logged.
+   * @param {object} data - { members, exercises, progress } from exportService.getGroupProgress
+   * @param {object} options - { includeNotes, throughDate (YYYY-MM-DD) }
+   * @returns {string}
+   */
+  groupProgressToCSV: ({ members, exercises, progress }, { includeNotes = false, throughDate }) => {
+    const progressIndex = indexProgress(progress);
+    const rows = [];
+
+    members.forEach((member) => {
+      exercises.forEach((exercise) => {
+        const loggedDates = progress
+          .filter((row) => row.user_id === member.user_id && row.exercise_id === exercise.id)
+          .map((row) => row.practice_date);
+        const dates = Array.from(
+          new Set([...getExerciseDates(exercise, throughDate), ...loggedDates])
+        ).sort();
+
+        dates.forEach((date) => {
+          const row = progressIndex.get(`${member.user_id}:${exercise.id}:${date}`);
+          const cells = [
+            member.name,
+            exercise.title,
+            date,
+            row?.number_of_completions || 0,
+            row?.is_completed ? 'Yes' : 'No',
+            row?.is_late ? 'Yes' : 'No',
+          ];
+          if (includeNotes) cells.push(row?.notes || '');
+          rows.push(cells);
+        });
+      });
+    });
+
+    const headers = ['Member', 'Exercise', 'Date', 'Completions', 'Completed', 'Late'];
+    if (includeNotes) headers.push('Notes');
+    return exportFormatters.toCSV(headers, rows);
+  },
+
+  /**
+   * Build a gradebook-style CSV: one row per member, one column per exercise
+   * with days completed, followed by overall totals.
+   * Days are counted up to `throughDate` so exercises still running aren't penalised.
+   * @param {object} data - { members, exercises, progress } from exportService.getGroupProgress
+   * @param {object} options - { throughDate (YYYY-MM-DD) }
+   * @returns {string}
+   */
+  groupGradebookToCSV: ({ members, exercises, progress }, { throughDate }) => {
+    const progressIndex = indexProgress(progress);
+    const exerciseDates = exercises.map((exercise) => getExerciseDates(exercise, throughDate));
+    const assignedDays = exerciseDates.reduce((sum, dates) => sum + dates.length, 0);
+
+    const rows = members.map((member) => {
+      let completedDays = 0;
+      const exerciseCells = exercises.map((exercise, index) => {
+        const completed = exerciseDates[index].filter((date) =>
+          progressIndex.get(`${member.user_id}:${exercise.id}:${date}`)?.is_completed
+        ).length;
+        completedDays += completed;
+        return completed;
+      });
+
+      const memberRows = progress.filter((row) => row.user_id === member.user_id);
+      const totalCompletions = memberRows.reduce(
+        (sum, row) => sum + (row.number_of_completions || 0),
+        0
+      );
+      const lastActive = memberRows.reduce(
+        (latest, row) => (!latest || row.practice_date > latest ? row.practice_date : latest),
+        null
+      );
+
+      return [
+        member.name,
+        ...exerciseCells,
+        completedDays,
+        assignedDays,
+        assignedDays > 0 ? Math.round((completedDays / assignedDays) * 100) : 0,
+        totalCompletions,
+        lastActive || '',
+      ];
+    });
+
+    return exportFormatters.toCSV(
+      [
+        'Member',
+        ...exercises.map((exercise, index) =>
+          `${exercise.title} (days completed of ${exerciseDates[index].length})`
+        ),
+        'Days Completed',
+        'Days Assigned',
+        'Completion %',
+        'Total Completions',
+        'Last Active',
+      ],
+      rows
+    );
+  },
+
+  /**
+   * Build the reflection journal as printable HTML (for PDF export)
+   * @param {Array} entries - Journal entries
+   * @param {string} [authorName] - Shown under the title
+   * @returns {string}
+   */
+  journalToHTML: (entries, authorName) => {
+    const sections = exportFormatters.groupJournalEntries(entries).map((group) => `
+      <h2>${escapeHTML(group.groupName)}</h2>
+      ${group.exercises.map((exercise) => `
+        <h3>${escapeHTML(exercise.title)}</h3>
+        ${exercise.entries.map((entry) => {
+          const practice = describePractice(entry);
+          const date = formatters.formatDateLong(formatters.parseDateFromDB(entry.practiceDate));
+          return `
+          <div class="entry">
+            <p class="date">${escapeHTML(date)}${practice ? ` <span>(${escapeHTML(practice)})</span>` : ''}</p>
+            <p>${escapeHTML(entry.notes.trim()).replace(/\n/g, '<br />')}</p>
+          </div>`;
+        }).join('')}
+      `).join('')}
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <style>
+      body { font-family: -apple-system, Helvetica, Arial, sans-serif; color: #000; padding: 24px; }
+      h1 { margin-bottom: 4px; }
+      h2 { color: #036616; border-bottom: 1px solid #C7C7CC; padding-bottom: 4px; margin-top: 32px; }
+      h3 { margin-bottom: 8px; }
+      .meta { color: #8E8E93; margin-top: 0; }
+      .entry { page-break-inside: avoid; margin-bottom: 12px; }
+      .date { font-weight: bold; margin-bottom: 2px; }
+      .date span { font-weight: normal; color: #8E8E93; }
+    </style>
+  </head>
+  <body>
+    <h1>Reflection Journal</h1>
+    <p class="meta">${authorName ? `${escapeHTML(authorName)} · ` : ''}Exported ${escapeHTML(formatters.formatDateLongWithYear(new Date()))}</p>
+    ${sections}
+  </body>
+</html>`;
+  },
+};
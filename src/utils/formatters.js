@@ -31,6 +31,18 @@ export const formatters = {
     return `${year}-${month}-${day}`;
   },
 
+  /**
+   * Parse a "YYYY-MM-DD" database date as a local Date.
+   * new Date("YYYY-MM-DD") is read as UTC midnight and can land on the previous day.
+   * @param {string} dateStr
+   * @returns {Date|null}
+   */
+  parseDateFromDB: (dateStr) => {
+    if (!dateStr) return null;
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  },
+
   /**
    * Format date to short string — "Jan 5"
    * @param {string|Date} date
@@ -97,6 +109,20 @@ export const formatters = {
     });
   },
 
+  /**
+   * Format time of day (e.g., "8:05 AM")
+   * @param {string|Date} date
+   * @returns {string}
+   */
+  formatTime: (date) => {
+    if (!date) return '';
+    const d = new Date(date);
+    return d.toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+  },
+
   /**
    * Format relative time (e.g., "2 hours ago")
    * @param {string|Date} date
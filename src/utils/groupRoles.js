@@ -0,0 +1,69 @@
+/**
+ * Group Role Utilities
+ * Roles in group_members.role: the group's owner, facilitators (co-teachers)
+ * limited to the permissions in group_members.permissions, and members.
+ */
+
+export const GROUP_PERMISSIONS = {
+  MANAGE_EXERCISES: 'manage_exercises',
+  MANAGE_MEMBERS: 'manage_members',
+  VIEW_PROGRESS: 'view_progress',
+};
+
+export const PERMISSION_OPTIONS = [
+  {
+    value: GROUP_PERMISSIONS.MANAGE_EXERCISES,
+    label: 'Manage exercises',
+    description: 'Add, edit, reorder and delete exercises and moderate their discussions',
+  },
+  {
+    value: GROUP_PERMISSIONS.MANAGE_MEMBERS,
+    label: 'Manage members',
+    description: 'Remove members, answer join requests and organise teams',
+  },
+  {
+    value: GROUP_PERMISSIONS.VIEW_PROGRESS,
+    label: 'View progress',
+    description: 'See member progress, shared reflections and exports',
+  },
+];
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  facilitator: 'Facilitator',
+  member: 'Member',
+};
+
+export const groupRoles = {
+  /**
+   * Check whether a membership allows something; owners can do everything
+   * @param {object} membership - { role, permissions } from group_members
+   * @param {string} permission - One of GROUP_PERMISSIONS
+   * @returns {boolean}
+   */
+  can: (membership, permission) => {
+    if (!membership) return false;
+    if (membership.role === 'owner') return true;
+    return membership.role === 'facilitator' && (membership.permissions || []).includes(permission);
+  },
+
+  /**
+   * Display label for a role
+   * @param {string} role
+   * @returns {string}
+   */
+  getRoleLabel: (role) => ROLE_LABELS[role] || ROLE_LABELS.member,
+
+  /**
+   * Short summary of a facilitator's permissions
+   * @param {Array<string>} permissions
+   * @returns {string} e.g. "Manage exercises, View progress"
+   */
+  describePermissions: (permissions) => {
+    const labels = PERMISSION_OPTIONS
+      .filter((option) => (permissions || []).includes(option.value))
+      .map((option) => option.label);
+    if (labels.length === 0) return 'No permissions';
+    return [labels[0], ...labels.slice(1).map((label) => label.toLowerCase())].join(', ');
+  },
+};
@@ -5,3 +5,14 @@
 
 export * from './validation';
 export * from './formatters';
+export * from './progressStats';
+export * from './exportFormatters';
+export * from './reflectionPrompts';
+export * from './dayMetadata';
+export * from './entryPolicy';
+export * from './notesSearch';
+export * from './inviteLinks';
+export * from './joinSettings';
+export * from './groupRoles';
+export * from './cohortDates';
+export * from './teams';
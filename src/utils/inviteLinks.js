@@ -0,0 +1,60 @@
+/**
+ * Invite Link Utilities
+ * Builds and reads group invitation links (ethicsapp://join/<group code>)
+ */
+
+export const APP_SCHEME = 'ethicsapp';
+
+const GROUP_CODE_PATTERN = /^\d{5}$/;
+
+export const inviteLinks = {
+  /**
+   * Check that a group code has the expected format (5 digits)
+   * @param {string} code
+   * @returns {boolean}
+   */
+  isValidGroupCode: (code) => GROUP_CODE_PATTERN.test(code || ''),
+
+  /**
+   * Build the invitation link for a group
+   * @param {string} groupCode
+   * @returns {string} e.g. "ethicsapp://join/12345"
+   */
+  buildInviteUrl: (groupCode) => `${APP_SCHEME}://join/${groupCode}`,
+
+  /**
+   * Read the group code from an invitation link
+   * Accepts "ethicsapp://join/12345", "ethicsapp:///join/12345" and "ethicsapp://join?code=12345".
+   * @param {string} url
+   * @returns {string|null} Group code, or null if the URL is not a valid invitation
+   */
+  parseInviteUrl: (url) => {
+    if (!url) return null;
+    const match = url.trim().match(/^([a-z][a-z0-9+.-]*):\/\/\/?join\/?([^?#]*)(?:\?([^#]*))?/i);
+    if (!match || match[1].toLowerCase() !== APP_SCHEME) return null;
+
+    const fromQuery = (match[3] || '')
+      .split('&')
+      .map((pair) => pair.split('='))
+      .find(([key]) => key === 'code')?.[1];
+    let code;
+    try {
+      code = decodeURIComponent(match[2].replace(/\/+$/, '') || fromQuery || '').trim();
+    } catch (error) {
+      // Malformed escapes such as "%E0" are not valid invitations
+      return null;
+    }
+    return GROUP_CODE_PATTERN.test(code) ? code : null;
+  },
+
+  /**
+   * Read the group code from a scanned QR code, which holds either an invite link or the code itself
+   * @param {string} data - Decoded QR contents
+   * @returns {string|null} Group code, or null if the QR code is not a group invitation
+   */
+  getCodeFromScan: (data) => {
+    const value = (data || '').trim();
+    if (GROUP_CODE_PATTERN.test(value)) return value;
+    return inviteLinks.parseInviteUrl(value);
+  },
+};
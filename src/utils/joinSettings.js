@@ -0,0 +1,59 @@
+import { formatters } from './formatters';
+
+/**
+ * Join Settings Utilities
+ * How a group's code admits new members: groups.join_code_expires_at,
+ * join_code_max_uses, join_code_uses, joining_closed and requires_approval.
+ * The database enforces these rules; these helpers only describe them.
+ */
+
+export const joinSettings = {
+  /**
+   * Check whether a group's code currently lets people join
+   * @param {object} group
+   * @param {Date} [now]
+   * @returns {object} { isOpen, reason } - reason explains why the code does not work
+   */
+  getCodeStatus: (group, now = new Date()) => {
+    if (!group) return { isOpen: false, reason: null };
+    if (group.joining_closed) {
+      return { isOpen: false, reason: 'Joining is closed' };
+    }
+    if (group.join_code_expires_at && new Date(group.join_code_expires_at) <= now) {
+      return { isOpen: false, reason: 'Code expired' };
+    }
+    if (group.join_code_max_uses && (group.join_code_uses || 0) >= group.join_code_max_uses) {
+      return { isOpen: false, reason: 'Code use limit reached' };
+    }
+    return { isOpen: true, reason: null };
+  },
+
+  /**
+   * Describe a group's join settings in short phrases for the owner
+   * @param {object} group
+   * @returns {Array<string>} Empty when anyone with the code can join
+   */
+  describe: (group) => {
+    if (!group) return [];
+    const rules = [];
+    if (group.join_code_expires_at) {
+      rules.push(`Expires ${formatters.formatDateShort(group.join_code_expires_at)}`);
+    }
+    if (group.join_code_max_uses) {
+      rules.push(`${group.join_code_uses || 0}/${group.join_code_max_uses} uses`);
+    }
+    if (group.requires_approval) rules.push('Approval required');
+    return rules;
+  },
+
+  /**
+   * Expiry timestamp for the end of a chosen day (local time)
+   * @param {Date} date
+   * @returns {string} ISO timestamp
+   */
+  getExpiryForDate: (date) => {
+    const end = new Date(date);
+    end.setHours(23, 59, 59, 999);
+    return end.toISOString();
+  },
+};
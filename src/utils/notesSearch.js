@@ -0,0 +1,137 @@
+/**
+ * Notes Search Utilities
+ * Local matching and snippet highlighting for searching a member's notes.
+ * Snippets mark matched words with the same control characters the
+ * search_my_notes database function uses, so both render the same way.
+ */
+
+export const HIGHLIGHT_START = '\u0002';
+export const HIGHLIGHT_END = '\u0003';
+
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const notesSearch = {
+  /**
+   * Split a search query into lowercase terms, ignoring punctuation and repeats.
+   * Excluded words ("-word") are dropped rather than matched.
+   * @param {string} query
+   * @returns {Array<string>}
+   */
+  getTerms: (query) => {
+    const words = (query || '')
+      .toLowerCase()
+      .split(/\s+/)
+      .filter((word) => !word.startsWith('-'))
+      .join(' ')
+      .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+      .split(/\s+/)
+      .map((word) => word.replace(/^'+|'+$/g, ''))
+      .filter(Boolean);
+    return [...new Set(words)];
+  },
+
+  /**
+   * Check whether text contains every term (as a word or part of one)
+   * @param {string} text
+   * @param {Array<string>} terms
+   * @returns {boolean}
+   */
+  matchesAll: (text, terms) => {
+    if (!text || terms.length === 0) return false;
+    const lower = text.toLowerCase();
+    return terms.every((term) => lower.includes(term));
+  },
+
+  /**
+   * Cut a short excerpt around the first match and mark every matched term
+   * @param {string} text
+   * @param {Array<string>} terms
+   * @returns {string} Excerpt with matches wrapped in HIGHLIGHT_START/HIGHLIGHT_END
+   */
+  buildSnippet: (text, terms) => {
+    if (!text) return '';
+    const lower = text.toLowerCase();
+    const positions = terms.map((term) => lower.indexOf(term)).filter((index) => index >= 0);
+    const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+    let start = Math.max(0, first - SNIPPET_RADIUS);
+    let end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+    // Avoid cutting words in half
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < first) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > first) end = space;
+    }
+
+    let excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+    if (terms.length > 0) {
+      const pattern = new RegExp(
+        terms
+          .slice()
+          .sort((a, b) => b.length - a.length)
+          .map(escapeRegExp)
+          .join('|'),
+        'gi'
+      );
+      excerpt = excerpt.replace(pattern, (match) => `${HIGHLIGHT_START}${match}${HIGHLIGHT_END}`);
+    }
+    return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+  },
+
+  /**
+   * Split a marked snippet into plain and highlighted parts for rendering
+   * @param {string} snippet
+   * @returns {Array} [{ text, highlight }]
+   */
+  parseSnippet: (snippet) => {
+    const parts = [];
+    let highlight = false;
+    let current = '';
+    for (const char of snippet || '') {
+      if (char === HIGHLIGHT_START || char === HIGHLIGHT_END) {
+        if (current) parts.push({ text: current, highlight });
+        current = '';
+        highlight = char === HIGHLIGHT_START;
+      } else {
+        current += char;
+      }
+    }
+    if (current) parts.push({ text: current, highlight });
+    return parts;
+  },
+
+  /**
+   * Search progress rows' notes locally (used when the server cannot be reached)
+   * Rows matching more often come first, then the most recent.
+   * @param {Array} rows - exercise_progress rows with notes and practice_date
+   * @param {string} query
+   * @param {number} [limit]
+   * @returns {Array} [{ row, snippet }]
+   */
+  searchRows: (rows, query, limit = 50) => {
+    const terms = notesSearch.getTerms(query);
+    if (terms.length === 0) return [];
+
+    const countMatches = (text) => {
+      const lower = text.toLowerCase();
+      return terms.reduce((sum, term) => sum + lower.split(term).length - 1, 0);
+    };
+
+    return (rows || [])
+      .filter((row) => notesSearch.matchesAll(row.notes, terms))
+      .map((row) => ({ row, score: countMatches(row.notes) }))
+      .sort((a, b) => b.score - a.score || b.row.practice_date.localeCompare(a.row.practice_date))
+      .slice(0, limit)
+      .map(({ row }) => ({ row, snippet: notesSearch.buildSnippet(row.notes, terms) }));
+  },
+};
@@ -0,0 +1,166 @@
+import { formatters } from './formatters';
+
+/**
+ * Progress Statistics Utilities
+ * Derive streaks and completion figures from a member's exercise days
+ */
+
+/**
+ * Get today's date at local midnight
+ * @returns {Date}
+ */
+const getToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+// Hour ranges (local time, end exclusive) used to group practices by time of day
+const TIME_OF_DAY_BUCKETS = [
+  { key: 'morning', label: 'Morning', start: 5, end: 12 },
+  { key: 'afternoon', label: 'Afternoon', start: 12, end: 17 },
+  { key: 'evening', label: 'Evening', start: 17, end: 21 },
+  { key: 'night', label: 'Night', start: 21, end: 29 },
+];
+
+export const progressStats = {
+  /**
+   * Longest run of consecutive completed days
+   * @param {Array} days - Ordered day objects with isCompleted
+   * @returns {number}
+   */
+  getLongestStreak: (days) => {
+    let longest = 0;
+    let current = 0;
+    days.forEach((day) => {
+      current = day.isCompleted ? current + 1 : 0;
+      longest = Math.max(longest, current);
+    });
+    return longest;
+  },
+
+  /**
+   * Run of consecutive completed days ending today.
+   * Today not being completed yet does not break the streak; it counts back from yesterday.
+   * @param {Array} days - Ordered day objects with date and isCompleted
+   * @param {Date} [today] - Reference date (defaults to today)
+   * @returns {number}
+   */
+  getCurrentStreak: (days, today = getToday()) => {
+    const pastDays = days.filter((day) => day.date.getTime() <= today.getTime());
+    let index = pastDays.length - 1;
+
+    const last = pastDays[index];
+    if (last && last.date.getTime() === today.getTime() && !last.isCompleted) {
+      index -= 1;
+    }
+
+    let streak = 0;
+    while (index >= 0 && pastDays[index].isCompleted) {
+      streak += 1;
+      index -= 1;
+    }
+    return streak;
+  },
+
+  /**
+   * Number of days from today through the last day, inclusive
+   * @param {Array} days - Ordered day objects with date
+   * @param {Date} [today] - Reference date (defaults to today)
+   * @returns {number}
+   */
+  getDaysRemaining: (days, today = getToday()) => {
+    return days.filter((day) => day.date.getTime() >= today.getTime()).length;
+  },
+
+  /**
+   * Count practices by time of day (morning, afternoon, evening, night)
+   * @param {Array} events - Completion events with completed_at
+   * @returns {Array} [{ key, label, count, percentage }]
+   */
+  getTimeOfDayBreakdown: (events) => {
+    const counts = TIME_OF_DAY_BUCKETS.map(() => 0);
+    events.forEach((event) => {
+      const hour = new Date(event.completed_at).getHours();
+      // Night wraps past midnight, so hours before 5 count as 24-28
+      const adjustedHour = hour < 5 ? hour + 24 : hour;
+      const index = TIME_OF_DAY_BUCKETS.findIndex(
+        (bucket) => adjustedHour >= bucket.start && adjustedHour < bucket.end
+      );
+      counts[index] += 1;
+    });
+
+    return TIME_OF_DAY_BUCKETS.map((bucket, index) => ({
+      key: bucket.key,
+      label: bucket.label,
+      count: counts[index],
+      percentage: events.length > 0 ? Math.round((counts[index] / events.length) * 100) : 0,
+    }));
+  },
+
+  /**
+   * Total practice per calendar day across exercises
+   * A day checked off without a count still counts as one practice.
+   * @param {Array} progressRows - exercise_progress rows
+   * @returns {object} Map of YYYY-MM-DD to { completions, completedExercises, exerciseIds }
+   */
+  getDailyTotals: (progressRows) => {
+    const totals = {};
+    progressRows.forEach((row) => {
+      const completions = row.number_of_completions || (row.is_completed ? 1 : 0);
+      if (completions === 0) return;
+
+      const day = totals[row.practice_date] || {
+        completions: 0,
+        completedExercises: 0,
+        exerciseIds: [],
+      };
+      day.completions += completions;
+      if (row.is_completed) day.completedExercises += 1;
+      day.exerciseIds.push(row.exercise_id);
+      totals[row.practice_date] = day;
+    });
+    return totals;
+  },
+
+  /**
+   * Heatmap intensity for a value relative to the busiest day
+   * @param {number} value - Completions on the day
+   * @param {number} max - Completions on the busiest day
+   * @returns {number} 0 (none) to 4 (busiest)
+   */
+  getIntensityLevel: (value, max) => {
+    if (!value || !max) return 0;
+    return Math.max(1, Math.ceil((value / max) * 4));
+  },
+
+  /**
+   * Build the full statistics summary for an exercise
+   * @param {Array} days - Ordered day objects with date, isCompleted and completions
+   * @param {string} frequencyRange - Exercise frequency_per_day (e.g. "3-5")
+   * @param {Date} [today] - Reference date (defaults to today)
+   * @returns {object} { currentStreak, longestStreak, completedDays, totalDays,
+   *   completionRate, averageCompletions, minFrequency, maxFrequency, daysRemaining }
+   */
+  getExerciseStats: (days, frequencyRange, today = getToday()) => {
+    const completedDays = days.filter((day) => day.isCompleted).length;
+    const practicedDays = days.filter((day) => day.completions > 0);
+    const totalCompletions = practicedDays.reduce((sum, day) => sum + day.completions, 0);
+
+    return {
+      currentStreak: progressStats.getCurrentStreak(days, today),
+      longestStreak: progressStats.getLongestStreak(days),
+      completedDays,
+      totalDays: days.length,
+      completionRate: days.length > 0
+        ? Math.round((completedDays / days.length) * 100)
+        : 0,
+      averageCompletions: practicedDays.length > 0
+        ? totalCompletions / practicedDays.length
+        : 0,
+      minFrequency: formatters.getMinFrequency(frequencyRange),
+      maxFrequency: formatters.getMaxFrequency(frequencyRange),
+      daysRemaining: progressStats.getDaysRemaining(days, today),
+    };
+  },
+};
@@ -0,0 +1,98 @@
+/**
+ * Reflection Prompt Utilities
+ * Helpers for the structured questions owners attach to exercises
+ * (stored in exercises.reflection_prompts) and members' answers to them.
+ */
+
+export const PROMPT_TYPES = [
+  { type: 'text', label: 'Short text' },
+  { type: 'scale', label: 'Scale 1–5' },
+  { type: 'yes_no', label: 'Yes / No' },
+  { type: 'choice', label: 'Multiple choice' },
+];
+
+export const SCALE_VALUES = [1, 2, 3, 4, 5];
+
+export const reflectionPrompts = {
+  /**
+   * Create an empty prompt of the given type
+   * @param {string} type - One of PROMPT_TYPES
+   * @returns {object} { id, type, question, options }
+   */
+  createPrompt: (type) => ({
+    id: `prompt-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    question: '',
+    options: type === 'choice' ? ['', ''] : [],
+  }),
+
+  /**
+   * Get the display label for a prompt type
+   * @param {string} type
+   * @returns {string}
+   */
+  getTypeLabel: (type) => PROMPT_TYPES.find((item) => item.type === type)?.label || type,
+
+  /**
+   * Validate prompts before saving an exercise
+   * @param {Array} prompts
+   * @returns {object} { isValid, message }
+   */
+  validatePrompts: (prompts) => {
+    for (let index = 0; index < prompts.length; index += 1) {
+      const prompt = prompts[index];
+      if (!prompt.question.trim()) {
+        return { isValid: false, message: `Please enter a question for prompt ${index + 1}` };
+      }
+      if (prompt.type === 'choice') {
+        const options = prompt.options.filter((option) => option.trim());
+        if (options.length < 2) {
+          return { isValid: false, message: `Prompt ${index + 1} needs at least two choices` };
+        }
+        if (new Set(options.map((option) => option.trim())).size !== options.length) {
+          return { isValid: false, message: `Prompt ${index + 1} has duplicate choices` };
+        }
+      }
+    }
+    return { isValid: true, message: '' };
+  },
+
+  /**
+   * Trim questions and drop empty choices so prompts are stored cleanly
+   * @param {Array} prompts
+   * @returns {Array}
+   */
+  cleanPrompts: (prompts) => prompts.map((prompt) => ({
+    id: prompt.id,
+    type: prompt.type,
+    question: prompt.question.trim(),
+    options: prompt.type === 'choice'
+      ? prompt.options.map((option) => option.trim()).filter(Boolean)
+      : [],
+  })),
+
+  /**
+   * Check whether an answer counts as answered for its prompt
+   * @param {object} prompt
+   * @param {*} answer
+   * @returns {boolean}
+   */
+  isAnswered: (prompt, answer) => {
+    if (answer === null || answer === undefined) return false;
+    if (prompt.type === 'text') return String(answer).trim().length > 0;
+    return true;
+  },
+
+  /**
+   * Format an answer for display or export
+   * @param {object} prompt
+   * @param {*} answer
+   * @returns {string}
+   */
+  formatAnswer: (prompt, answer) => {
+    if (!reflectionPrompts.isAnswered(prompt, answer)) return '';
+    if (prompt.type === 'yes_no') return answer ? 'Yes' : 'No';
+    if (prompt.type === 'scale') return `${answer}/5`;
+    return String(answer);
+  },
+};
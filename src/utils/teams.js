@@ -0,0 +1,72 @@
+/**
+ * Team Utilities
+ * Teams split a large group into small circles. A member belongs to at most one
+ * team (group_members.team_id); members without one are "unassigned".
+ */
+
+// Team filter value for members who are not in any team
+export const NO_TEAM = 'none';
+
+export const teams = {
+  /**
+   * Check whether a member's team passes a team filter
+   * @param {string|null} teamId - The member's team_id
+   * @param {string|null} filter - null for everyone, NO_TEAM, or a team ID
+   * @returns {boolean}
+   */
+  matchesFilter: (teamId, filter) => {
+    if (!filter) return true;
+    if (filter === NO_TEAM) return !teamId;
+    return teamId === filter;
+  },
+
+  /**
+   * Map each member's user ID to their team ID
+   * @param {Array<object>} members - group_members rows with user_id and team_id
+   * @returns {object} { [user_id]: team_id | null }
+   */
+  getMemberTeams: (members) => {
+    const memberTeams = {};
+    (members || []).forEach((member) => {
+      memberTeams[member.user_id] = member.team_id || null;
+    });
+    return memberTeams;
+  },
+
+  /**
+   * Count the members in each team
+   * @param {Array<object>} members - group_members rows with team_id
+   * @returns {object} { [team_id]: count }, unassigned members under NO_TEAM
+   */
+  countMembers: (members) => {
+    const counts = {};
+    (members || []).forEach((member) => {
+      const key = member.team_id || NO_TEAM;
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+  },
+
+  /**
+   * Shuffle members into teams so team sizes differ by at most one.
+   * Only regular members are moved; owners and facilitators keep their team.
+   * @param {Array<object>} members - group_members rows with id and role
+   * @param {Array<object>} groupTeams - Teams to fill, in order
+   * @param {Function} [random=Math.random] - Random number source
+   * @returns {Array<{member_id: string, team_id: string}>} One assignment per member
+   */
+  balanceMembers: (members, groupTeams, random = Math.random) => {
+    if (!groupTeams || groupTeams.length === 0) return [];
+
+    const shuffled = (members || []).filter((member) => member.role === 'member');
+    for (let i = shuffled.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return shuffled.map((member, index) => ({
+      member_id: member.id,
+      team_id: groupTeams[index % groupTeams.length].id,
+    }));
+  },
+};